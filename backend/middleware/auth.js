@@ -53,6 +53,29 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when a valid token is sent, but allow anonymous requests
+export const optionalAuth = async (req, res, next) => {
+  try {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      const token = req.headers.authorization.split(' ')[1];
+
+      if (token && process.env.JWT_SECRET) {
+        try {
+          const decoded = jwt.verify(token, process.env.JWT_SECRET);
+          req.user = await User.findById(decoded.id);
+        } catch (error) {
+          // Invalid or expired tokens are treated as anonymous
+          req.user = undefined;
+        }
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Role-based authorization
 export const authorize = (...roles) => {
   return (req, res, next) => {
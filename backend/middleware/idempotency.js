@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+// Client-generated keys, e.g. a UUID
+const KEY_PATTERN = /^[\w-]{8,255}$/;
+
+// A request still processing after this long is taken to have died with the server,
+// and a retry may take its key over
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// How long keys are kept, set with IDEMPOTENCY_KEY_TTL_HOURS
+const getKeyTtlMs = () => (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const hashBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body ?? {})).digest('hex');
+
+/**
+ * Let clients retry a request safely by sending an Idempotency-Key header. The first
+ * request with a key is carried out and its successful response stored; a repeat gets
+ * that response back, and one sent while the first is still running gets a 409. Failed
+ * requests give the key up, so it can be retried. Requests without the header are
+ * handled as usual.
+ *
+ * Goes after the auth middleware: keys are scoped to the user, or to a guest's email.
+ *
+ * @param {string} endpoint - Names the endpoint the keys are for, e.g. 'POST /api/orders'
+ * @param {Object} [options]
+ * @param {string[]} [options.omit] - Top-level response fields that are only sent the
+ *   first time and never stored, e.g. credentials the server only keeps a hash of
+ */
+export const idempotent = (endpoint, { omit = [] } = {}) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  try {
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be 8 to 255 letters, digits, dashes or underscores'
+      });
+    }
+
+    const scope = req.user
+      ? req.user._id.toString()
+      : `guest:${String(req.body?.email || '').trim().toLowerCase()}`;
+    const requestHash = hashBody(req.body);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        scope,
+        endpoint,
+        requestHash,
+        expiresAt: new Date(Date.now() + getKeyTtlMs())
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ key, scope, endpoint });
+
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing?.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.response);
+      }
+
+      // Conditional, so only one retry takes over a request that died
+      if (existing && Date.now() - existing.updatedAt.getTime() > PROCESSING_TIMEOUT_MS) {
+        record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', updatedAt: existing.updatedAt },
+          { expiresAt: new Date(Date.now() + getKeyTtlMs()) },
+          { new: true }
+        );
+      }
+
+      if (!record) {
+        return res.status(409).json({
+          success: false,
+          message: 'This request is still being processed. Please wait a moment and try again.',
+          inProgress: true
+        });
+      }
+    }
+
+    // Store the response (or give the key up) before it is sent, so a retry that arrives
+    // straight after it finds the request settled
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      let settled;
+      if (res.statusCode < 300) {
+        const response = JSON.parse(JSON.stringify(body));
+        omit.forEach(field => delete response[field]);
+        settled = IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', statusCode: res.statusCode, response }
+        );
+      } else {
+        settled = IdempotencyKey.deleteOne({ _id: record._id });
+      }
+
+      settled
+        .catch(error => console.error(`Failed to record Idempotency-Key ${key}:`, error.message))
+        .finally(() => send(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
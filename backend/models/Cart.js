@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const MAX_SAVED_ITEMS = 50;
+
 const cartItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,6 +15,43 @@ const cartItemSchema = new mongoose.Schema({
   },
   variant: {
     type: mongoose.Schema.Types.ObjectId
+  },
+  // Unit price when the item was added (or the shopper last accepted a new price), so
+  // price changes can be pointed out before checkout
+  price: {
+    type: Number,
+    min: 0
+  }
+});
+
+// An item the shopper set aside to buy later. Saved items aren't priced with the cart or
+// checked for stock; the price and stock they had when saved are kept to show what
+// changed since.
+const savedItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  price: {
+    type: Number,
+    min: 0
+  },
+  stock: {
+    type: Number,
+    min: 0
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -23,7 +62,16 @@ const cartSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  items: [cartItemSchema]
+  items: [cartItemSchema],
+  savedItems: {
+    type: [savedItemSchema],
+    validate: [items => items.length <= MAX_SAVED_ITEMS, `Up to ${MAX_SAVED_ITEMS} items can be saved for later`]
+  },
+  couponCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  }
 }, {
   timestamps: true
 });
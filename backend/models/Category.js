@@ -19,6 +19,13 @@ const categorySchema = new mongoose.Schema({
   productCount: {
     type: Number,
     default: 0
+  },
+  // Tax class applied to products in this category (e.g. standard, reduced, exempt)
+  taxClass: {
+    type: String,
+    default: 'standard',
+    lowercase: true,
+    trim: true
   }
 }, {
   timestamps: true
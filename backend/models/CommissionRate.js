@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// The platform's cut of a merchant's sales. A rule can cover a merchant, a category or
+// both; the most specific active rule for a line wins, and lines no rule covers use
+// MARKETPLACE_COMMISSION_RATE.
+const commissionRateSchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  // Percentage, e.g. 12.5 for 12.5%
+  rate: {
+    type: Number,
+    required: [true, 'Please provide a rate'],
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+commissionRateSchema.pre('validate', function(next) {
+  if (!this.merchant && !this.category) {
+    this.invalidate('merchant', 'A commission rate needs a merchant or a category');
+  }
+  next();
+});
+
+commissionRateSchema.index({ merchant: 1, category: 1 }, { unique: true });
+
+const CommissionRate = mongoose.model('CommissionRate', commissionRateSchema);
+
+export default CommissionRate;
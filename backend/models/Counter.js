@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A named sequence, e.g. for order numbers. Values are handed out with an atomic $inc,
+// so concurrent callers never get the same one.
+const counterSchema = new mongoose.Schema({
+  // e.g. order, order:2026, merchant:<merchant ID>
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The last value handed out
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+const redemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  usageLimitPerCustomer: {
+    type: Number,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Empty lists mean the coupon applies to every product
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  brands: [{
+    type: String,
+    trim: true
+  }],
+  merchants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  redemptions: [redemptionSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Percentage coupons cannot exceed 100%
+couponSchema.pre('save', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  next();
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
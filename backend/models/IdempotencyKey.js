@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// A request sent with an Idempotency-Key header. The first response is kept, so a retry
+// of the request (e.g. after a timeout) gets it back instead of being carried out again.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Who sent the request: a user ID, or guest:<email>
+  scope: {
+    type: String,
+    required: true
+  },
+  // e.g. POST /api/orders
+  endpoint: {
+    type: String,
+    required: true
+  },
+  // A hash of the request body; a key can't be reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  statusCode: {
+    type: Number
+  },
+  // The JSON body that was sent back, once completed
+  response: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Removed by MongoDB once this passes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, endpoint: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
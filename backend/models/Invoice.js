@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// An invoice issued for an order. Numbers run 1, 2, 3... with no gaps: a number only
+// exists once its invoice has been saved, and the unique index stops two invoices
+// taking the same one.
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  // e.g. INV-000042
+  invoiceNumber: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true,
+    immutable: true
+  }
+}, {
+  timestamps: true
+});
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
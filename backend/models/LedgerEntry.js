@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// A movement on a merchant's balance with the platform. Sales credit the merchant with
+// what the customer paid for their lines (before tax, after discounts) less commission;
+// cancellations and returns debit it again. Entries are never changed, apart from being
+// put in a payout.
+const ledgerEntrySchema = new mongoose.Schema({
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'refund', 'return'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String
+  },
+  // The order line, or the sub-order for its shipping charge
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  subOrder: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  description: {
+    type: String
+  },
+  // What the customer paid; negative for refunds and returns
+  gross: {
+    type: Number,
+    required: true
+  },
+  // Percentage, as it was when the line was sold
+  commissionRate: {
+    type: Number,
+    default: 0
+  },
+  commission: {
+    type: Number,
+    default: 0
+  },
+  // gross - commission: what the merchant is owed
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Set once the entry is included in a payout
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ merchant: 1, createdAt: -1 });
+ledgerEntrySchema.index({ merchant: 1, payout: 1 });
+// A line (or a sub-order's shipping) is only ever sold once
+ledgerEntrySchema.index(
+  { order: 1, orderItem: 1, subOrder: 1 },
+  { unique: true, partialFilterExpression: { type: 'sale' } }
+);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { assignOrderNumbers } from '../utils/orderNumbers.js';
 
 const addressSchema = new mongoose.Schema({
   firstName: {
@@ -39,12 +40,69 @@ const addressSchema = new mongoose.Schema({
   }
 });
 
+// Tax charged on a line (or a group of lines), and the rule it came from
+const taxLineSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRule'
+  },
+  ruleName: {
+    type: String
+  },
+  jurisdiction: {
+    type: String
+  },
+  taxClass: {
+    type: String
+  },
+  rate: {
+    type: Number,
+    default: 0
+  },
+  taxable: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Order lines keep a copy of what was bought, so orders still render correctly after
+// the product is edited or deleted. The copy is written once and never changes.
 const orderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
     required: true
   },
+  name: {
+    type: String,
+    immutable: true
+  },
+  slug: {
+    type: String,
+    immutable: true
+  },
+  image: {
+    type: String,
+    immutable: true
+  },
+  brand: {
+    type: String,
+    immutable: true
+  },
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  // e.g. "Size: M"
+  variantName: {
+    type: String,
+    immutable: true
+  },
   quantity: {
     type: Number,
     required: true,
@@ -53,9 +111,132 @@ const orderItemSchema = new mongoose.Schema({
   variant: {
     type: mongoose.Schema.Types.ObjectId
   },
+  // The variant as it was when ordered
+  variantDetails: {
+    name: {
+      type: String,
+      immutable: true
+    },
+    type: {
+      type: String,
+      immutable: true
+    },
+    value: {
+      type: String,
+      immutable: true
+    }
+  },
+  // Unit price paid, including the variant's price modifier
   price: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  // Share of the order discount allocated to this line
+  discount: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: taxLineSchema
+  },
+  // Units cancelled before shipping; discount and tax above cover the rest
+  cancelledQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  fulfillmentStatus: {
+    type: String,
+    enum: ['pending', 'shipped', 'delivered', 'cancelled'],
+    default: 'pending'
+  }
+});
+
+// The lines one merchant ships, with their own status, tracking and share of the
+// shipping charge. Orders are split into these at checkout; the order's status is
+// derived from them.
+const subOrderSchema = new mongoose.Schema({
+  // 1-based, shown after the order number, e.g. ORD-...-2
+  number: {
     type: Number,
     required: true
+  },
+  // The merchant's own number for it, when merchants have their own sequence
+  merchantOrderNumber: {
+    type: String
+  },
+  // Unset for products the store sells itself
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // IDs of the order lines in this sub-order
+  items: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    default: 'pending'
+  },
+  shipping: {
+    type: Number,
+    default: 0
+  },
+  trackingNumber: {
+    type: String
+  },
+  estimatedDelivery: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  }
+});
+
+// A change to the status of the order, or of one of its sub-orders, and who made it
+const statusChangeSchema = new mongoose.Schema({
+  // Set when a sub-order changed rather than the whole order
+  subOrder: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Unset for the order being placed
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  comment: {
+    type: String
+  },
+  // Unset for changes the system made on its own
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A note staff keep on an order; never shown to the customer
+const internalNoteSchema = new mongoose.Schema({
+  body: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -64,12 +245,29 @@ const orderSchema = new mongoose.Schema({
     type: String,
     unique: true
   },
+  // Unset for guest orders until the guest registers with guestEmail
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.guestEmail;
+    }
+  },
+  // Where a guest order's confirmation and updates go
+  guestEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  // Hash of the token the guest looks the order up with
+  guestLookupTokenHash: {
+    type: String,
+    select: false,
+    index: { sparse: true }
   },
   items: [orderItemSchema],
+  subOrders: [subOrderSchema],
   shippingAddress: {
     type: addressSchema,
     required: true
@@ -81,9 +279,14 @@ const orderSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // The card payment for the order; paymentStatus follows its status
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'authorized', 'paid', 'failed', 'refunded', 'partially_refunded', 'voided'],
     default: 'pending'
   },
   status: {
@@ -99,14 +302,52 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: {
+      type: String
+    },
+    type: {
+      type: String
+    },
+    freeShipping: {
+      type: Boolean
+    }
+  },
   shipping: {
     type: Number,
     default: 0
   },
+  // The shipping method chosen at checkout, as it was priced then
+  shippingMethod: {
+    method: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingMethod'
+    },
+    code: {
+      type: String
+    },
+    name: {
+      type: String
+    },
+    description: {
+      type: String
+    },
+    zone: {
+      type: String
+    },
+    price: {
+      type: Number
+    }
+  },
   tax: {
     type: Number,
     default: 0
   },
+  taxBreakdown: [taxLineSchema],
   total: {
     type: Number,
     required: true
@@ -119,20 +360,94 @@ const orderSchema = new mongoose.Schema({
   },
   estimatedDelivery: {
     type: Date
+  },
+  // Set once an invoice has been issued for the order
+  invoiceNumber: {
+    type: String
+  },
+  // Set when the order is marked delivered; the return window starts here
+  deliveredAt: {
+    type: Date
+  },
+  // Written on save, from the statuses the order was loaded with
+  statusHistory: [statusChangeSchema],
+  internalNotes: {
+    type: [internalNoteSchema],
+    select: false
   }
 }, {
   timestamps: true
 });
 
-// Generate order number before saving
+const getStatuses = (order) => ({
+  status: order.status,
+  subOrders: new Map(order.subOrders.map(subOrder => [subOrder._id.toString(), subOrder.status]))
+});
+
+/**
+ * Say who is making the changes about to be saved, and why. The status history records
+ * them against every status change in the save; without it they are put down to the system.
+ *
+ * @param {User} [user]
+ * @param {string} [comment]
+ */
+orderSchema.methods.setChangedBy = function(user, comment) {
+  this.$locals.changedBy = user?._id;
+  this.$locals.comment = comment || undefined;
+  return this;
+};
+
+// Remember the statuses the order was loaded with, so changes to them can be recorded
+orderSchema.post('init', function() {
+  this.$locals.savedStatuses = getStatuses(this);
+});
+
+// Number new orders from the order counter; orders that have a number keep it
 orderSchema.pre('save', async function(next) {
-  if (!this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `ORD-${Date.now()}-${String(count + 1).padStart(6, '0')}`;
+  try {
+    if (this.isNew) {
+      await assignOrderNumbers(this);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record the order being placed, and any status changes since it was loaded
+orderSchema.pre('save', function(next) {
+  const { changedBy, comment, savedStatuses } = this.$locals;
+
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ to: this.status, changedBy: changedBy || this.user, comment });
+    }
+    return next();
   }
+
+  // Orders loaded without their statuses have nothing to compare against
+  if (!savedStatuses || !this.isSelected('status')) return next();
+
+  for (const subOrder of this.subOrders) {
+    // Sub-orders added since loading (e.g. by the backfill) start their history here
+    const from = savedStatuses.subOrders.get(subOrder._id.toString());
+    if (from && from !== subOrder.status) {
+      this.statusHistory.push({ subOrder: subOrder._id, from, to: subOrder.status, changedBy, comment });
+    }
+  }
+
+  if (savedStatuses.status !== this.status) {
+    this.statusHistory.push({ from: savedStatuses.status, to: this.status, changedBy, comment });
+  }
+
   next();
 });
 
+// Later saves compare against what is now stored
+orderSchema.post('save', function() {
+  this.$locals.savedStatuses = getStatuses(this);
+});
+
 const Order = mongoose.model('Order', orderSchema);
 
 export default Order;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+// Something that happened to the payment at the provider, kept for the audit trail
+const paymentEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number
+  },
+  // Provider reference for the event, e.g. a refund ID
+  reference: {
+    type: String
+  },
+  message: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A card payment at a payment provider. It is authorized for the checkout total before
+// the order is placed, linked to the order when it is created, then captured, voided or
+// refunded.
+const paymentSchema = new mongoose.Schema({
+  // Unset for guest checkouts, which are paid for under guestEmail
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return !this.guestEmail;
+    }
+  },
+  guestEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's ID for the payment
+  transactionId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  status: {
+    type: String,
+    enum: ['requires_action', 'authorized', 'captured', 'partially_refunded', 'refunded', 'voided', 'failed'],
+    required: true
+  },
+  capturedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  card: {
+    brand: {
+      type: String
+    },
+    last4: {
+      type: String
+    }
+  },
+  // What the customer has to do before the payment is authorized, e.g. a 3-D Secure challenge
+  action: {
+    type: {
+      type: String
+    },
+    url: {
+      type: String
+    }
+  },
+  failureMessage: {
+    type: String
+  },
+  events: [paymentEventSchema]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, transactionId: 1 }, { unique: true });
+paymentSchema.index({ user: 1, order: 1, status: 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// A batch of a merchant's ledger entries paid out together
+const payoutSchema = new mongoose.Schema({
+  payoutNumber: {
+    type: String,
+    unique: true
+  },
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  // e.g. the bank transfer reference
+  reference: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+payoutSchema.pre('save', function(next) {
+  if (!this.payoutNumber) {
+    this.payoutNumber = `PO-${Date.now()}-${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
+  }
+  next();
+});
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+export default Payout;
@@ -73,6 +73,18 @@ const productSchema = new mongoose.Schema({
     min: 0
   },
   variants: [productVariantSchema],
+  // Shipping weight of one unit in kilograms
+  weight: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Overrides the category's tax class when set
+  taxClass: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
   rating: {
     type: Number,
     default: 0,
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+
+// A line of the order being sent back, copied from the order line
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in order.items
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  name: {
+    type: String
+  },
+  variantName: {
+    type: String
+  },
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // What the customer paid per unit, after discount and including tax
+  unitRefund: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const returnStatusSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A return merchandise authorization (RMA): the customer asks to send lines back, the
+// store approves it, receives and restocks the items, then refunds the payment.
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A return needs at least one item'
+    }
+  },
+  reason: {
+    type: String,
+    enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'],
+    required: true
+  },
+  comments: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'],
+    default: 'requested'
+  },
+  statusHistory: [returnStatusSchema],
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  // Provider reference of the refund, when one was issued
+  refundReference: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ 'items.merchant': 1 });
+
+// Generate the RMA number and start the history before the first save
+returnRequestSchema.pre('save', function(next) {
+  if (!this.rmaNumber) {
+    this.rmaNumber = `RMA-${Date.now()}-${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user });
+  }
+  next();
+});
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// One row of a rate table. The bounds are kilograms for weight based
+// methods and order subtotal for value based methods; max is exclusive.
+const rateSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  max: {
+    type: Number
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide a method code'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a method name'],
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  // Zones the method ships to; empty means everywhere
+  zones: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingZone'
+  }],
+  rateType: {
+    type: String,
+    enum: ['flat', 'weight', 'order_value'],
+    default: 'flat'
+  },
+  flatRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  rates: [rateSchema],
+  // Orders at or above this subtotal ship for free
+  freeShippingThreshold: {
+    type: Number,
+    min: 0
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+const ShippingMethod = mongoose.model('ShippingMethod', shippingMethodSchema);
+
+export default ShippingMethod;
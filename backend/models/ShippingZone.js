@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a zone name'],
+    trim: true
+  },
+  countries: {
+    type: [String],
+    validate: {
+      validator: (countries) => countries.length > 0,
+      message: 'A zone must cover at least one country'
+    }
+  },
+  // Optional regions inside those countries; empty means the whole country
+  states: [{
+    type: String,
+    trim: true
+  }],
+  // More specific zones (e.g. a single state) should be given a higher priority
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true
+  },
+  country: {
+    type: String,
+    required: [true, 'Please provide a country'],
+    trim: true
+  },
+  // Empty state or postal prefix means the rule covers the whole country/state
+  state: {
+    type: String,
+    trim: true
+  },
+  postalPrefix: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  taxClass: {
+    type: String,
+    default: 'standard',
+    lowercase: true,
+    trim: true
+  },
+  // Percentage, e.g. 8.25 for 8.25%
+  rate: {
+    type: Number,
+    required: [true, 'Please provide a rate'],
+    min: 0,
+    max: 100
+  },
+  // Breaks ties between equally specific rules
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRuleSchema.index({ country: 1, state: 1, taxClass: 1 });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+export default TaxRule;
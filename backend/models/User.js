@@ -1,6 +1,73 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Most addresses a customer can keep in their address book
+export const MAX_SAVED_ADDRESSES = 20;
+
+// An address in the customer's address book; the fields match an order's addresses so
+// one can be used at checkout as it is
+const savedAddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  firstName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  street: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  apartment: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  zipCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  country: {
+    type: String,
+    required: true,
+    default: 'United States'
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isDefaultShipping: {
+    type: Boolean,
+    default: false
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -32,6 +99,13 @@ const userSchema = new mongoose.Schema({
   avatar: {
     type: String
   },
+  addresses: {
+    type: [savedAddressSchema],
+    validate: [
+      (addresses) => addresses.length <= MAX_SAVED_ADDRESSES,
+      `An address book can hold up to ${MAX_SAVED_ADDRESSES} addresses`
+    ]
+  },
   role: {
     type: String,
     enum: ['user', 'admin', 'merchant'],
@@ -1,8 +1,9 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
+import User, { MAX_SAVED_ADDRESSES } from '../models/User.js';
 import { protect } from '../middleware/auth.js';
 import { generateToken } from '../utils/generateToken.js';
+import { claimGuestOrders } from '../utils/guestOrders.js';
 import { upload } from '../utils/upload.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -10,13 +11,72 @@ import fs from 'fs';
 
 const router = express.Router();
 
+const ADDRESS_FIELDS = [
+  'label', 'firstName', 'lastName', 'street', 'apartment', 'city', 'state', 'zipCode', 'country', 'phone'
+];
+
+// Validation for an address book entry; when updating, only the fields sent are checked
+const addressValidation = (partial = false) => {
+  const required = (field, message) => (partial
+    ? body(field).optional().trim().notEmpty()
+    : body(field).trim().notEmpty()
+  ).withMessage(message);
+
+  return [
+    body('label').optional({ nullable: true }).trim()
+      .isLength({ max: 50 }).withMessage('Label must be 50 characters or fewer'),
+    required('firstName', 'First name is required'),
+    required('lastName', 'Last name is required'),
+    required('street', 'Street address is required'),
+    body('apartment').optional({ nullable: true }).trim(),
+    required('city', 'City is required'),
+    required('state', 'State is required'),
+    required('zipCode', 'ZIP code is required'),
+    body('country').optional().trim().notEmpty().withMessage('Country cannot be empty'),
+    required('phone', 'Phone number is required'),
+    body('isDefaultShipping').optional().isBoolean().withMessage('isDefaultShipping must be true or false').toBoolean(),
+    body('isDefaultBilling').optional().isBoolean().withMessage('isDefaultBilling must be true or false').toBoolean()
+  ];
+};
+
+// Make an address the default for shipping and/or billing, taking the flag off the others.
+// An address book with addresses always has both defaults: the first address stands in
+// when none is chosen, e.g. after the default was deleted.
+const setAddressDefaults = (user, address, { isDefaultShipping, isDefaultBilling } = {}) => {
+  [['isDefaultShipping', isDefaultShipping], ['isDefaultBilling', isDefaultBilling]].forEach(([flag, value]) => {
+    if (value === undefined) return;
+
+    if (address && value) {
+      user.addresses.forEach(candidate => {
+        candidate[flag] = candidate._id.equals(address._id);
+      });
+    } else if (address) {
+      address[flag] = false;
+    }
+  });
+
+  ['isDefaultShipping', 'isDefaultBilling'].forEach(flag => {
+    if (user.addresses.length > 0 && !user.addresses.some(candidate => candidate[flag])) {
+      user.addresses[0][flag] = true;
+    }
+  });
+};
+
+const pickAddressFields = (source) =>
+  ADDRESS_FIELDS.reduce((fields, field) => {
+    if (source[field] !== undefined) fields[field] = source[field];
+    return fields;
+  }, {});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post('/register', [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('guestOrderTokens').optional().isArray({ max: 50 }).withMessage('Guest order tokens must be a list'),
+  body('guestOrderTokens.*').isString().withMessage('Invalid guest order token')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -46,6 +106,10 @@ router.post('/register', [
       password
     });
 
+    // Orders placed as a guest with this email become the new account's, when the
+    // lookup tokens they were placed with are sent along
+    await claimGuestOrders(user, req.body.guestOrderTokens);
+
     // Generate token
     const token = generateToken(user._id);
 
@@ -294,5 +358,130 @@ router.put('/password', protect, [
   }
 });
 
+// @route   GET /api/auth/addresses
+// @desc    Get the current user's saved addresses
+// @access  Private
+router.get('/addresses', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('addresses');
+
+    res.json({
+      success: true,
+      data: user.addresses
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/addresses
+// @desc    Save an address to the current user's address book
+// @access  Private
+router.post('/addresses', protect, addressValidation(), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `An address book can hold up to ${MAX_SAVED_ADDRESSES} addresses. Remove one to add another.`
+      });
+    }
+
+    user.addresses.push(pickAddressFields(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+    setAddressDefaults(user, address, req.body);
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      data: user.addresses,
+      message: 'Address saved'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/auth/addresses/:addressId
+// @desc    Update a saved address, or make it a default
+// @access  Private
+router.put('/addresses/:addressId', protect, addressValidation(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    address.set(pickAddressFields(req.body));
+    setAddressDefaults(user, address, req.body);
+
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user.addresses,
+      message: 'Address updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/addresses/:addressId
+// @desc    Remove a saved address
+// @access  Private
+router.delete('/addresses/:addressId', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    address.deleteOne();
+    // The first remaining address takes over any default the removed one was
+    setAddressDefaults(user);
+
+    await user.save();
+
+    res.json({
+      success: true,
+      data: user.addresses,
+      message: 'Address removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
 
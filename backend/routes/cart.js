@@ -1,51 +1,321 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Cart from '../models/Cart.js';
+import Cart, { MAX_SAVED_ITEMS } from '../models/Cart.js';
 import Product from '../models/Product.js';
-import { protect } from '../middleware/auth.js';
+import { protect, optionalAuth } from '../middleware/auth.js';
+import { normalizeCouponCode } from '../utils/coupons.js';
+import { buildQuote, loadGuestItems, getUnitPrice, roundCurrency } from '../utils/pricing.js';
+import { findVariant, getAvailableStock } from '../utils/inventory.js';
+import { findHeldReservation, getReservedQuantities } from '../utils/reservations.js';
+import { validateCartLines } from '../utils/cartValidation.js';
+import { addLinesToCart } from '../utils/cart.js';
 
 const router = express.Router();
 
-// Helper function to calculate cart totals
-const calculateCartTotals = (items) => {
-  let subtotal = 0;
-  
-  items.forEach(item => {
-    const price = item.product.price + (item.variant?.priceModifier || 0);
-    subtotal += price * item.quantity;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Check a guest cart line's shape before it is looked up
+const isValidGuestLine = (line) => {
+  const quantity = Number(line?.quantity);
+  return OBJECT_ID_PATTERN.test(String(line?.productId)) &&
+    (line.variant == null || OBJECT_ID_PATTERN.test(String(line.variant))) &&
+    Number.isInteger(quantity) && quantity >= 1;
+};
+
+// Helper function to return cart items with their variant resolved from the product.
+// Variants are embedded in the product, so populate() can't do this.
+const serializeCartItems = (items) => {
+  return items.map(item => ({
+    ...item.toObject(),
+    variant: findVariant(item.product, item.variant) || item.variant
+  }));
+};
+
+// Helper function to return saved items with what changed since they were saved: their
+// current unit price and stock, or unavailable once the product or its option is gone
+const serializeSavedItems = (items) => {
+  return items.map(item => {
+    const variant = findVariant(item.product, item.variant);
+    const unavailable = !item.product || Boolean(item.variant && !variant);
+
+    return {
+      ...item.toObject(),
+      variant: variant || item.variant,
+      unavailable,
+      currentPrice: unavailable ? undefined : roundCurrency(getUnitPrice(item.product, variant)),
+      currentStock: unavailable ? 0 : getAvailableStock(item.product, variant)
+    };
   });
+};
+
+// Helper function to build the cart summary: the items plus the server-side quote, and the
+// items saved for later, which the quote leaves out
+const buildCartSummary = async (cart, user, options = {}) => {
+  const { quote } = await buildQuote({
+    items: cart.items,
+    user,
+    couponCode: cart.couponCode,
+    ...options
+  });
+
+  await cart.populate('savedItems.product');
 
-  return subtotal;
+  return {
+    items: serializeCartItems(cart.items),
+    savedItems: serializeSavedItems(cart.savedItems),
+    ...quote
+  };
 };
 
+// Helper function to find a cart line (or saved item) for the same product and variant
+const findMatchingLine = (lines, product, variant) => lines.find(
+  line => (line.product._id || line.product).toString() === product._id.toString() &&
+  String(line.variant || '') === String(variant?._id || '')
+);
+
 // @route   GET /api/cart
 // @desc    Get user's cart
 // @access  Private
 router.get('/', protect, async (req, res, next) => {
   try {
     let cart = await Cart.findOne({ user: req.user._id })
-      .populate('items.product')
-      .populate('items.variant');
+      .populate('items.product');
+
+    if (!cart) {
+      cart = await Cart.create({ user: req.user._id, items: [] });
+    }
+
+    res.json({
+      success: true,
+      data: await buildCartSummary(cart, req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cart/quote
+// @desc    Price the cart for checkout. Signed-in users are quoted from their saved cart,
+//          guests send their cart lines as items: [{ productId, variant, quantity }].
+//          An optional shippingAddress ({ country, state, zipCode }) selects the tax rules.
+// @access  Public
+router.post('/quote', optionalAuth, [
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('shippingAddress').optional().isObject().withMessage('Shipping address must be an object'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('shippingMethod').optional().isString().withMessage('Invalid shipping method')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    let items = [];
+    let couponCode;
+
+    if (req.user) {
+      const cart = await Cart.findOne({ user: req.user._id })
+        .populate('items.product');
+      items = cart?.items || [];
+      couponCode = cart?.couponCode;
+    } else {
+      ({ items } = await loadGuestItems(req.body.items));
+    }
+
+    const { quote } = await buildQuote({
+      items,
+      user: req.user,
+      couponCode,
+      shippingMethod: req.body.shippingMethod,
+      shippingAddress: req.body.shippingAddress
+    });
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cart/merge
+// @desc    Merge a guest cart into the user's cart after they sign in. Guests send their
+//          cart lines as items: [{ productId, variant, quantity }]. Lines for the same
+//          product and variant are combined, quantities are limited to what is in stock,
+//          and changes lists what happened to each guest line. A malformed line is
+//          reported as invalid rather than failing the rest of the merge.
+// @access  Private
+router.post('/merge', protect, [
+  body('items').isArray({ max: 100 }).withMessage('Items must be an array of up to 100 lines')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    let cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart) {
+      cart = await Cart.create({ user: req.user._id, items: [] });
+    }
+
+    const changes = [];
+    const lines = [];
+    for (const line of req.body.items) {
+      if (!isValidGuestLine(line)) {
+        changes.push({
+          product: line?.productId,
+          requested: line?.quantity,
+          quantity: 0,
+          status: 'invalid',
+          message: 'Not a valid cart item'
+        });
+        continue;
+      }
+
+      lines.push({
+        productId: line.productId,
+        product: await Product.findById(line.productId),
+        variant: line.variant,
+        quantity: parseInt(line.quantity)
+      });
+    }
+
+    changes.push(...addLinesToCart(cart, lines));
+
+    await cart.save();
+    await cart.populate('items.product');
+
+    res.json({
+      success: true,
+      data: {
+        ...await buildCartSummary(cart, req.user),
+        changes
+      },
+      message: 'Cart merged'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cart/validate
+// @desc    Check the cart before checkout for products that were removed, options that
+//          are no longer offered, stock that ran out or ran low, and prices that changed
+//          since items were added. Each issue suggests a quantity for its line (0 to
+//          remove it). Signed-in users have their saved cart checked, and send
+//          acceptPrices: true to take the current prices. Guests send their cart lines as
+//          items: [{ itemId, productId, variant, quantity, price }], with the unit price
+//          they were shown.
+// @access  Public
+router.post('/validate', optionalAuth, [
+  body('items').optional().isArray({ max: 100 }).withMessage('Items must be an array of up to 100 lines'),
+  body('items.*.productId').isMongoId().withMessage('Invalid product'),
+  body('items.*.variant').optional({ nullable: true }).isMongoId().withMessage('Invalid variant'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Invalid price'),
+  body('acceptPrices').optional().isBoolean().withMessage('acceptPrices must be a boolean')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user) {
+      const lines = [];
+      for (const line of req.body.items || []) {
+        lines.push({
+          itemId: line.itemId,
+          productId: line.productId,
+          product: await Product.findById(line.productId),
+          variant: line.variant,
+          quantity: parseInt(line.quantity),
+          price: line.price == null ? undefined : parseFloat(line.price)
+        });
+      }
+
+      const issues = validateCartLines(lines);
+
+      return res.json({
+        success: true,
+        data: {
+          valid: issues.length === 0,
+          issues,
+          // The products as they are now, for the client to refresh its copy
+          items: lines
+            .filter(line => line.product)
+            .map(line => ({
+              itemId: line.itemId,
+              product: line.product,
+              variant: findVariant(line.product, line.variant) || line.variant,
+              quantity: line.quantity
+            }))
+        }
+      });
+    }
+
+    let cart = await Cart.findOne({ user: req.user._id });
 
     if (!cart) {
       cart = await Cart.create({ user: req.user._id, items: [] });
     }
 
-    const subtotal = calculateCartTotals(cart.items);
-    const discount = 0;
-    const shipping = subtotal >= 100 ? 0 : 9.99;
-    const tax = subtotal * 0.08;
-    const total = subtotal + shipping + tax;
+    // Product IDs are lost once populate() finds a product gone
+    const productIds = new Map(cart.items.map(item => [item._id.toString(), item.product]));
+    await cart.populate('items.product');
+
+    // Lines added before prices were kept start from the current price. Updated line by
+    // line, as saving the cart would fail on lines whose product is gone.
+    for (const item of cart.items) {
+      const variant = item.product && findVariant(item.product, item.variant);
+      if (!item.product || (item.variant && !variant)) continue;
+
+      const currentPrice = roundCurrency(getUnitPrice(item.product, variant));
+      if ((item.price == null || req.body.acceptPrices) && item.price !== currentPrice) {
+        item.price = currentPrice;
+        await Cart.updateOne(
+          { _id: cart._id, 'items._id': item._id },
+          { $set: { 'items.$.price': currentPrice } }
+        );
+      }
+    }
+
+    // Stock the user has reserved for checkout is theirs
+    const reservation = await findHeldReservation(req.user._id);
+    const issues = validateCartLines(
+      cart.items.map(item => ({
+        itemId: item._id,
+        productId: productIds.get(item._id.toString()),
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        price: item.price
+      })),
+      getReservedQuantities(reservation)
+    );
 
     res.json({
       success: true,
       data: {
-        items: cart.items,
-        subtotal,
-        discount,
-        shipping,
-        tax,
-        total
+        valid: issues.length === 0,
+        issues,
+        ...await buildCartSummary(cart, req.user)
       }
     });
   } catch (error) {
@@ -53,6 +323,87 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+// @route   POST /api/cart/coupon
+// @desc    Apply a coupon code to the cart
+// @access  Private
+router.post('/coupon', protect, [
+  body('code').trim().notEmpty().withMessage('Coupon code is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id })
+      .populate('items.product');
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const code = normalizeCouponCode(req.body.code);
+    const { quote } = await buildQuote({
+      items: cart.items,
+      user: req.user,
+      couponCode: code
+    });
+
+    if (!quote.coupon.valid) {
+      return res.status(400).json({
+        success: false,
+        message: quote.coupon.message
+      });
+    }
+
+    cart.couponCode = code;
+    await cart.save();
+
+    res.json({
+      success: true,
+      data: await buildCartSummary(cart, req.user),
+      message: 'Coupon applied'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/cart/coupon
+// @desc    Remove the coupon code from the cart
+// @access  Private
+router.delete('/coupon', protect, async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id })
+      .populate('items.product');
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+
+    cart.couponCode = undefined;
+    await cart.save();
+
+    res.json({
+      success: true,
+      data: await buildCartSummary(cart, req.user),
+      message: 'Coupon removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/cart/items
 // @desc    Add item to cart
 // @access  Private
@@ -81,11 +432,12 @@ router.post('/items', protect, [
       });
     }
 
-    // Check stock
-    if (product.stock < quantity) {
-      return res.status(400).json({
+    // Check the chosen variant belongs to the product
+    const selectedVariant = variant ? findVariant(product, variant) : null;
+    if (variant && !selectedVariant) {
+      return res.status(404).json({
         success: false,
-        message: 'Insufficient stock'
+        message: 'Variant not found'
       });
     }
 
@@ -95,33 +447,42 @@ router.post('/items', protect, [
       cart = await Cart.create({ user: req.user._id, items: [] });
     }
 
-    // Check if item already exists in cart
-    const existingItemIndex = cart.items.findIndex(
-      item => item.product.toString() === productId && 
-      (!variant || item.variant?.toString() === variant)
+    // Check if item already exists in cart (same product and same variant)
+    const existingItem = cart.items.find(
+      item => item.product.toString() === productId &&
+      String(item.variant || '') === String(selectedVariant?._id || '')
     );
 
-    if (existingItemIndex >= 0) {
+    // Check stock, counting what is already in the cart
+    const requestedQuantity = quantity + (existingItem?.quantity || 0);
+    if (getAvailableStock(product, selectedVariant) < requestedQuantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient stock'
+      });
+    }
+
+    if (existingItem) {
       // Update quantity
-      cart.items[existingItemIndex].quantity += quantity;
+      existingItem.quantity = requestedQuantity;
     } else {
       // Add new item
       cart.items.push({
         product: productId,
         quantity,
-        variant: variant || undefined
+        variant: selectedVariant?._id,
+        price: roundCurrency(getUnitPrice(product, selectedVariant))
       });
     }
 
     await cart.save();
 
     const updatedCart = await Cart.findById(cart._id)
-      .populate('items.product')
-      .populate('items.variant');
+      .populate('items.product');
 
     res.json({
       success: true,
-      data: updatedCart.items,
+      data: serializeCartItems(updatedCart.items),
       message: 'Item added to cart'
     });
   } catch (error) {
@@ -165,7 +526,7 @@ router.put('/items/:itemId', protect, [
 
     // Check stock
     const product = await Product.findById(item.product);
-    if (product.stock < quantity) {
+    if (!product || getAvailableStock(product, findVariant(product, item.variant)) < quantity) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock'
@@ -176,12 +537,11 @@ router.put('/items/:itemId', protect, [
     await cart.save();
 
     const updatedCart = await Cart.findById(cart._id)
-      .populate('items.product')
-      .populate('items.variant');
+      .populate('items.product');
 
     res.json({
       success: true,
-      data: updatedCart.items,
+      data: serializeCartItems(updatedCart.items),
       message: 'Cart item updated'
     });
   } catch (error) {
@@ -265,8 +625,7 @@ router.delete('/items/:itemId', protect, async (req, res, next) => {
 
     // Re-fetch the cart to ensure we have the latest data
     const updatedCart = await Cart.findOne({ user: req.user._id })
-      .populate('items.product')
-      .populate('items.variant');
+      .populate('items.product');
     
     console.log('Updated cart after removal:', {
       itemsCount: updatedCart?.items?.length || 0,
@@ -292,8 +651,159 @@ router.delete('/items/:itemId', protect, async (req, res, next) => {
   }
 });
 
+// @route   POST /api/cart/items/:itemId/save
+// @desc    Move a cart item to the saved-for-later list. The price and stock it has now
+//          are kept, to show what changed by the time it is moved back.
+// @access  Private
+router.post('/items/:itemId/save', protect, async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    const item = cart?.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+
+    const product = await Product.findById(item.product);
+    const variant = product && findVariant(product, item.variant);
+    if (!product || (item.variant && !variant)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product is no longer available'
+      });
+    }
+
+    const snapshot = {
+      price: roundCurrency(getUnitPrice(product, variant)),
+      stock: getAvailableStock(product, variant),
+      savedAt: new Date()
+    };
+
+    // Saving the same product and variant again adds to the saved quantity
+    const savedItem = findMatchingLine(cart.savedItems, product, variant);
+    if (savedItem) {
+      savedItem.set({ ...snapshot, quantity: savedItem.quantity + item.quantity });
+    } else {
+      if (cart.savedItems.length >= MAX_SAVED_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `You can save up to ${MAX_SAVED_ITEMS} items for later`
+        });
+      }
+      cart.savedItems.push({ product: product._id, variant: variant?._id, quantity: item.quantity, ...snapshot });
+    }
+
+    item.deleteOne();
+    await cart.save();
+    await cart.populate('items.product');
+
+    res.json({
+      success: true,
+      data: await buildCartSummary(cart, req.user),
+      message: 'Item saved for later'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/cart/saved/:itemId/move
+// @desc    Move a saved item back into the cart, at the current price. Refused when there
+//          isn't enough stock for it and what the cart already holds.
+// @access  Private
+router.post('/saved/:itemId/move', protect, async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    const savedItem = cart?.savedItems.id(req.params.itemId);
+
+    if (!savedItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved item not found'
+      });
+    }
+
+    const product = await Product.findById(savedItem.product);
+    const variant = product && findVariant(product, savedItem.variant);
+    if (!product || (savedItem.variant && !variant)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product is no longer available'
+      });
+    }
+
+    const existingItem = findMatchingLine(cart.items, product, variant);
+    const requestedQuantity = savedItem.quantity + (existingItem?.quantity || 0);
+    const available = getAvailableStock(product, variant);
+
+    if (available < requestedQuantity) {
+      return res.status(400).json({
+        success: false,
+        message: available > 0
+          ? `Only ${available} of ${product.name} in stock`
+          : `${product.name} is out of stock`
+      });
+    }
+
+    if (existingItem) {
+      existingItem.quantity = requestedQuantity;
+    } else {
+      cart.items.push({
+        product: product._id,
+        quantity: savedItem.quantity,
+        variant: variant?._id,
+        price: roundCurrency(getUnitPrice(product, variant))
+      });
+    }
+
+    savedItem.deleteOne();
+    await cart.save();
+    await cart.populate('items.product');
+
+    res.json({
+      success: true,
+      data: await buildCartSummary(cart, req.user),
+      message: 'Item moved to cart'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/cart/saved/:itemId
+// @desc    Remove an item from the saved-for-later list
+// @access  Private
+router.delete('/saved/:itemId', protect, async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    const savedItem = cart?.savedItems.id(req.params.itemId);
+
+    if (!savedItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved item not found'
+      });
+    }
+
+    savedItem.deleteOne();
+    await cart.save();
+    await cart.populate('items.product');
+
+    res.json({
+      success: true,
+      data: await buildCartSummary(cart, req.user),
+      message: 'Saved item removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/cart
-// @desc    Clear cart
+// @desc    Clear cart. Items saved for later are kept.
 // @access  Private
 router.delete('/', protect, async (req, res, next) => {
   try {
@@ -306,6 +816,7 @@ router.delete('/', protect, async (req, res, next) => {
     }
 
     cart.items = [];
+    cart.couponCode = undefined;
     await cart.save();
 
     res.json({
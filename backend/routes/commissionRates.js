@@ -0,0 +1,174 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import CommissionRate from '../models/CommissionRate.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+const commissionRateValidation = [
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  body('merchant').optional({ nullable: true }).isMongoId().withMessage('Invalid merchant'),
+  body('category').optional({ nullable: true }).isString().trim()
+];
+
+// Fields an admin is allowed to set
+const commissionRateFields = ['merchant', 'category', 'rate', 'isActive'];
+
+const pickCommissionRateFields = (source) => {
+  return commissionRateFields.reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      acc[field] = source[field];
+    }
+    return acc;
+  }, {});
+};
+
+// @route   GET /api/commission-rates
+// @desc    Get all commission rates
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+  try {
+    const { merchant, category, active } = req.query;
+
+    const query = {};
+
+    if (merchant) {
+      query.merchant = merchant;
+    }
+
+    if (category) {
+      query.category = new RegExp(`^${category}$`, 'i');
+    }
+
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const rates = await CommissionRate.find(query)
+      .populate('merchant', 'name email')
+      .sort({ merchant: 1, category: 1 });
+
+    res.json({
+      success: true,
+      data: rates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/commission-rates/:id
+// @desc    Get commission rate by ID
+// @access  Private (Admin)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const rate = await CommissionRate.findById(req.params.id).populate('merchant', 'name email');
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/commission-rates
+// @desc    Create a commission rate
+// @access  Private (Admin)
+router.post('/', [
+  body('rate').notEmpty().withMessage('Rate is required'),
+  ...commissionRateValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await CommissionRate.create(pickCommissionRateFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: rate,
+      message: 'Commission rate created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/commission-rates/:id
+// @desc    Update a commission rate
+// @access  Private (Admin)
+router.put('/:id', commissionRateValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const rate = await CommissionRate.findById(req.params.id);
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rate not found'
+      });
+    }
+
+    rate.set(pickCommissionRateFields(req.body));
+    await rate.save();
+
+    res.json({
+      success: true,
+      data: rate,
+      message: 'Commission rate updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/commission-rates/:id
+// @desc    Delete a commission rate
+// @access  Private (Admin)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const rate = await CommissionRate.findByIdAndDelete(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Commission rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Commission rate deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,223 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Coupon from '../models/Coupon.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+const couponValidation = [
+  body('type').optional().isIn(['percentage', 'fixed', 'free_shipping']).withMessage('Invalid coupon type'),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Max discount must be a positive number'),
+  body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum spend must be a positive number'),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  body('usageLimitPerCustomer').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per-customer limit must be at least 1'),
+  body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Invalid start date'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+  body('categories').optional().isArray().withMessage('Categories must be an array'),
+  body('brands').optional().isArray().withMessage('Brands must be an array'),
+  body('merchants').optional().isArray().withMessage('Merchants must be an array')
+];
+
+// Fields an admin is allowed to set
+const couponFields = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minSubtotal',
+  'startsAt', 'expiresAt', 'usageLimit', 'usageLimitPerCustomer',
+  'categories', 'brands', 'merchants', 'isActive'
+];
+
+const pickCouponFields = (source) => {
+  return couponFields.reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      acc[field] = source[field];
+    }
+    return acc;
+  }, {});
+};
+
+// @route   GET /api/coupons
+// @desc    Get all coupons
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search, active } = req.query;
+
+    const query = {};
+
+    if (search) {
+      query.code = new RegExp(search, 'i');
+    }
+
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    const coupons = await Coupon.find(query)
+      .select('-redemptions')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: coupons,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/coupons/:id
+// @desc    Get coupon by ID, including its redemptions
+// @access  Private (Admin)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('redemptions.user', 'name email')
+      .populate('redemptions.order', 'orderNumber total');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create a coupon
+// @access  Private (Admin)
+router.post('/', [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('type').notEmpty().withMessage('Coupon type is required'),
+  ...couponValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: req.body.code.trim().toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+      message: 'Coupon created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon
+// @access  Private (Admin)
+router.put('/:id', [
+  body('code').optional().trim().notEmpty().withMessage('Coupon code cannot be empty'),
+  ...couponValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (req.body.code && req.body.code.trim().toUpperCase() !== coupon.code) {
+      const existingCoupon = await Coupon.findOne({ code: req.body.code.trim().toUpperCase() });
+      if (existingCoupon) {
+        return res.status(400).json({
+          success: false,
+          message: 'A coupon with this code already exists'
+        });
+      }
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      data: coupon,
+      message: 'Coupon updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon
+// @access  Private (Admin)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,251 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Payout from '../models/Payout.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { getMerchantBalance, generatePayouts } from '../utils/ledger.js';
+
+const router = express.Router();
+
+router.use(protect);
+router.use(authorize('admin', 'merchant'));
+
+// Merchants only ever see their own ledger; admins pick a merchant with ?merchant=
+const getMerchantFilter = (req) => {
+  return req.user.role === 'merchant' ? req.user._id : req.query.merchant;
+};
+
+// @route   GET /api/ledger/balance
+// @desc    Get a merchant's balance: owed and not yet paid out, in pending payouts, paid out
+// @access  Private (Merchant, or Admin with ?merchant=)
+router.get('/balance', async (req, res, next) => {
+  try {
+    const merchant = getMerchantFilter(req);
+
+    if (!merchant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a merchant'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getMerchantBalance(merchant)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/ledger/entries
+// @desc    Get ledger entries (a merchant's statement), newest first
+// @access  Private (Admin/Merchant)
+router.get('/entries', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type, from, to, payout } = req.query;
+
+    const query = {};
+    const merchant = getMerchantFilter(req);
+
+    if (merchant) {
+      query.merchant = merchant;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (payout) {
+      query.payout = payout === 'none' ? null : payout;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('merchant', 'name email')
+        .populate('payout', 'payoutNumber status paidAt'),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/ledger/payouts
+// @desc    Get payouts: a merchant's own, or all for admins
+// @access  Private (Admin/Merchant)
+router.get('/payouts', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = {};
+    const merchant = getMerchantFilter(req);
+
+    if (merchant) {
+      query.merchant = merchant;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('merchant', 'name email'),
+      Payout.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: payouts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/ledger/payouts/:id
+// @desc    Get a payout with the ledger entries it pays out
+// @access  Private (Admin, or the Merchant it pays)
+router.get('/payouts/:id', async (req, res, next) => {
+  try {
+    const payout = await Payout.findById(req.params.id).populate('merchant', 'name email');
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    if (req.user.role === 'merchant' && !payout.merchant._id.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payout'
+      });
+    }
+
+    const entries = await LedgerEntry.find({ payout: payout._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { ...payout.toObject(), entries }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/ledger/payouts
+// @desc    Batch the entries not yet paid out into one payout per merchant who is owed money
+// @access  Private (Admin)
+router.post('/payouts', authorize('admin'), [
+  body('merchant').optional().isMongoId().withMessage('Invalid merchant'),
+  body('until').optional().isISO8601().withMessage('Invalid date')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const payouts = await generatePayouts({
+      merchant: req.body.merchant,
+      until: req.body.until ? new Date(req.body.until) : undefined,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      data: payouts,
+      message: payouts.length === 0
+        ? 'No merchant is owed a payout'
+        : `Created ${payouts.length} payout${payouts.length === 1 ? '' : 's'}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/ledger/payouts/:id/paid
+// @desc    Mark a payout as paid, with the transfer reference
+// @access  Private (Admin)
+router.put('/payouts/:id/paid', authorize('admin'), [
+  body('reference').optional().isString().trim().isLength({ max: 200 })
+    .withMessage('Reference must be at most 200 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    // Conditional, so a payout is only marked paid once
+    const payout = await Payout.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'paid', paidAt: new Date(), reference: req.body.reference },
+      { new: true }
+    ).populate('merchant', 'name email');
+
+    if (!payout) {
+      const exists = await Payout.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'This payout has already been paid' : 'Payout not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payout,
+      message: 'Payout marked as paid'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,18 +1,136 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { body, validationResult } from 'express-validator';
 import Order from '../models/Order.js';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, optionalAuth, authorize } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { redeemCoupon, releaseCouponRedemption } from '../utils/coupons.js';
+import { buildQuote, loadGuestItems } from '../utils/pricing.js';
+import StockReservation from '../models/StockReservation.js';
+import Payment from '../models/Payment.js';
+import {
+  findVariant,
+  getAvailableStock,
+  describeFailedLine,
+  decrementStock,
+  incrementStock
+} from '../utils/inventory.js';
+import {
+  findHeldReservation,
+  getReservedQuantities,
+  getStockKey,
+  diffReservation
+} from '../utils/reservations.js';
+import { withTransaction } from '../utils/transaction.js';
+import { recordOrderSales } from '../utils/ledger.js';
+import {
+  cancelOrderLines,
+  canAdvanceFulfillment,
+  getStatusFromLines,
+  getSubOrderItems,
+  buildSubOrders,
+  getActiveQuantity,
+  SUB_ORDER_STEPS
+} from '../utils/fulfillment.js';
+import {
+  isAutoCapture,
+  capturePayment,
+  voidPayment,
+  describePaymentCard
+} from '../utils/payments.js';
+import { canInvoiceOrder, issueInvoice } from '../utils/invoices.js';
+import { transitionOrder } from '../utils/orderStatus.js';
+import { getShipments, renderInvoicesPdf, renderPackingSlipsPdf } from '../utils/documents.js';
+import { createLookupToken, findOrderByLookupToken } from '../utils/guestOrders.js';
+import { addLinesToCart } from '../utils/cart.js';
+import {
+  createTrackingToken,
+  verifyTrackingToken,
+  getTrackingUrl,
+  getOrderEmail,
+  toTrackingView
+} from '../utils/orderTracking.js';
 
 const router = express.Router();
 
+// Check whether an order was placed by a user. Guest orders have no user until the guest
+// registers.
+const isOrderOwner = (order, user) => {
+  if (!order.user) return false;
+  return (order.user._id || order.user).toString() === user._id.toString();
+};
+
+// Check whether an order line belongs to a merchant. Uses the line's snapshot, and falls
+// back to the (populated) product for orders placed before lines were snapshotted.
+const isMerchantLine = (item, merchantId) => {
+  const lineMerchant = item.merchant || item.product?.merchant;
+  if (!lineMerchant) return false;
+  return (lineMerchant._id || lineMerchant).toString() === merchantId;
+};
+
+// What a merchant gets to see of an order: only their own lines and sub-order, and the
+// history of those
+const scopeOrderToMerchant = (order, merchantId) => {
+  const scoped = order.toObject();
+  scoped.items = scoped.items.filter(item => isMerchantLine(item, merchantId));
+  scoped.subOrders = (scoped.subOrders || []).filter(subOrder => subOrder.merchant?.toString() === merchantId);
+  scoped.statusHistory = (scoped.statusHistory || []).filter(entry =>
+    !entry.subOrder || scoped.subOrders.some(subOrder => subOrder._id.equals(entry.subOrder))
+  );
+  return scoped;
+};
+
+// What a customer gets to see of their order's history: what changed and when, not
+// which member of staff changed it or the comments staff left on it
+const scopeOrderToCustomer = (order) => {
+  const scoped = order.toObject();
+  scoped.statusHistory = (scoped.statusHistory || []).map(({ changedBy, comment, ...entry }) => entry);
+  return scoped;
+};
+
+// Send a generated PDF to be shown in the browser (or saved as filename)
+const sendPdf = (res, buffer, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
+
+// How much of an order's card payment has been refunded, for its invoice
+const getRefundedAmount = async (order) => {
+  if (!order.payment) return 0;
+  const payment = await Payment.findById(order.payment).select('refundedAmount');
+  return payment?.refundedAmount || 0;
+};
+
+// Thrown inside the order transaction when stock ran out after the pre-check
+class OutOfStockError extends Error {
+  constructor(failedItems) {
+    super('Some items in your cart are no longer available in the requested quantity');
+    this.status = 409;
+    this.failedItems = failedItems;
+  }
+}
+
 // @route   POST /api/orders
-// @desc    Create a new order
-// @access  Private
-router.post('/', protect, [
+// @desc    Create a new order from the customer's cart. Guests send their cart lines as
+//          items: [{ productId, variant, quantity }] and their email; their order comes
+//          back with a lookupToken to look it up by. Send an Idempotency-Key header to
+//          retry safely: a repeat with the same key returns the order already placed
+//          instead of placing another. The guest's lookupToken is only in the first
+//          response; it isn't stored with the key.
+// @access  Public (guests) / Private
+router.post('/', optionalAuth, idempotent('POST /api/orders', { omit: ['lookupToken'] }), [
   body('shippingAddress').isObject().withMessage('Shipping address is required'),
-  body('paymentMethod').notEmpty().withMessage('Payment method is required')
+  body('paymentMethod').notEmpty().withMessage('Payment method is required'),
+  body('shippingMethod').optional().isString().withMessage('Invalid shipping method'),
+  body('paymentId').optional().isMongoId().withMessage('Invalid payment'),
+  body('email').optional().trim().isEmail().withMessage('Please provide a valid email'),
+  body('items').optional().isArray().withMessage('Items must be an array')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -24,83 +142,333 @@ router.post('/', protect, [
       });
     }
 
-    // Get user's cart
-    const cart = await Cart.findOne({ user: req.user._id })
+    const guestEmail = req.user ? undefined : req.body.email?.toLowerCase();
+
+    if (!req.user && !guestEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required to check out as a guest'
+      });
+    }
+
+    // Get user's cart; guests have theirs on the client
+    const cart = req.user && await Cart.findOne({ user: req.user._id })
       .populate('items.product');
+    const guestCart = !req.user && await loadGuestItems(req.body.items);
+    const cartItems = req.user ? cart?.items || [] : guestCart.items;
 
-    if (!cart || cart.items.length === 0) {
+    if (cartItems.length === 0 && !guestCart?.failedItems.length) {
       return res.status(400).json({
         success: false,
         message: 'Cart is empty'
       });
     }
 
-    // Calculate totals
-    let subtotal = 0;
-    const orderItems = [];
+    // Stock the customer reserved when entering checkout is already off the shelf
+    const reservation = req.user && await findHeldReservation(req.user._id);
+    const reserved = getReservedQuantities(reservation);
+
+    // Check products and stock. Every failing line is reported, not just the first.
+    // This is only a pre-check; the stock is taken atomically further down.
+    const items = [];
+    // Guest lines that are malformed or whose product is gone are reported with the rest
+    const failedItems = [...(guestCart?.failedItems || [])];
+    const products = new Map();
 
-    for (const item of cart.items) {
-      const product = await Product.findById(item.product._id);
+    for (const item of cartItems) {
+      const productId = item.product?._id?.toString();
+      const product = productId && (products.get(productId) || await Product.findById(productId));
       if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product ${item.product._id} not found`
-        });
+        failedItems.push(describeFailedLine(item, null, null, 'This product is no longer available'));
+        continue;
       }
+      products.set(productId, product);
 
-      // Check stock
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.name}`
-        });
+      const variant = findVariant(product, item.variant);
+      if (item.variant && !variant) {
+        failedItems.push(describeFailedLine(item, product, null, 'The selected option is no longer available'));
+        continue;
+      }
+
+      // Include other lines for the same product or variant
+      const alreadyOrdered = items
+        .filter(line => line.product === product && (!variant || line.variant === variant))
+        .reduce((sum, line) => sum + line.quantity, 0);
+
+      const available = getAvailableStock(product, variant) + (reserved.get(getStockKey(product, variant)) || 0);
+      if (available < alreadyOrdered + item.quantity) {
+        failedItems.push(describeFailedLine(item, product, variant, `Insufficient stock for ${product.name}`));
+        continue;
       }
 
-      const price = product.price + (item.variant?.priceModifier || 0);
-      subtotal += price * item.quantity;
+      items.push({ itemId: item._id, product, variant, quantity: item.quantity });
+    }
 
-      orderItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        variant: item.variant,
-        price: product.price
+    if (failedItems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: failedItems.length === 1
+          ? failedItems[0].message
+          : 'Some items in your cart are unavailable',
+        failedItems
       });
+    }
 
-      // Update product stock
-      product.stock -= item.quantity;
-      await product.save();
+    // Price the order with the same quote the cart and checkout show
+    const { quote, coupon } = await buildQuote({
+      items,
+      user: req.user,
+      couponCode: cart?.couponCode,
+      shippingMethod: req.body.shippingMethod,
+      shippingAddress: req.body.shippingAddress
+    });
+
+    if (quote.coupon && !quote.coupon.valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Coupon ${quote.coupon.code}: ${quote.coupon.message}`
+      });
     }
 
-    // Calculate discount
-    const discount = 0;
+    const shippingOption = quote.shippingOptions.find(option => option.code === quote.shippingMethod);
+
+    if (!shippingOption) {
+      return res.status(400).json({
+        success: false,
+        message: 'No shipping methods are available for this address'
+      });
+    }
 
-    // Calculate shipping
-    const shipping = subtotal >= 100 ? 0 : 9.99;
+    if (req.body.shippingMethod && req.body.shippingMethod !== shippingOption.code) {
+      return res.status(400).json({
+        success: false,
+        message: `Shipping method ${req.body.shippingMethod} is not available for this address`
+      });
+    }
 
-    // Calculate tax
-    const tax = subtotal * 0.08;
+    // The total has to be authorized on the customer's card (POST /api/payments/authorize)
+    // before the order is placed; it is captured once the order exists
+    let payment = null;
+    if (quote.total > 0) {
+      payment = req.body.paymentId && await Payment.findOne({
+        _id: req.body.paymentId,
+        ...(req.user ? { user: req.user._id } : { user: null, guestEmail }),
+        order: null,
+        status: 'authorized'
+      });
 
-    // Calculate total
-    const total = subtotal + shipping + tax;
+      if (!payment) {
+        return res.status(402).json({
+          success: false,
+          message: 'Payment has not been authorized'
+        });
+      }
 
-    // Create order
-    const order = await Order.create({
-      user: req.user._id,
+      if (Math.abs(payment.amount - quote.total) >= 0.01) {
+        await voidPayment(payment);
+        return res.status(409).json({
+          success: false,
+          message: 'Your order total changed after the payment was authorized. Please review your order and pay again.'
+        });
+      }
+    }
+
+    // Snapshot each product as it is now; order views render from this copy
+    const orderItems = quote.lines.map((line, index) => {
+      const { product, variant } = items[index];
+      return {
+        // Set up front so sub-orders can refer to the lines
+        _id: new mongoose.Types.ObjectId(),
+        product: line.product,
+        name: product.name,
+        slug: product.slug,
+        image: product.images?.[0],
+        brand: product.brand,
+        merchant: product.merchant,
+        variantName: line.variantName,
+        quantity: line.quantity,
+        variant: line.variant,
+        variantDetails: variant ? {
+          name: variant.name,
+          type: variant.type,
+          value: variant.value
+        } : undefined,
+        price: line.unitPrice,
+        discount: line.discount,
+        tax: line.tax
+      };
+    });
+
+    const lookupToken = guestEmail && createLookupToken();
+    const orderId = new mongoose.Types.ObjectId();
+    const orderData = {
+      _id: orderId,
+      user: req.user?._id,
+      guestEmail,
+      guestLookupTokenHash: lookupToken?.hash,
       items: orderItems,
+      // One sub-order per merchant, each fulfilled and tracked on its own
+      subOrders: buildSubOrders(orderItems, quote.shipping),
       shippingAddress: req.body.shippingAddress,
       billingAddress: req.body.billingAddress || req.body.shippingAddress,
-      paymentMethod: req.body.paymentMethod,
-      subtotal,
-      discount,
-      shipping,
-      tax,
-      total,
+      paymentMethod: payment ? describePaymentCard(payment) : req.body.paymentMethod,
+      payment: payment?._id,
+      // Nothing is charged for orders that come to zero
+      paymentStatus: payment ? 'authorized' : 'paid',
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      coupon: coupon ? {
+        coupon: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        freeShipping: quote.coupon.freeShipping
+      } : undefined,
+      shipping: quote.shipping,
+      shippingMethod: {
+        method: shippingOption.method,
+        code: shippingOption.code,
+        name: shippingOption.name,
+        description: shippingOption.description,
+        zone: shippingOption.zone,
+        price: shippingOption.price
+      },
+      tax: quote.tax,
+      taxBreakdown: quote.taxBreakdown,
+      total: quote.total,
       notes: req.body.notes
-    });
+    };
 
-    // Clear cart
-    cart.items = [];
-    await cart.save();
+    // Redeem the coupon, claim the payment, take the stock (from the reservation first),
+    // create the order and clear the cart as one unit. Without transaction support each step that succeeded is
+    // undone by hand.
+    let order;
+    try {
+      order = await withTransaction(async (session) => {
+        let redeemed = false;
+        let claimed = null;
+        let linkedPayment = null;
+        let stockTaken = [];
+        let createdOrder = null;
+
+        try {
+          if (coupon) {
+            redeemed = Boolean(await redeemCoupon(coupon, {
+              user: req.user._id,
+              order: orderId,
+              discount: quote.discount,
+              session
+            }));
+
+            if (!redeemed) {
+              const error = new Error(`Coupon ${coupon.code}: This coupon has reached its usage limit, or you have already used it`);
+              error.status = 400;
+              throw error;
+            }
+          }
+
+          // Conditional, so one authorization can't pay for two orders
+          if (payment) {
+            linkedPayment = await Payment.findOneAndUpdate(
+              { _id: payment._id, order: null, status: 'authorized' },
+              { order: orderId },
+              { new: true, session }
+            );
+
+            if (!linkedPayment) {
+              const error = new Error('This payment has already been used');
+              error.status = 409;
+              throw error;
+            }
+          }
+
+          // Claiming is conditional, so a reservation the sweeper just released isn't used
+          if (reservation) {
+            claimed = await StockReservation.findOneAndUpdate(
+              { _id: reservation._id, status: 'active' },
+              { status: 'converted', order: orderId },
+              { new: true, session }
+            );
+          }
+
+          const { shortfall, surplus } = diffReservation(claimed?.items || [], items);
+          const { applied, failed } = await decrementStock(shortfall, { session });
+          stockTaken = applied;
+
+          if (failed.length > 0) {
+            const latest = await Product.find({ _id: { $in: failed.map(line => line.product._id) } })
+              .session(session);
+            throw new OutOfStockError(failed.map(line => {
+              const product = latest.find(p => p._id.equals(line.product._id)) || null;
+              return describeFailedLine(
+                { _id: line.itemId, product: line.product._id, quantity: line.quantity },
+                product,
+                findVariant(product, line.variant),
+                `Insufficient stock for ${line.product.name}`
+              );
+            }));
+          }
+
+          [createdOrder] = await Order.create([orderData], { session });
+
+          if (cart) {
+            await Cart.updateOne(
+              { _id: cart._id },
+              { $set: { items: [] }, $unset: { couponCode: 1 } },
+              { session }
+            );
+          }
+
+          // Reserved units the order didn't need go back on sale
+          await incrementStock(surplus, { session });
+
+          return createdOrder;
+        } catch (error) {
+          if (!session) {
+            if (createdOrder) {
+              await Order.deleteOne({ _id: createdOrder._id });
+            }
+            await incrementStock(stockTaken);
+            if (claimed) {
+              // Hand the reservation back; it is released on expiry as usual
+              await StockReservation.updateOne(
+                { _id: claimed._id, status: 'converted' },
+                { status: 'active', $unset: { order: 1 } }
+              );
+            }
+            if (linkedPayment) {
+              await Payment.updateOne({ _id: linkedPayment._id }, { $unset: { order: 1 } });
+            }
+            if (redeemed) {
+              await releaseCouponRedemption(coupon._id, orderId);
+            }
+          }
+          throw error;
+        }
+      });
+    } catch (error) {
+      if (error instanceof OutOfStockError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          failedItems: error.failedItems
+        });
+      }
+      throw error;
+    }
+
+    // Orders that come to zero are paid for as soon as they are placed
+    if (!payment) {
+      await recordOrderSales(order);
+    }
+
+    // A failed capture leaves the payment authorized, for an admin to capture later
+    if (payment && isAutoCapture()) {
+      try {
+        await capturePayment(await Payment.findById(payment._id));
+      } catch (error) {
+        console.error(`Failed to capture payment for order ${order.orderNumber}:`, error.message);
+      }
+    }
 
     const populatedOrder = await Order.findById(order._id)
       .populate('user', 'name email')
@@ -109,6 +477,8 @@ router.post('/', protect, [
     res.status(201).json({
       success: true,
       data: populatedOrder,
+      // Only handed out now; the order keeps a hash of it
+      lookupToken: lookupToken?.token,
       message: 'Order created successfully'
     });
   } catch (error) {
@@ -142,9 +512,10 @@ router.get('/', protect, async (req, res, next) => {
       query.status = status;
     }
 
-    // Search functionality - search in orderNumber
+    // Search functionality - search in orderNumber, or a merchant's own number for a sub-order
     if (search) {
-      query.orderNumber = new RegExp(search, 'i');
+      const pattern = new RegExp(search, 'i');
+      query.$or = [{ orderNumber: pattern }, { 'subOrders.merchantOrderNumber': pattern }];
     }
 
     const pageNum = parseInt(page);
@@ -169,28 +540,12 @@ router.get('/', protect, async (req, res, next) => {
       const merchantId = req.user._id.toString();
       orders = orders.filter(order => {
         if (!order.items || !Array.isArray(order.items)) return false;
-        return order.items.some(item => {
-          const product = item.product;
-          if (!product) return false;
-          
-          // Check if product has merchant field and it matches current user
-          // Handle both populated merchant object and merchant ID string
-          let productMerchantId = null;
-          if (product.merchant) {
-            if (typeof product.merchant === 'object' && product.merchant._id) {
-              productMerchantId = product.merchant._id.toString();
-            } else if (typeof product.merchant === 'string') {
-              productMerchantId = product.merchant;
-            } else if (product.merchant.toString) {
-              productMerchantId = product.merchant.toString();
-            }
-          }
-          
-          return productMerchantId === merchantId;
-        });
+        return order.items.some(item => isMerchantLine(item, merchantId));
       });
       // Limit to requested amount after filtering
-      orders = orders.slice(0, limitNum);
+      orders = orders.slice(0, limitNum).map(order => scopeOrderToMerchant(order, merchantId));
+    } else if (req.user.role !== 'admin') {
+      orders = orders.map(scopeOrderToCustomer);
     }
 
     // If admin and search provided, filter by user name/email too
@@ -199,7 +554,7 @@ router.get('/', protect, async (req, res, next) => {
       orders = orders.filter(order => {
         const orderNumber = (order.orderNumber || '').toLowerCase();
         const userName = (order.user?.name || '').toLowerCase();
-        const userEmail = (order.user?.email || '').toLowerCase();
+        const userEmail = (order.user?.email || order.guestEmail || '').toLowerCase();
         return orderNumber.includes(searchLower) || 
                userName.includes(searchLower) || 
                userEmail.includes(searchLower);
@@ -225,15 +580,114 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+// @route   POST /api/orders/track
+// @desc    Track an order by its number and the email it was placed with
+// @access  Public
+router.post('/track', [
+  body('orderNumber').trim().notEmpty().withMessage('Order number is required'),
+  body('email').trim().isEmail().withMessage('Please provide a valid email')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber: req.body.orderNumber })
+      .populate('user', 'email')
+      .populate('items.product', 'name slug images brand');
+
+    // The same answer whether the number or the email is wrong, so order numbers can't
+    // be probed
+    if (!order || getOrderEmail(order)?.toLowerCase() !== req.body.email.toLowerCase()) {
+      return res.status(404).json({
+        success: false,
+        message: 'No order matches that order number and email'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toTrackingView(order)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/track/:token
+// @desc    Track an order with a signed tracking link
+// @access  Public
+router.get('/track/:token', async (req, res, next) => {
+  try {
+    const orderId = verifyTrackingToken(req.params.token);
+    const order = orderId && await Order.findById(orderId)
+      .populate('items.product', 'name slug images brand');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'This tracking link is not valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toTrackingView(order)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/lookup/:token
+// @desc    Get a guest order by the lookup token it was placed with
+// @access  Public
+router.get('/lookup/:token', async (req, res, next) => {
+  try {
+    const order = await findOrderByLookupToken(req.params.token)
+      .populate('items.product');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: scopeOrderToCustomer(order)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/orders/:id
 // @desc    Get order by ID
 // @access  Private
 router.get('/:id', protect, async (req, res, next) => {
   try {
-    const order = await Order.findById(req.params.id)
+    const isAdmin = req.user.role === 'admin';
+    let query = Order.findById(req.params.id)
       .populate('user', 'name email')
       .populate('items.product');
 
+    // Admins get the full audit trail: who changed what, and the staff's notes
+    if (isAdmin) {
+      query = query
+        .select('+internalNotes')
+        .populate('statusHistory.changedBy', 'name role')
+        .populate('internalNotes.author', 'name');
+    }
+
+    const order = await query;
+
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -242,7 +696,7 @@ router.get('/:id', protect, async (req, res, next) => {
     }
 
     // Check if user owns this order (unless admin)
-    if (req.user.role !== 'admin' && order.user._id.toString() !== req.user._id.toString()) {
+    if (!isAdmin && !isOrderOwner(order, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this order'
@@ -251,13 +705,280 @@ router.get('/:id', protect, async (req, res, next) => {
 
     res.json({
       success: true,
-      data: order
+      data: isAdmin ? order : scopeOrderToCustomer(order)
     });
   } catch (error) {
     next(error);
   }
 });
 
+// @route   GET /api/orders/:id/tracking-link
+// @desc    A signed link anyone can track the order with, e.g. to share with a gift recipient
+// @access  Private
+router.get('/:id/tracking-link', protect, async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !isOrderOwner(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: createTrackingToken(order),
+        url: getTrackingUrl(order)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/orders/:id/reorder
+// @desc    Buy again: add an order's lines to the customer's cart at today's prices.
+//          Variants are matched by ID, or by their option when the product's variants
+//          were recreated. Cancelled units aren't reordered. Lines that are gone or out of
+//          stock are left out, and changes reports each line as added, combined, limited
+//          or unavailable.
+// @access  Private
+router.post('/:id/reorder', protect, async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!isOrderOwner(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reorder this order'
+      });
+    }
+
+    let cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart) {
+      cart = await Cart.create({ user: req.user._id, items: [] });
+    }
+
+    // Only what the customer ended up buying
+    const orderItems = order.items.filter(item => getActiveQuantity(item) > 0);
+
+    const lines = [];
+    for (const item of orderItems) {
+      const product = await Product.findById(item.product);
+      const details = item.variantDetails;
+      const variant = product && item.variant && (
+        findVariant(product, item.variant) ||
+        product.variants.find(v => details?.value && v.type === details.type && v.value === details.value)
+      );
+
+      lines.push({
+        productId: item.product,
+        product,
+        variant: variant?._id || item.variant,
+        quantity: getActiveQuantity(item)
+      });
+    }
+
+    const changes = addLinesToCart(cart, lines);
+    // Name lines that are gone from the order's copy of them
+    changes.forEach((change, index) => {
+      change.name = change.name || orderItems[index].name;
+      change.variantName = change.variantName || orderItems[index].variantName;
+    });
+
+    await cart.save();
+
+    const added = changes.filter(change => change.status !== 'unavailable').length;
+
+    res.json({
+      success: true,
+      data: { changes },
+      message: added > 0
+        ? `${added} ${added === 1 ? 'item' : 'items'} added to your cart`
+        : 'None of the items in this order are available right now'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/orders/documents
+// @desc    Invoices or packing slips for a selection of orders, as one PDF (Admin).
+//          Orders that can't be invoiced yet are left out and listed in X-Skipped-Orders.
+// @access  Private (Admin)
+router.post('/documents', protect, authorize('admin'), [
+  body('orderIds').isArray({ min: 1, max: 100 }).withMessage('Select between 1 and 100 orders'),
+  body('orderIds.*').isMongoId().withMessage('Invalid order ID'),
+  body('document').isIn(['invoice', 'packing-slip']).withMessage('Document must be invoice or packing-slip')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const { orderIds, document } = req.body;
+    const orders = await Order.find({ _id: { $in: orderIds } })
+      .populate('items.product', 'name merchant')
+      .sort({ createdAt: 1 });
+
+    const skipped = [];
+    let pdf;
+
+    if (document === 'invoice') {
+      const invoices = [];
+
+      // One at a time, so the invoice numbers follow the order dates
+      for (const order of orders) {
+        if (!canInvoiceOrder(order)) {
+          skipped.push(order.orderNumber);
+          continue;
+        }
+
+        invoices.push({
+          order,
+          invoice: await issueInvoice(order),
+          refunded: await getRefundedAmount(order)
+        });
+      }
+
+      if (invoices.length > 0) pdf = await renderInvoicesPdf(invoices);
+    } else {
+      const slips = [];
+
+      for (const order of orders) {
+        const shipments = getShipments(order);
+        if (shipments.length === 0) {
+          skipped.push(order.orderNumber);
+          continue;
+        }
+
+        slips.push({ order, shipments });
+      }
+
+      if (slips.length > 0) pdf = await renderPackingSlipsPdf(slips);
+    }
+
+    if (!pdf) {
+      return res.status(400).json({
+        success: false,
+        message: document === 'invoice'
+          ? 'None of the selected orders have been paid for yet'
+          : 'None of the selected orders have anything left to ship'
+      });
+    }
+
+    if (skipped.length > 0) {
+      res.set('X-Skipped-Orders', skipped.join(','));
+    }
+
+    sendPdf(res, pdf, `${document === 'invoice' ? 'invoices' : 'packing-slips'}.pdf`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/:id/invoice.pdf
+// @desc    The order's invoice, issuing its number the first time it is asked for. Only
+//          orders that have been paid for are invoiced.
+// @access  Private
+router.get('/:id/invoice.pdf', protect, async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('items.product', 'name merchant');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !isOrderOwner(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    if (!canInvoiceOrder(order)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An invoice is available once the order has been paid for'
+      });
+    }
+
+    const invoice = await issueInvoice(order);
+    const pdf = await renderInvoicesPdf([{ order, invoice, refunded: await getRefundedAmount(order) }]);
+
+    sendPdf(res, pdf, `${invoice.invoiceNumber}.pdf`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/:id/packing-slip.pdf
+// @desc    Packing slips for the order, one page per shipment. Merchants get the slip for
+//          their own sub-order.
+// @access  Private (Admin/Merchant)
+router.get('/:id/packing-slip.pdf', protect, authorize('admin', 'merchant'), async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('items.product', 'name merchant');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const merchantId = req.user.role === 'merchant' ? req.user._id.toString() : undefined;
+
+    if (merchantId && !order.items.some(item => isMerchantLine(item, merchantId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    const shipments = getShipments(order, merchantId);
+    if (shipments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing is left to ship on this order'
+      });
+    }
+
+    const pdf = await renderPackingSlipsPdf([{ order, shipments }]);
+
+    sendPdf(res, pdf, `packing-slip-${order.orderNumber}.pdf`);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   PUT /api/orders/:id/cancel
 // @desc    Cancel an order
 // @access  Private
@@ -273,49 +994,89 @@ router.put('/:id/cancel', protect, async (req, res, next) => {
     }
 
     // Check if user owns this order
-    if (order.user.toString() !== req.user._id.toString()) {
+    if (!isOrderOwner(order, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to cancel this order'
       });
     }
 
-    // Check if order can be cancelled
-    if (['cancelled', 'delivered', 'shipped'].includes(order.status)) {
+    // Restocks the lines, voids or refunds the payment and gives the coupon use back.
+    // Orders that have started shipping can't be cancelled as a whole.
+    await transitionOrder(order, 'cancelled', { user: req.user, comment: 'Cancelled by the customer' });
+
+    res.json({
+      success: true,
+      data: scopeOrderToCustomer(order),
+      message: 'Order cancelled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/orders/:id/items/cancel
+// @desc    Cancel some lines of an order, or reduce their quantity, before they ship.
+//          The order is re-priced and the difference refunded.
+// @access  Private (order owner or Admin)
+router.put('/:id/items/cancel', protect, [
+  body('items').isArray({ min: 1 }).withMessage('Select at least one item to cancel'),
+  body('items.*.itemId').isMongoId().withMessage('Invalid order item'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: `Cannot cancel order with status: ${order.status}`
+        message: 'Validation error',
+        errors: errors.array()
       });
     }
 
-    // Restore product stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.stock += item.quantity;
-        await product.save();
-      }
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !isOrderOwner(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel items of this order'
+      });
     }
 
-    order.status = 'cancelled';
-    await order.save();
+    order.setChangedBy(req.user);
+    const { refunded } = await cancelOrderLines(order, req.body.items);
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate('user', 'name email')
+      .populate('items.product');
 
     res.json({
       success: true,
-      data: order,
-      message: 'Order cancelled successfully'
+      data: req.user.role === 'admin' ? populatedOrder : scopeOrderToCustomer(populatedOrder),
+      refunded,
+      message: order.status === 'cancelled' ? 'Order cancelled successfully' : 'Items cancelled successfully'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   PUT /api/orders/:id/status
-// @desc    Update order status (Admin or Merchant)
+// @route   PUT /api/orders/:id/items/:itemId/fulfillment
+// @desc    Mark a line shipped, or delivered once it has shipped (Admin, or the Merchant who
+//          sells it). The (sub-)order moves along its transitions once all of its remaining
+//          lines have, and needs a tracking number to ship.
 // @access  Private (Admin/Merchant)
-router.put('/:id/status', protect, authorize('admin', 'merchant'), [
-  body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
-    .withMessage('Invalid status')
+router.put('/:id/items/:itemId/fulfillment', protect, authorize('admin', 'merchant'), [
+  body('status').isIn(['shipped', 'delivered']).withMessage('Invalid fulfilment status'),
+  body('trackingNumber').optional({ nullable: true }).isString().trim().isLength({ max: 100 })
+    .withMessage('Tracking number must be at most 100 characters')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -327,9 +1088,107 @@ router.put('/:id/status', protect, authorize('admin', 'merchant'), [
       });
     }
 
-    const order = await Order.findById(req.params.id)
+    const order = await Order.findById(req.params.id).populate('items.product');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const item = order.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in this order'
+      });
+    }
+
+    if (req.user.role === 'merchant' && !isMerchantLine(item, req.user._id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this item'
+      });
+    }
+
+    // Lines go by their sub-order's status, older orders by the order's
+    const subOrder = order.subOrders.find(candidate => candidate.items.some(itemId => itemId.equals(item._id)));
+    const currentStatus = order.status === 'returned' ? order.status : (subOrder?.status || order.status);
+
+    if (['pending', 'cancelled', 'returned'].includes(currentStatus) || !canAdvanceFulfillment(item, req.body.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark a ${item.fulfillmentStatus || 'pending'} item as ${req.body.status} while the ${subOrder ? 'sub-order' : 'order'} is ${currentStatus}`
+      });
+    }
+
+    item.fulfillmentStatus = req.body.status;
+
+    // Once all of its remaining lines have shipped or been delivered, the (sub-)order
+    // follows them along its transitions. Like shipping it directly, that needs a
+    // tracking number.
+    const shipment = subOrder || order;
+    const lineStatus = getStatusFromLines(subOrder ? getSubOrderItems(order, subOrder) : order.items);
+    const moves = Boolean(lineStatus) && lineStatus !== shipment.status;
+
+    if (moves && lineStatus === 'shipped' && !shipment.trackingNumber && !req.body.trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: `A tracking number is needed to mark the last item of the ${subOrder ? 'sub-order' : 'order'} as shipped`
+      });
+    }
+
+    if (moves) {
+      await transitionOrder(order, lineStatus, {
+        subOrder,
+        user: req.user,
+        trackingNumber: req.body.trackingNumber
+      });
+    } else {
+      order.setChangedBy(req.user);
+      await order.save();
+    }
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate('user', 'name email')
       .populate('items.product');
 
+    res.json({
+      success: true,
+      data: populatedOrder,
+      message: 'Item status updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/orders/:id/sub-orders/:subOrderId
+// @desc    Update a sub-order's status, tracking number or estimated delivery (Admin, or the
+//          Merchant whose sub-order it is). Cancelling it cancels its lines and refunds them.
+// @access  Private (Admin/Merchant)
+router.put('/:id/sub-orders/:subOrderId', protect, authorize('admin', 'merchant'), [
+  body('status').optional().isIn([...SUB_ORDER_STEPS, 'cancelled']).withMessage('Invalid status'),
+  body('trackingNumber').optional({ nullable: true }).isString().trim().isLength({ max: 100 })
+    .withMessage('Tracking number must be at most 100 characters'),
+  body('estimatedDelivery').optional({ nullable: true }).isISO8601().withMessage('Invalid estimated delivery date'),
+  body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+    .withMessage('Comment must be at most 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -337,41 +1196,106 @@ router.put('/:id/status', protect, authorize('admin', 'merchant'), [
       });
     }
 
-    // If merchant, check if order contains their products
-    if (req.user.role === 'merchant') {
-      const merchantId = req.user._id.toString();
-      const hasMerchantProduct = order.items.some(item => {
-        const product = item.product;
-        if (!product) return false;
-        
-        // Check if product belongs to merchant
-        let productMerchantId = null;
-        if (product.merchant) {
-          if (typeof product.merchant === 'object' && product.merchant._id) {
-            productMerchantId = product.merchant._id.toString();
-          } else if (typeof product.merchant === 'string') {
-            productMerchantId = product.merchant;
-          } else if (product.merchant.toString) {
-            productMerchantId = product.merchant.toString();
-          }
-        }
-        
-        return productMerchantId === merchantId;
+    const subOrder = order.subOrders.id(req.params.subOrderId);
+
+    if (!subOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sub-order not found'
       });
+    }
 
-      if (!hasMerchantProduct) {
-        return res.status(403).json({
+    if (req.user.role === 'merchant' && subOrder.merchant?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this sub-order'
+      });
+    }
+
+    if (['cancelled', 'returned'].includes(order.status) || subOrder.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot update a sub-order that is ${subOrder.status === 'cancelled' ? 'cancelled' : `part of a ${order.status} order`}`
+      });
+    }
+
+    if (req.body.trackingNumber !== undefined) {
+      if (!req.body.trackingNumber && ['shipped', 'delivered'].includes(subOrder.status)) {
+        return res.status(400).json({
           success: false,
-          message: 'Not authorized to update this order. Order does not contain your products.'
+          message: 'A sub-order that has shipped needs a tracking number'
         });
       }
+
+      subOrder.trackingNumber = req.body.trackingNumber || undefined;
     }
 
-    order.status = req.body.status;
+    if (req.body.estimatedDelivery !== undefined) {
+      subOrder.estimatedDelivery = req.body.estimatedDelivery ? new Date(req.body.estimatedDelivery) : undefined;
+    }
 
-    // Add tracking number if provided
-    if (req.body.trackingNumber) {
-      order.trackingNumber = req.body.trackingNumber;
+    const { status } = req.body;
+    let refunded = 0;
+
+    if (status) {
+      // Checks the move is allowed; cancelling restocks and refunds the sub-order's lines
+      ({ refunded } = await transitionOrder(order, status, {
+        subOrder,
+        user: req.user,
+        comment: req.body.comment
+      }));
+    } else {
+      order.setChangedBy(req.user, req.body.comment);
+      await order.save();
+    }
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate('user', 'name email phone')
+      .populate('items.product');
+
+    res.json({
+      success: true,
+      data: req.user.role === 'merchant'
+        ? scopeOrderToMerchant(populatedOrder, req.user._id.toString())
+        : populatedOrder,
+      refunded,
+      message: status === 'cancelled' ? 'Sub-order cancelled' : 'Sub-order updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/orders/:id/status
+// @desc    Move a whole order on to its next status (Admin). Only the moves in
+//          ORDER_TRANSITIONS are allowed; sub-orders that are behind move along with it,
+//          and merchants update their own sub-order instead.
+// @access  Private (Admin)
+router.put('/:id/status', protect, authorize('admin'), [
+  body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'])
+    .withMessage('Invalid status'),
+  body('trackingNumber').optional({ nullable: true }).isString().trim().isLength({ max: 100 })
+    .withMessage('Tracking number must be at most 100 characters'),
+  body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+    .withMessage('Comment must be at most 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
     }
 
     // Add estimated delivery if provided
@@ -379,7 +1303,12 @@ router.put('/:id/status', protect, authorize('admin', 'merchant'), [
       order.estimatedDelivery = new Date(req.body.estimatedDelivery);
     }
 
-    await order.save();
+    // Checks the move is allowed, then restocks, captures or ships as it requires
+    const { refunded } = await transitionOrder(order, req.body.status, {
+      user: req.user,
+      trackingNumber: req.body.trackingNumber,
+      comment: req.body.comment
+    });
 
     const populatedOrder = await Order.findById(order._id)
       .populate('user', 'name email')
@@ -388,6 +1317,7 @@ router.put('/:id/status', protect, authorize('admin', 'merchant'), [
     res.json({
       success: true,
       data: populatedOrder,
+      refunded,
       message: 'Order status updated'
     });
   } catch (error) {
@@ -395,5 +1325,48 @@ router.put('/:id/status', protect, authorize('admin', 'merchant'), [
   }
 });
 
+// @route   POST /api/orders/:id/notes
+// @desc    Add an internal note to an order. Notes are only ever shown to admins.
+// @access  Private (Admin)
+router.post('/:id/notes', protect, authorize('admin'), [
+  body('note').isString().trim().isLength({ min: 1, max: 2000 })
+    .withMessage('Note must be between 1 and 2000 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    // Pushed rather than saved, so notes added at the same time aren't lost
+    const order = await Order.findByIdAndUpdate(
+      req.params.id,
+      { $push: { internalNotes: { body: req.body.note, author: req.user._id } } },
+      { new: true }
+    )
+      .select('internalNotes')
+      .populate('internalNotes.author', 'name');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: order.internalNotes,
+      message: 'Note added'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
 
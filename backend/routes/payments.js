@@ -0,0 +1,313 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { protect, optionalAuth, authorize } from '../middleware/auth.js';
+import { buildQuote, loadGuestItems } from '../utils/pricing.js';
+import {
+  getPaymentProvider,
+  authorizePayment,
+  confirmPayment,
+  capturePayment,
+  voidPayment,
+  refundPayment,
+  voidUnusedPayments,
+  applyPaymentEvent
+} from '../utils/payments.js';
+
+const router = express.Router();
+
+// Load the payment in the URL, responding with 404/403 when it's missing or someone else's.
+// Guests prove a guest checkout's payment is theirs with the email it was made under.
+const loadPayment = async (req, res) => {
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+    return null;
+  }
+
+  const isOwner = req.user
+    ? req.user.role === 'admin' || payment.user?.toString() === req.user._id.toString()
+    : !payment.user && Boolean(payment.guestEmail) &&
+      payment.guestEmail === String(req.body.email || '').trim().toLowerCase();
+
+  if (!isOwner) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this payment'
+    });
+    return null;
+  }
+
+  return payment;
+};
+
+// @route   GET /api/payments/config
+// @desc    Get the active payment provider, and its test cards when it has any
+// @access  Public
+router.get('/config', (req, res, next) => {
+  try {
+    const provider = getPaymentProvider();
+
+    res.json({
+      success: true,
+      data: {
+        provider: provider.name,
+        testCards: provider.testCards || []
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Receive payment events from a provider and update the payment and its order
+// @access  Public (signed by the provider)
+router.post('/webhook/:provider', async (req, res, next) => {
+  try {
+    let provider;
+    try {
+      provider = getPaymentProvider(req.params.provider);
+    } catch {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment provider'
+      });
+    }
+
+    const event = provider.parseWebhook(req);
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const payment = await applyPaymentEvent(provider.name, event);
+
+    // Unknown transactions are acknowledged so the provider stops retrying
+    res.json({
+      success: true,
+      data: payment ? { payment: payment._id, status: payment.status } : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/authorize
+// @desc    Authorize the checkout total for the customer's cart. The order is placed
+//          with the returned payment ID once its status is authorized. Guests send their
+//          cart lines as items: [{ productId, variant, quantity }] and their email.
+// @access  Public (guests) / Private
+router.post('/authorize', optionalAuth, [
+  body('paymentDetails').isObject().withMessage('Payment details are required'),
+  body('email').optional().trim().isEmail().withMessage('Please provide a valid email'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('shippingAddress').optional().isObject().withMessage('Shipping address must be an object'),
+  body('shippingMethod').optional().isString().withMessage('Invalid shipping method')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user && !req.body.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required to check out as a guest'
+      });
+    }
+
+    const cart = req.user && await Cart.findOne({ user: req.user._id }).populate('items.product');
+    const guestCart = !req.user && await loadGuestItems(req.body.items);
+    const items = req.user ? cart?.items || [] : guestCart.items;
+
+    // Guests are told about lines that can't be bought, rather than paying for the rest
+    if (guestCart?.failedItems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: guestCart.failedItems.length === 1
+          ? guestCart.failedItems[0].message
+          : 'Some items in your cart are unavailable',
+        failedItems: guestCart.failedItems
+      });
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const { quote } = await buildQuote({
+      items,
+      user: req.user,
+      couponCode: cart?.couponCode,
+      shippingMethod: req.body.shippingMethod,
+      shippingAddress: req.body.shippingAddress
+    });
+
+    // Only the newest authorization is used; earlier ones are let go
+    if (req.user) {
+      await voidUnusedPayments(req.user._id);
+    }
+
+    const payment = await authorizePayment({
+      user: req.user?._id,
+      guestEmail: req.body.email,
+      amount: quote.total,
+      paymentDetails: req.body.paymentDetails
+    });
+
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        message: payment.failureMessage || 'Your payment was declined',
+        data: payment
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      message: payment.status === 'requires_action'
+        ? 'Additional authentication is required'
+        : 'Payment authorized'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/:id/confirm
+// @desc    Complete the action an authorization is waiting on (e.g. a 3-D Secure challenge).
+//          Guests send the email the payment was made under.
+// @access  Public (guests) / Private
+router.post('/:id/confirm', optionalAuth, async (req, res, next) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    await confirmPayment(payment, req.body);
+
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        message: payment.failureMessage || 'Your payment was declined',
+        data: payment
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Payment authorized'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/:id/capture
+// @desc    Capture an authorized payment, by default for its order's current total
+//          (lower than authorized when items were cancelled)
+// @access  Private (Admin)
+router.post('/:id/capture', protect, authorize('admin'), [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be a positive number')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    let amount = req.body.amount != null ? Number(req.body.amount) : undefined;
+    if (amount === undefined && payment.order) {
+      const order = await Order.findById(payment.order, 'total');
+      amount = order ? Math.min(order.total, payment.amount) : undefined;
+    }
+
+    await capturePayment(payment, amount);
+
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Payment captured'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/:id/void
+// @desc    Void an authorization that hasn't been captured
+// @access  Private (Admin)
+router.post('/:id/void', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    await voidPayment(payment);
+
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Payment voided'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/:id/refund
+// @desc    Refund a captured payment, in full or for an amount
+// @access  Private (Admin)
+router.post('/:id/refund', protect, authorize('admin'), [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be a positive number')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    await refundPayment(payment, req.body.amount != null ? Number(req.body.amount) : undefined);
+
+    res.json({
+      success: true,
+      data: payment,
+      message: 'Payment refunded'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -214,7 +214,8 @@ router.get('/categories', async (req, res, next) => {
 // @desc    Create a new category (Admin only)
 // @access  Private/Admin
 router.post('/categories', protect, authorize('admin'), [
-  body('name').trim().notEmpty().withMessage('Category name is required')
+  body('name').trim().notEmpty().withMessage('Category name is required'),
+  body('taxClass').optional().trim().notEmpty().withMessage('Tax class cannot be empty')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -225,7 +226,7 @@ router.post('/categories', protect, authorize('admin'), [
       });
     }
 
-    const { name, image } = req.body;
+    const { name, image, taxClass } = req.body;
     
     // Check if category already exists
     const existingCategory = await Category.findOne({ 
@@ -245,6 +246,7 @@ router.post('/categories', protect, authorize('admin'), [
     const category = await Category.create({
       name,
       image,
+      taxClass,
       slug: name.toLowerCase().replace(/\s+/g, '-').replace(/[^\w-]+/g, '')
     });
 
@@ -257,6 +259,43 @@ router.post('/categories', protect, authorize('admin'), [
   }
 });
 
+// @route   PUT /api/products/categories/:id
+// @desc    Update a category's image or tax class (Admin only)
+// @access  Private/Admin
+router.put('/categories/:id', protect, authorize('admin'), [
+  body('taxClass').optional().trim().notEmpty().withMessage('Tax class cannot be empty')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { image, taxClass } = req.body;
+    if (image !== undefined) category.image = image;
+    if (taxClass !== undefined) category.taxClass = taxClass;
+    await category.save();
+
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/products/:id
 // @desc    Get product by ID or slug
 // @access  Public
@@ -0,0 +1,98 @@
+import express from 'express';
+import Cart from '../models/Cart.js';
+import StockReservation from '../models/StockReservation.js';
+import { protect } from '../middleware/auth.js';
+import { findVariant, describeFailedLine } from '../utils/inventory.js';
+import { reserveStock, releaseReservation, getReservationMinutes } from '../utils/reservations.js';
+import { withTransaction } from '../utils/transaction.js';
+
+const router = express.Router();
+
+// @route   POST /api/reservations
+// @desc    Reserve the cart's quantities while the customer checks out. Replaces any
+//          reservation they already hold; lines without enough stock are returned in failedItems
+// @access  Private
+router.post('/', protect, async (req, res, next) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id })
+      .populate('items.product');
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const lines = cart.items
+      .filter(item => item.product)
+      .map(item => ({
+        itemId: item._id,
+        product: item.product,
+        variant: findVariant(item.product, item.variant),
+        quantity: item.quantity
+      }));
+
+    const { reservation, failed } = await withTransaction((session) => {
+      return reserveStock(req.user._id, lines, { session });
+    });
+
+    res.status(reservation ? 201 : 200).json({
+      success: true,
+      data: reservation,
+      failedItems: failed.map(line => describeFailedLine(
+        { _id: line.itemId, quantity: line.quantity },
+        line.product,
+        line.variant,
+        `Not enough stock to reserve ${line.product.name}`
+      )),
+      message: reservation
+        ? `Items reserved for ${getReservationMinutes()} minutes`
+        : 'None of the items in your cart could be reserved'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/reservations/current
+// @desc    Get the customer's active reservation, if any
+// @access  Private
+router.get('/current', protect, async (req, res, next) => {
+  try {
+    const reservation = await StockReservation.findOne({
+      user: req.user._id,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.json({
+      success: true,
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/reservations
+// @desc    Release the customer's reservation, e.g. when they leave checkout
+// @access  Private
+router.delete('/', protect, async (req, res, next) => {
+  try {
+    const reservations = await StockReservation.find({ user: req.user._id, status: 'active' });
+
+    for (const reservation of reservations) {
+      await releaseReservation(reservation);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reservation released'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,475 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import ReturnRequest from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { incrementStock } from '../utils/inventory.js';
+import { refundPayment } from '../utils/payments.js';
+import { recordReturnRefund } from '../utils/ledger.js';
+import { canTransition, transitionOrder } from '../utils/orderStatus.js';
+import {
+  RETURN_TRANSITIONS,
+  getReturnDeadline,
+  getReturnableQuantities,
+  getUnitRefund,
+  setReturnStatus
+} from '../utils/returns.js';
+
+const router = express.Router();
+
+// Check whether a user may see a return: the customer who asked for it, an admin,
+// or a merchant who sold one of its lines
+const canAccessReturn = (rma, user) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'merchant') {
+    return rma.items.some(item => item.merchant?.toString() === user._id.toString());
+  }
+  return (rma.user._id || rma.user).toString() === user._id.toString();
+};
+
+// Check whether staff may approve, receive or refund a return: a merchant only when every
+// line is theirs, so returns spanning several merchants are left to an admin
+const canManageReturn = (rma, user) => {
+  if (user.role === 'admin') return true;
+  return user.role === 'merchant' &&
+    rma.items.every(item => item.merchant?.toString() === user._id.toString());
+};
+
+const canAccessOrder = (order, user) => {
+  return user.role === 'admin' || order.user?.toString() === user._id.toString();
+};
+
+// @route   GET /api/returns
+// @desc    Get returns: the customer's own, a merchant's (containing their lines), or all for admins
+// @access  Private
+router.get('/', protect, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = {};
+
+    if (req.user.role === 'merchant') {
+      query['items.merchant'] = req.user._id;
+    } else if (req.user.role !== 'admin') {
+      query.user = req.user._id;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('order', 'orderNumber total paymentStatus')
+        .populate('user', 'name email'),
+      ReturnRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: returns,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/returns/order/:orderId
+// @desc    Get an order's returns, the units that can still be returned and the return deadline
+// @access  Private
+router.get('/order/:orderId', protect, async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 });
+    const returnable = getReturnableQuantities(order, returns);
+    const deadline = getReturnDeadline(order);
+
+    res.json({
+      success: true,
+      data: {
+        returnableUntil: deadline,
+        eligible: Boolean(deadline && deadline >= new Date()),
+        items: order.items.map(item => ({
+          itemId: item._id,
+          returnable: returnable.get(item._id.toString()) || 0
+        })),
+        returns
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/returns/:id
+// @desc    Get a return by ID
+// @access  Private
+router.get('/:id', protect, async (req, res, next) => {
+  try {
+    const rma = await ReturnRequest.findById(req.params.id)
+      .populate('order', 'orderNumber total paymentStatus')
+      .populate('user', 'name email')
+      .populate('statusHistory.changedBy', 'name');
+
+    if (!rma) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    if (!canAccessReturn(rma, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this return'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rma
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/returns
+// @desc    Request a return for some of a delivered order's lines
+// @access  Private
+router.post('/', protect, [
+  body('orderId').isMongoId().withMessage('Order is required'),
+  body('items').isArray({ min: 1 }).withMessage('Select at least one item to return'),
+  body('items.*.itemId').isMongoId().withMessage('Invalid order item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('reason').isIn(['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'])
+    .withMessage('Invalid return reason'),
+  body('comments').optional().isString().isLength({ max: 1000 }).withMessage('Comments must be at most 1000 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.body.orderId).populate('items.product', 'merchant');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.user?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to return items from this order'
+      });
+    }
+
+    const deadline = getReturnDeadline(order);
+    if (!deadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only delivered orders can be returned'
+      });
+    }
+
+    if (deadline < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `The return window for this order closed on ${deadline.toLocaleDateString()}`
+      });
+    }
+
+    const existingReturns = await ReturnRequest.find({ order: order._id });
+    const returnable = getReturnableQuantities(order, existingReturns);
+
+    const items = [];
+    for (const requested of req.body.items) {
+      const item = order.items.id(requested.itemId);
+
+      if (!item) {
+        return res.status(400).json({
+          success: false,
+          message: 'Item not found in this order'
+        });
+      }
+
+      const available = returnable.get(item._id.toString()) || 0;
+      if (requested.quantity > available) {
+        return res.status(400).json({
+          success: false,
+          message: available === 0
+            ? `${item.name || 'This item'} has already been returned`
+            : `Only ${available} of ${item.name || 'this item'} can be returned`
+        });
+      }
+      returnable.set(item._id.toString(), available - requested.quantity);
+
+      items.push({
+        orderItem: item._id,
+        product: item.product?._id || item.product,
+        variant: item.variant,
+        name: item.name,
+        variantName: item.variantName,
+        merchant: item.merchant || item.product?.merchant,
+        quantity: requested.quantity,
+        unitRefund: getUnitRefund(item)
+      });
+    }
+
+    const rma = await ReturnRequest.create({
+      order: order._id,
+      user: req.user._id,
+      items,
+      reason: req.body.reason,
+      comments: req.body.comments
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rma,
+      message: 'Return requested successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/returns/:id/status
+// @desc    Move a return along: staff approve, reject or receive it (restocking the items
+//          unless restock is false); the customer can cancel a return that is still requested
+// @access  Private
+router.put('/:id/status', protect, [
+  body('status').isIn(['approved', 'rejected', 'received', 'cancelled']).withMessage('Invalid status'),
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+  body('restock').optional().isBoolean().withMessage('Restock must be true or false').toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const rma = await ReturnRequest.findById(req.params.id);
+
+    if (!rma) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    const { status } = req.body;
+
+    // Customers may only withdraw their own return; everything else is for staff
+    const allowed = status === 'cancelled'
+      ? rma.user.toString() === req.user._id.toString() || req.user.role === 'admin'
+      : canManageReturn(rma, req.user);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this return'
+      });
+    }
+
+    if (!RETURN_TRANSITIONS[rma.status].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a return from ${rma.status} to ${status}`
+      });
+    }
+
+    // Claim the move, so two requests can't both make it (and restock the items twice)
+    const claimed = await ReturnRequest.findOneAndUpdate(
+      { _id: rma._id, status: rma.status },
+      { status },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This return was just updated. Reload it and try again.'
+      });
+    }
+
+    // Received items go back on sale unless they can't be resold
+    if (status === 'received' && req.body.restock !== false) {
+      try {
+        await incrementStock(claimed.items);
+      } catch (error) {
+        await ReturnRequest.updateOne({ _id: rma._id, status }, { status: rma.status });
+        throw error;
+      }
+      claimed.restocked = true;
+    }
+
+    setReturnStatus(claimed, status, { user: req.user, note: req.body.note });
+    await claimed.save();
+
+    res.json({
+      success: true,
+      data: claimed,
+      message: `Return ${status}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/returns/:id/refund
+// @desc    Refund a received return through the order's payment. Refunds what was paid for
+//          the returned units unless a (partial) amount is given.
+// @access  Private (Admin/Merchant)
+router.post('/:id/refund', protect, authorize('admin', 'merchant'), [
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const rma = await ReturnRequest.findById(req.params.id);
+
+    if (!rma) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    if (!canManageReturn(rma, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to refund this return'
+      });
+    }
+
+    if (!RETURN_TRANSITIONS[rma.status].includes('refunded')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only received returns can be refunded'
+      });
+    }
+
+    const order = await Order.findById(rma.order);
+    const owed = Math.round(rma.items.reduce((sum, item) => sum + item.unitRefund * item.quantity, 0) * 100) / 100;
+    const amount = req.body.amount != null ? Number(req.body.amount) : owed;
+
+    if (amount > owed) {
+      return res.status(400).json({
+        success: false,
+        message: `The refund can't be more than the ${owed.toFixed(2)} paid for the returned items`
+      });
+    }
+
+    const payment = amount > 0 && order?.payment && await Payment.findById(order.payment);
+
+    if (amount > 0 && !payment) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order has no payment to refund'
+      });
+    }
+
+    // Claim the return before paying out, so a second request for it can't refund it again
+    const claimed = await ReturnRequest.findOneAndUpdate(
+      { _id: rma._id, status: 'received' },
+      { status: 'refunded' },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This return is already being refunded'
+      });
+    }
+
+    if (payment) {
+      try {
+        await refundPayment(payment, amount);
+      } catch (error) {
+        // Give the return back so the refund can be tried again
+        await ReturnRequest.updateOne({ _id: rma._id, status: 'refunded' }, { status: 'received' });
+        throw error;
+      }
+      claimed.refundReference = payment.events[payment.events.length - 1].reference;
+    }
+
+    claimed.refundAmount = amount;
+    setReturnStatus(claimed, 'refunded', {
+      user: req.user,
+      note: req.body.note || (amount < owed ? `Partial refund of ${amount.toFixed(2)}` : undefined)
+    });
+    await claimed.save();
+
+    if (order) {
+      // Merchants give back what they were credited for the returned units
+      await recordReturnRefund(claimed, order, amount);
+
+      // The order counts as returned once every unit has been sent back and refunded
+      const returns = await ReturnRequest.find({ order: order._id, status: 'refunded' });
+      const remaining = getReturnableQuantities(order, returns);
+      if ([...remaining.values()].every(quantity => quantity === 0) && canTransition(order.status, 'returned', 'system')) {
+        await transitionOrder(order, 'returned', { comment: `Returned (${claimed.rmaNumber})` });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: claimed,
+      message: 'Return refunded'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,330 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import ShippingZone from '../models/ShippingZone.js';
+import ShippingMethod from '../models/ShippingMethod.js';
+import Cart from '../models/Cart.js';
+import { protect, authorize, optionalAuth } from '../middleware/auth.js';
+import { buildQuote, loadGuestItems } from '../utils/pricing.js';
+
+const router = express.Router();
+
+const zoneValidation = [
+  body('countries').optional().isArray({ min: 1 }).withMessage('Countries must be a non-empty array'),
+  body('states').optional().isArray().withMessage('States must be an array'),
+  body('priority').optional().isInt().withMessage('Priority must be a whole number')
+];
+
+const methodValidation = [
+  body('rateType').optional().isIn(['flat', 'weight', 'order_value']).withMessage('Invalid rate type'),
+  body('flatRate').optional().isFloat({ min: 0 }).withMessage('Flat rate must be a positive number'),
+  body('rates').optional().isArray().withMessage('Rates must be an array'),
+  body('rates.*.min').optional().isFloat({ min: 0 }).withMessage('Rate minimum must be a positive number'),
+  body('rates.*.max').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Rate maximum must be a positive number'),
+  body('rates.*.price').optional().isFloat({ min: 0 }).withMessage('Rate price must be a positive number'),
+  body('freeShippingThreshold').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Free shipping threshold must be a positive number'),
+  body('zones').optional().isArray().withMessage('Zones must be an array')
+];
+
+// Fields an admin is allowed to set
+const zoneFields = ['name', 'countries', 'states', 'priority', 'isActive'];
+const methodFields = [
+  'code', 'name', 'description', 'zones', 'rateType', 'flatRate', 'rates',
+  'freeShippingThreshold', 'sortOrder', 'isActive'
+];
+
+const pickFields = (source, fields) => {
+  return fields.reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      acc[field] = source[field];
+    }
+    return acc;
+  }, {});
+};
+
+// @route   POST /api/shipping/rates
+// @desc    List the shipping methods available for a cart and address. Signed-in users
+//          are quoted from their saved cart, guests send items: [{ productId, variant, quantity }]
+// @access  Public
+router.post('/rates', optionalAuth, [
+  body('shippingAddress').optional().isObject().withMessage('Shipping address must be an object'),
+  body('items').optional().isArray().withMessage('Items must be an array')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    let items = [];
+    let couponCode;
+
+    if (req.user) {
+      const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
+      items = cart?.items || [];
+      couponCode = cart?.couponCode;
+    } else {
+      ({ items } = await loadGuestItems(req.body.items));
+    }
+
+    const { quote } = await buildQuote({
+      items,
+      user: req.user,
+      couponCode,
+      shippingAddress: req.body.shippingAddress
+    });
+
+    res.json({
+      success: true,
+      data: quote.shippingOptions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Everything below is shipping configuration and requires admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+// @route   GET /api/shipping/zones
+// @desc    Get all shipping zones
+// @access  Private (Admin)
+router.get('/zones', async (req, res, next) => {
+  try {
+    const zones = await ShippingZone.find().sort({ priority: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: zones
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/shipping/zones
+// @desc    Create a shipping zone
+// @access  Private (Admin)
+router.post('/zones', [
+  body('name').trim().notEmpty().withMessage('Zone name is required'),
+  body('countries').isArray({ min: 1 }).withMessage('At least one country is required'),
+  ...zoneValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const zone = await ShippingZone.create(pickFields(req.body, zoneFields));
+
+    res.status(201).json({
+      success: true,
+      data: zone,
+      message: 'Shipping zone created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/shipping/zones/:id
+// @desc    Update a shipping zone
+// @access  Private (Admin)
+router.put('/zones/:id', [
+  body('name').optional().trim().notEmpty().withMessage('Zone name cannot be empty'),
+  ...zoneValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const zone = await ShippingZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    zone.set(pickFields(req.body, zoneFields));
+    await zone.save();
+
+    res.json({
+      success: true,
+      data: zone,
+      message: 'Shipping zone updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/shipping/zones/:id
+// @desc    Delete a shipping zone and detach it from its methods
+// @access  Private (Admin)
+router.delete('/zones/:id', async (req, res, next) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    await ShippingMethod.updateMany({ zones: zone._id }, { $pull: { zones: zone._id } });
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/shipping/methods
+// @desc    Get all shipping methods
+// @access  Private (Admin)
+router.get('/methods', async (req, res, next) => {
+  try {
+    const methods = await ShippingMethod.find()
+      .populate('zones', 'name countries states')
+      .sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: methods
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/shipping/methods
+// @desc    Create a shipping method
+// @access  Private (Admin)
+router.post('/methods', [
+  body('code').trim().notEmpty().withMessage('Method code is required'),
+  body('name').trim().notEmpty().withMessage('Method name is required'),
+  ...methodValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const existingMethod = await ShippingMethod.findOne({ code: req.body.code.trim().toLowerCase() });
+    if (existingMethod) {
+      return res.status(400).json({
+        success: false,
+        message: 'A shipping method with this code already exists'
+      });
+    }
+
+    const method = await ShippingMethod.create(pickFields(req.body, methodFields));
+
+    res.status(201).json({
+      success: true,
+      data: method,
+      message: 'Shipping method created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/shipping/methods/:id
+// @desc    Update a shipping method
+// @access  Private (Admin)
+router.put('/methods/:id', [
+  body('code').optional().trim().notEmpty().withMessage('Method code cannot be empty'),
+  body('name').optional().trim().notEmpty().withMessage('Method name cannot be empty'),
+  ...methodValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const method = await ShippingMethod.findById(req.params.id);
+    if (!method) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping method not found'
+      });
+    }
+
+    if (req.body.code && req.body.code.trim().toLowerCase() !== method.code) {
+      const existingMethod = await ShippingMethod.findOne({ code: req.body.code.trim().toLowerCase() });
+      if (existingMethod) {
+        return res.status(400).json({
+          success: false,
+          message: 'A shipping method with this code already exists'
+        });
+      }
+    }
+
+    method.set(pickFields(req.body, methodFields));
+    await method.save();
+
+    res.json({
+      success: true,
+      data: method,
+      message: 'Shipping method updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/shipping/methods/:id
+// @desc    Delete a shipping method
+// @access  Private (Admin)
+router.delete('/methods/:id', async (req, res, next) => {
+  try {
+    const method = await ShippingMethod.findByIdAndDelete(req.params.id);
+
+    if (!method) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping method not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping method deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
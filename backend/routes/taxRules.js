@@ -0,0 +1,181 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import TaxRule from '../models/TaxRule.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require admin access
+router.use(protect);
+router.use(authorize('admin'));
+
+const taxRuleValidation = [
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+  body('priority').optional().isInt().withMessage('Priority must be a whole number'),
+  body('taxClass').optional().trim().notEmpty().withMessage('Tax class cannot be empty')
+];
+
+// Fields an admin is allowed to set
+const taxRuleFields = [
+  'name', 'country', 'state', 'postalPrefix', 'taxClass', 'rate', 'priority', 'isActive'
+];
+
+const pickTaxRuleFields = (source) => {
+  return taxRuleFields.reduce((acc, field) => {
+    if (source[field] !== undefined) {
+      acc[field] = source[field];
+    }
+    return acc;
+  }, {});
+};
+
+// @route   GET /api/tax-rules
+// @desc    Get all tax rules
+// @access  Private (Admin)
+router.get('/', async (req, res, next) => {
+  try {
+    const { country, taxClass, active } = req.query;
+
+    const query = {};
+
+    if (country) {
+      query.country = new RegExp(`^${country}$`, 'i');
+    }
+
+    if (taxClass) {
+      query.taxClass = taxClass.toLowerCase();
+    }
+
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const rules = await TaxRule.find(query)
+      .sort({ country: 1, state: 1, postalPrefix: 1, taxClass: 1 });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tax-rules/:id
+// @desc    Get tax rule by ID
+// @access  Private (Admin)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tax-rules
+// @desc    Create a tax rule
+// @access  Private (Admin)
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('country').trim().notEmpty().withMessage('Country is required'),
+  body('rate').notEmpty().withMessage('Rate is required'),
+  ...taxRuleValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await TaxRule.create(pickTaxRuleFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Tax rule created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/tax-rules/:id
+// @desc    Update a tax rule
+// @access  Private (Admin)
+router.put('/:id', [
+  body('name').optional().trim().notEmpty().withMessage('Rule name cannot be empty'),
+  body('country').optional().trim().notEmpty().withMessage('Country cannot be empty'),
+  ...taxRuleValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    rule.set(pickTaxRuleFields(req.body));
+    await rule.save();
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Tax rule updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tax-rules/:id
+// @desc    Delete a tax rule
+// @access  Private (Admin)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
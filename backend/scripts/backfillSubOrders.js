@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from '../models/Order.js';
+import { buildSubOrders, getActiveQuantity } from '../utils/fulfillment.js';
+
+dotenv.config();
+
+// Split orders placed before sub-orders existed into one sub-order per merchant, so
+// merchants can see and fulfil them. Each sub-order starts out with the order's status.
+//   npm run orders:backfill-sub-orders
+const backfillSubOrders = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lexury-ecommerce');
+    console.log('Connected to MongoDB');
+
+    const orders = await Order.find({ 'subOrders.0': { $exists: false } })
+      .populate('items.product', 'merchant');
+    let updated = 0;
+
+    for (const order of orders) {
+      // Lines placed before they were snapshotted get their merchant from the product
+      const lines = order.items.map(item => ({
+        _id: item._id,
+        merchant: item.merchant || item.product?.merchant,
+        price: item.price,
+        quantity: item.quantity,
+        cancelledQuantity: item.cancelledQuantity
+      }));
+
+      order.subOrders = buildSubOrders(lines, order.shipping).map(subOrder => {
+        const items = lines.filter(line => subOrder.items.some(itemId => itemId.equals(line._id)));
+        // Sub-orders have no returned status; a returned order's sub-orders were delivered
+        let status = order.status === 'returned' ? 'delivered' : order.status;
+        if (items.every(line => getActiveQuantity(line) === 0)) {
+          status = 'cancelled';
+        }
+
+        return {
+          ...subOrder,
+          status,
+          trackingNumber: order.trackingNumber,
+          estimatedDelivery: order.estimatedDelivery,
+          deliveredAt: order.deliveredAt
+        };
+      });
+
+      await order.save();
+      updated++;
+    }
+
+    console.log(`Split ${updated} orders into sub-orders`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling sub-orders:', error);
+    process.exit(1);
+  }
+};
+
+backfillSubOrders();
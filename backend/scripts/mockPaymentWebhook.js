@@ -0,0 +1,47 @@
+import dotenv from 'dotenv';
+import { signMockWebhook } from '../utils/mockPaymentProvider.js';
+
+dotenv.config();
+
+// Send a signed mock provider webhook to the running server, e.g.
+//   npm run payments:webhook -- payment.refunded mock_pay_123 25.00
+const [type, transactionId, amount] = process.argv.slice(2);
+
+const sendWebhook = async () => {
+  if (!type || !transactionId) {
+    console.error('Usage: npm run payments:webhook -- <event type> <transaction ID> [amount]');
+    console.error('Event types: payment.authorized, payment.captured, payment.failed, payment.voided, payment.refunded');
+    process.exit(1);
+  }
+
+  if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    console.error('Set MOCK_PAYMENT_WEBHOOK_SECRET to the secret the server checks webhooks with');
+    process.exit(1);
+  }
+
+  const payload = JSON.stringify({
+    type,
+    transactionId,
+    ...(amount && { amount: Number(amount) })
+  });
+  const url = `http://localhost:${process.env.PORT || 5000}/api/payments/webhook/mock`;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Mock-Signature': signMockWebhook(payload)
+      },
+      body: payload
+    });
+
+    console.log(`${response.status}:`, await response.text());
+    process.exit(response.ok ? 0 : 1);
+  } catch (error) {
+    console.error('Error sending webhook:', error);
+    process.exit(1);
+  }
+};
+
+sendWebhook();
@@ -14,6 +14,15 @@ import wishlistRoutes from './routes/wishlist.js';
 import userRoutes from './routes/users.js';
 import adminRoutes from './routes/admin.js';
 import reviewRoutes from './routes/reviews.js';
+import couponRoutes from './routes/coupons.js';
+import taxRuleRoutes from './routes/taxRules.js';
+import shippingRoutes from './routes/shipping.js';
+import reservationRoutes from './routes/reservations.js';
+import paymentRoutes from './routes/payments.js';
+import returnRoutes from './routes/returns.js';
+import commissionRateRoutes from './routes/commissionRates.js';
+import ledgerRoutes from './routes/ledger.js';
+import { releaseExpiredReservations } from './utils/reservations.js';
 
 // Load environment variables
 dotenv.config();
@@ -41,9 +50,16 @@ app.use(cors({
       callback(null, true);
     }
   },
-  credentials: true
+  credentials: true,
+  // Bulk order documents list the orders they left out
+  exposedHeaders: ['X-Skipped-Orders']
+}));
+app.use(express.json({
+  // Payment webhooks are signed over the exact bytes the provider sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
 }));
-app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Serve uploaded files
@@ -58,6 +74,14 @@ app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/tax-rules', taxRuleRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/commission-rates', commissionRateRoutes);
+app.use('/api/ledger', ledgerRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -150,6 +174,14 @@ connectDB().then(() => {
       console.log('   Fix the connection and restart the server\n');
     }
   });
+
+  // Put the stock of abandoned checkouts back on sale every minute
+  setInterval(() => {
+    if (mongoose.connection.readyState !== 1) return;
+    releaseExpiredReservations().catch((error) => {
+      console.error('Failed to release expired stock reservations:', error.message);
+    });
+  }, 60 * 1000);
 }).catch((error) => {
   console.error('Failed to start server:', error);
   process.exit(1);
@@ -0,0 +1,69 @@
+import { findVariant, getAvailableStock, describeVariant } from './inventory.js';
+import { getUnitPrice, roundCurrency } from './pricing.js';
+
+/**
+ * Add lines to a cart, e.g. from a guest cart or a past order. Lines for a product and
+ * variant the cart already holds are combined with it, and every line is limited to the
+ * stock available. Lines whose product or variant is gone, or that are out of stock, are
+ * left out. New lines take today's price.
+ *
+ * @param {Cart} cart - Changed in place; the caller saves it
+ * @param {Array} lines - [{ productId, product, variant, quantity }], product being the
+ *   loaded product (null once it is gone)
+ * @returns {Array} What happened to each line: added, combined, limited or unavailable
+ */
+export const addLinesToCart = (cart, lines) => {
+  const changes = [];
+
+  for (const line of lines) {
+    const { product, quantity } = line;
+    const variant = product && line.variant ? findVariant(product, line.variant) : null;
+    const change = {
+      product: line.productId,
+      name: product?.name,
+      variant: line.variant || undefined,
+      variantName: describeVariant(variant) || undefined,
+      requested: quantity
+    };
+
+    if (!product || (line.variant && !variant)) {
+      changes.push({ ...change, quantity: 0, status: 'unavailable', message: 'No longer available' });
+      continue;
+    }
+
+    // The same product and variant may already be in the cart, or earlier in the lines
+    const existingItem = cart.items.find(
+      item => item.product.toString() === product._id.toString() &&
+      String(item.variant || '') === String(variant?._id || '')
+    );
+    const requested = quantity + (existingItem?.quantity || 0);
+    const available = getAvailableStock(product, variant);
+    const merged = Math.min(requested, available);
+
+    if (merged < 1) {
+      changes.push({ ...change, quantity: 0, status: 'unavailable', message: 'Out of stock' });
+      continue;
+    }
+
+    if (existingItem) {
+      existingItem.quantity = merged;
+    } else {
+      cart.items.push({
+        product: product._id,
+        quantity: merged,
+        variant: variant?._id,
+        price: roundCurrency(getUnitPrice(product, variant))
+      });
+    }
+
+    changes.push({
+      ...change,
+      requested,
+      quantity: merged,
+      status: merged < requested ? 'limited' : existingItem ? 'combined' : 'added',
+      message: merged < requested ? `Only ${available} in stock` : undefined
+    });
+  }
+
+  return changes;
+};
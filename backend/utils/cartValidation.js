@@ -0,0 +1,93 @@
+import { findVariant, getAvailableStock, describeVariant } from './inventory.js';
+import { getUnitPrice, roundCurrency } from './pricing.js';
+import { getStockKey } from './reservations.js';
+
+/**
+ * Check cart lines against their products as they are now, so the shopper can sort out
+ * what changed before paying: products that were removed, options that were dropped,
+ * stock that ran out or ran low, and prices that changed since the line was added.
+ * Each issue carries the quantity the line could be changed to (0 to remove it).
+ *
+ * @param {Array} lines - [{ itemId, product, variant, quantity, price }]. product is the
+ *   loaded product (null once it is gone) and price the unit price the shopper was shown.
+ * @param {Map} [reserved] - Units held for the shopper, by stock key; they count as in stock
+ * @returns {Array} The issues, in line order
+ */
+export const validateCartLines = (lines, reserved = new Map()) => {
+  const issues = [];
+  // Lines for the same product or variant share its stock
+  const allocated = new Map();
+
+  for (const line of lines) {
+    const { product, quantity } = line;
+    const issue = {
+      itemId: line.itemId,
+      product: product?._id || line.productId,
+      name: product?.name,
+      slug: product?.slug,
+      requested: quantity
+    };
+
+    if (!product) {
+      issues.push({
+        ...issue,
+        type: 'removed',
+        message: 'This product is no longer available',
+        suggestedQuantity: 0
+      });
+      continue;
+    }
+
+    const variant = findVariant(product, line.variant);
+    if (line.variant && !variant) {
+      issues.push({
+        ...issue,
+        type: 'variant_unavailable',
+        message: 'The selected option is no longer available',
+        suggestedQuantity: 0
+      });
+      continue;
+    }
+
+    issue.variant = variant?._id;
+    issue.variantName = describeVariant(variant) || undefined;
+
+    const stockKey = getStockKey(product, variant);
+    const inStock = getAvailableStock(product, variant) + (reserved.get(stockKey) || 0);
+    const available = Math.max(0, inStock - (allocated.get(stockKey) || 0));
+    allocated.set(stockKey, (allocated.get(stockKey) || 0) + Math.min(quantity, available));
+
+    if (available < 1) {
+      issues.push({
+        ...issue,
+        type: 'out_of_stock',
+        message: `${product.name} is out of stock`,
+        available: 0,
+        suggestedQuantity: 0
+      });
+    } else if (available < quantity) {
+      issues.push({
+        ...issue,
+        type: 'insufficient_stock',
+        message: `Only ${available} of ${product.name} left in stock`,
+        available,
+        suggestedQuantity: available
+      });
+    }
+
+    // Lines added before prices were kept have nothing to compare with
+    const currentPrice = roundCurrency(getUnitPrice(product, variant));
+    if (line.price != null && Math.abs(line.price - currentPrice) >= 0.01) {
+      issues.push({
+        ...issue,
+        type: 'price_changed',
+        message: `The price of ${product.name} ${currentPrice > line.price ? 'went up' : 'went down'}`,
+        previousPrice: line.price,
+        currentPrice,
+        suggestedQuantity: quantity
+      });
+    }
+  }
+
+  return issues;
+};
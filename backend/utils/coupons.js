@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Normalize a code the way it is stored on the model
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+export const findCouponByCode = (code) => {
+  return Coupon.findOne({ code: normalizeCouponCode(code) });
+};
+
+// Check whether a product is inside the coupon's category, brand and merchant scope
+export const isProductEligible = (coupon, product) => {
+  if (!product) return false;
+
+  if (coupon.categories?.length > 0) {
+    const category = (product.category || '').toLowerCase();
+    if (!coupon.categories.some(c => c.toLowerCase() === category)) return false;
+  }
+
+  if (coupon.brands?.length > 0) {
+    const brand = (product.brand || '').toLowerCase();
+    if (!coupon.brands.some(b => b.toLowerCase() === brand)) return false;
+  }
+
+  if (coupon.merchants?.length > 0) {
+    const merchantId = product.merchant?._id?.toString() || product.merchant?.toString();
+    if (!merchantId || !coupon.merchants.some(m => m.toString() === merchantId)) return false;
+  }
+
+  return true;
+};
+
+// Validate a coupon for a user and a list of priced lines ({ product, quantity, price }).
+// Returns { valid, message } and, when valid, the discount amount and free shipping flag.
+export const evaluateCoupon = (coupon, { user, lines, subtotal, now = new Date() }) => {
+  if (!coupon || !coupon.isActive) {
+    return { valid: false, message: 'Invalid coupon code' };
+  }
+
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { valid: false, message: 'This coupon is not active yet' };
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    return { valid: false, message: 'This coupon has expired' };
+  }
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { valid: false, message: 'This coupon has reached its usage limit' };
+  }
+
+  if (coupon.usageLimitPerCustomer && user) {
+    const userId = user._id?.toString() || user.toString();
+    const userRedemptions = coupon.redemptions.filter(r => r.user.toString() === userId).length;
+    if (userRedemptions >= coupon.usageLimitPerCustomer) {
+      return { valid: false, message: 'You have already used this coupon' };
+    }
+  }
+
+  if (coupon.minSubtotal && subtotal < coupon.minSubtotal) {
+    return {
+      valid: false,
+      message: `A minimum spend of $${coupon.minSubtotal.toFixed(2)} is required for this coupon`
+    };
+  }
+
+  const eligibleSubtotal = lines
+    .filter(line => isProductEligible(coupon, line.product))
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+  if (eligibleSubtotal <= 0) {
+    return { valid: false, message: 'This coupon does not apply to any items in your cart' };
+  }
+
+  let discount = 0;
+  let freeShipping = false;
+
+  switch (coupon.type) {
+    case 'percentage':
+      discount = eligibleSubtotal * (coupon.value / 100);
+      if (coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+      }
+      break;
+    case 'fixed':
+      discount = Math.min(coupon.value, eligibleSubtotal);
+      break;
+    case 'free_shipping':
+      freeShipping = true;
+      break;
+    default:
+      return { valid: false, message: 'Invalid coupon code' };
+  }
+
+  return {
+    valid: true,
+    discount: roundCurrency(discount),
+    freeShipping,
+    eligibleSubtotal: roundCurrency(eligibleSubtotal)
+  };
+};
+
+// Record a redemption, guarding the overall and per-customer usage caps with a conditional
+// update. Returns the updated coupon, or null when a cap was reached concurrently.
+export const redeemCoupon = (coupon, { user, order, discount, session = null }) => {
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+  if (coupon.usageLimitPerCustomer && user) {
+    // Not cast by Mongoose inside $expr
+    const userId = new mongoose.Types.ObjectId(String(user._id || user));
+    filter.$expr = {
+      $lt: [
+        { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', userId] } } } },
+        coupon.usageLimitPerCustomer
+      ]
+    };
+  }
+
+  return Coupon.findOneAndUpdate(
+    filter,
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user, order, discount } }
+    },
+    { new: true, session }
+  );
+};
+
+// Undo a redemption, e.g. when the order it belongs to could not be created
+export const releaseCouponRedemption = (couponId, orderId, { session = null } = {}) => {
+  return Coupon.updateOne(
+    { _id: couponId, 'redemptions.order': orderId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: orderId } }
+    },
+    { session }
+  );
+};
@@ -0,0 +1,352 @@
+import PDFDocument from 'pdfkit';
+import { getActiveQuantity, getSubOrderItems } from './fulfillment.js';
+
+// The store's details printed on invoices and packing slips
+export const getStoreDetails = () => ({
+  name: process.env.STORE_NAME || 'Lexury',
+  address: process.env.STORE_ADDRESS || '',
+  email: process.env.STORE_EMAIL || '',
+  phone: process.env.STORE_PHONE || '',
+  taxId: process.env.STORE_TAX_ID || ''
+});
+
+// The storefront's primary and accent colours
+const BRAND_DARK = '#231D1A';
+const BRAND_ACCENT = '#E76E50';
+const MUTED = '#6B6B6B';
+const RULE = '#DDDDDD';
+
+const PAGE_MARGIN = 50;
+
+const formatMoney = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+const describeItem = (item) => {
+  const name = item.name || item.product?.name || 'Product';
+  return item.variantName ? `${name} (${item.variantName})` : name;
+};
+
+const addressLines = (address) => {
+  if (!address) return [];
+  return [
+    `${address.firstName} ${address.lastName}`,
+    address.street,
+    address.apartment,
+    `${address.city}, ${address.state} ${address.zipCode}`,
+    address.country,
+    address.phone && `Phone: ${address.phone}`
+  ].filter(Boolean);
+};
+
+/**
+ * Draw a document with pdfkit and collect the finished PDF. Rendering to a buffer (rather
+ * than streaming to the response) lets errors still be reported as JSON.
+ *
+ * @param {(doc: PDFDocument) => void} draw - Adds its own pages
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (draw, title) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    autoFirstPage: false,
+    info: { Title: title, Author: getStoreDetails().name }
+  });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+// Store name on a dark band with the document's title, then the store's contact details
+const drawHeader = (doc, title) => {
+  const store = getStoreDetails();
+  const width = doc.page.width;
+
+  doc.rect(0, 0, width, 90).fill(BRAND_DARK);
+  doc.rect(0, 90, width, 4).fill(BRAND_ACCENT);
+
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(24)
+    .text(store.name, PAGE_MARGIN, 32, { lineBreak: false });
+  doc.font('Helvetica').fontSize(16)
+    .text(title.toUpperCase(), PAGE_MARGIN, 38, { width: width - PAGE_MARGIN * 2, align: 'right' });
+
+  const contact = [
+    store.address,
+    [store.email, store.phone].filter(Boolean).join('  ·  '),
+    store.taxId && `Tax ID: ${store.taxId}`
+  ].filter(Boolean);
+
+  doc.fillColor(MUTED).fontSize(9);
+  contact.forEach((line, index) => doc.text(line, PAGE_MARGIN, 106 + index * 12));
+
+  doc.y = 106 + Math.max(contact.length, 1) * 12 + 16;
+};
+
+// Label/value pairs in a column
+const drawDetails = (doc, details, x, y, width) => {
+  details.forEach(([label, value], index) => {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+      .text(label, x, y + index * 14, { width: 90, lineBreak: false });
+    doc.font('Helvetica').fillColor(BRAND_DARK)
+      .text(value || '—', x + 90, y + index * 14, { width: width - 90, lineBreak: false, ellipsis: true });
+  });
+  return y + details.length * 14;
+};
+
+const drawAddress = (doc, label, address, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(BRAND_ACCENT)
+    .text(label.toUpperCase(), x, y, { width });
+  doc.font('Helvetica').fontSize(10).fillColor(BRAND_DARK);
+  addressLines(address).forEach((line, index) => doc.text(line, x, y + 14 + index * 13, { width }));
+  return y + 14 + addressLines(address).length * 13;
+};
+
+const drawTableRow = (doc, columns, values, y, { bold = false, color = BRAND_DARK } = {}) => {
+  let x = PAGE_MARGIN;
+  let height = 0;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(color);
+  columns.forEach((column, index) => {
+    const text = String(values[index] ?? '');
+    doc.text(text, x + 4, y, { width: column.width - 8, align: column.align || 'left' });
+    height = Math.max(height, doc.heightOfString(text, { width: column.width - 8 }));
+    x += column.width;
+  });
+
+  return y + height + 8;
+};
+
+// A table that carries on over as many pages as it needs, repeating its header
+const drawTable = (doc, title, columns, rows) => {
+  const bottom = doc.page.height - PAGE_MARGIN - 40;
+  const right = doc.page.width - PAGE_MARGIN;
+
+  const drawHeadings = (y) => {
+    doc.rect(PAGE_MARGIN, y - 4, right - PAGE_MARGIN, 18).fill('#F4F1EE');
+    return drawTableRow(doc, columns, columns.map(column => column.label), y, { bold: true });
+  };
+
+  let y = drawHeadings(doc.y);
+
+  for (const row of rows) {
+    if (y > bottom) {
+      doc.addPage();
+      drawHeader(doc, `${title} (continued)`);
+      y = drawHeadings(doc.y);
+    }
+
+    y = drawTableRow(doc, columns, row, y);
+    doc.moveTo(PAGE_MARGIN, y - 4).lineTo(right, y - 4).lineWidth(0.5).strokeColor(RULE).stroke();
+  }
+
+  doc.y = y + 6;
+};
+
+const drawFooter = (doc, text) => {
+  const store = getStoreDetails();
+  const y = doc.page.height - PAGE_MARGIN - 10;
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED)
+    .text(text || `Thank you for shopping with ${store.name}.`, PAGE_MARGIN, y, {
+      width: doc.page.width - PAGE_MARGIN * 2,
+      align: 'center',
+      lineBreak: false
+    });
+};
+
+const drawInvoice = (doc, { order, invoice, refunded = 0 }) => {
+  doc.addPage();
+  drawHeader(doc, 'Invoice');
+
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const columnWidth = contentWidth / 2;
+  const top = doc.y;
+
+  const detailsBottom = drawDetails(doc, [
+    ['Invoice number', invoice.invoiceNumber],
+    ['Invoice date', formatDate(invoice.createdAt)],
+    ['Order number', order.orderNumber],
+    ['Order date', formatDate(order.createdAt)],
+    ['Payment', order.paymentMethod]
+  ], PAGE_MARGIN, top, columnWidth - 10);
+
+  const billBottom = drawAddress(doc, 'Bill to', order.billingAddress || order.shippingAddress,
+    PAGE_MARGIN + columnWidth, top, columnWidth / 2 - 5);
+  const shipBottom = drawAddress(doc, 'Ship to', order.shippingAddress,
+    PAGE_MARGIN + columnWidth * 1.5, top, columnWidth / 2);
+
+  doc.y = Math.max(detailsBottom, billBottom, shipBottom) + 24;
+
+  // Lines cancelled in full aren't charged for
+  const items = order.items.filter(item => getActiveQuantity(item) > 0);
+
+  drawTable(doc, 'Invoice', [
+    { label: 'Item', width: contentWidth - 300 },
+    { label: 'Qty', width: 40, align: 'right' },
+    { label: 'Unit price', width: 70, align: 'right' },
+    { label: 'Discount', width: 60, align: 'right' },
+    { label: 'Tax', width: 55, align: 'right' },
+    { label: 'Amount', width: 75, align: 'right' }
+  ], items.map(item => {
+    const quantity = getActiveQuantity(item);
+    return [
+      describeItem(item),
+      quantity,
+      formatMoney(item.price),
+      item.discount ? `-${formatMoney(item.discount)}` : '',
+      item.tax ? `${item.tax.rate}%` : '',
+      formatMoney(item.price * quantity - (item.discount || 0))
+    ];
+  }));
+
+  // Totals, right-aligned under the table
+  const totals = [
+    ['Subtotal', formatMoney(order.subtotal)],
+    order.discount > 0 && [
+      `Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}`,
+      `-${formatMoney(order.discount)}`
+    ],
+    [
+      `Shipping${order.shippingMethod?.name ? ` (${order.shippingMethod.name})` : ''}`,
+      order.shipping > 0 ? formatMoney(order.shipping) : 'Free'
+    ],
+    ...(order.taxBreakdown || []).map(entry => [
+      `${entry.ruleName || 'Tax'} (${entry.rate}%)${entry.jurisdiction ? ` · ${entry.jurisdiction}` : ''}`,
+      formatMoney(entry.amount)
+    ]),
+    ['Tax', formatMoney(order.tax)]
+  ].filter(Boolean);
+
+  const labelX = PAGE_MARGIN + contentWidth - 300;
+  let y = doc.y;
+
+  if (y > doc.page.height - PAGE_MARGIN - 60 - totals.length * 14) {
+    doc.addPage();
+    drawHeader(doc, 'Invoice (continued)');
+    y = doc.y;
+  }
+
+  doc.font('Helvetica').fontSize(9);
+  totals.forEach(([label, value]) => {
+    doc.fillColor(MUTED).text(label, labelX, y, { width: 220, lineBreak: false, ellipsis: true });
+    doc.fillColor(BRAND_DARK).text(value, labelX + 220, y, { width: 80, align: 'right' });
+    y += 14;
+  });
+
+  doc.moveTo(labelX, y + 2).lineTo(labelX + 300, y + 2).lineWidth(1).strokeColor(BRAND_DARK).stroke();
+  y += 8;
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_DARK)
+    .text('Total', labelX, y, { width: 220 })
+    .text(formatMoney(order.total), labelX + 220, y, { width: 80, align: 'right' });
+  y += 18;
+
+  if (refunded > 0) {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED)
+      .text('Refunded', labelX, y, { width: 220 })
+      .text(`-${formatMoney(refunded)}`, labelX + 220, y, { width: 80, align: 'right' });
+    y += 14;
+  }
+
+  drawFooter(doc);
+};
+
+/**
+ * The shipments an order goes out in: one per sub-order, or one for all of its lines
+ * for orders placed before orders were split. Lines cancelled in full are left out.
+ *
+ * @param {string} [merchantId] - Only this merchant's shipments
+ */
+export const getShipments = (order, merchantId) => {
+  const shipments = order.subOrders?.length > 0
+    ? order.subOrders.map(subOrder => ({
+      reference: subOrder.merchantOrderNumber || `${order.orderNumber}-${subOrder.number}`,
+      label: `Shipment ${subOrder.number} of ${order.subOrders.length}`,
+      merchant: subOrder.merchant?.toString(),
+      status: subOrder.status,
+      trackingNumber: subOrder.trackingNumber,
+      items: getSubOrderItems(order, subOrder)
+    }))
+    : [{
+      reference: order.orderNumber,
+      label: 'Shipment 1 of 1',
+      merchant: merchantId,
+      status: order.status,
+      trackingNumber: order.trackingNumber,
+      items: merchantId
+        ? order.items.filter(item => (item.merchant || item.product?.merchant)?.toString() === merchantId)
+        : order.items
+    }];
+
+  return shipments
+    .filter(shipment => !merchantId || shipment.merchant === merchantId)
+    .map(shipment => ({ ...shipment, items: shipment.items.filter(item => getActiveQuantity(item) > 0) }))
+    .filter(shipment => shipment.items.length > 0 && shipment.status !== 'cancelled');
+};
+
+const drawPackingSlip = (doc, order, shipment) => {
+  doc.addPage();
+  drawHeader(doc, 'Packing Slip');
+
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const top = doc.y;
+
+  const detailsBottom = drawDetails(doc, [
+    ['Order number', order.orderNumber],
+    ['Shipment', `${shipment.reference} (${shipment.label})`],
+    ['Order date', formatDate(order.createdAt)],
+    ['Shipping', order.shippingMethod?.name],
+    ['Tracking', shipment.trackingNumber]
+  ], PAGE_MARGIN, top, contentWidth / 2 - 10);
+
+  const shipBottom = drawAddress(doc, 'Ship to', order.shippingAddress,
+    PAGE_MARGIN + contentWidth / 2, top, contentWidth / 2);
+
+  doc.y = Math.max(detailsBottom, shipBottom) + 24;
+
+  drawTable(doc, 'Packing Slip', [
+    { label: 'Item', width: contentWidth - 150 },
+    { label: 'Qty', width: 60, align: 'right' },
+    { label: 'Packed', width: 90, align: 'center' }
+  ], shipment.items.map(item => [describeItem(item), getActiveQuantity(item), '[   ]']));
+
+  if (order.notes) {
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(BRAND_ACCENT)
+      .text('CUSTOMER NOTES', PAGE_MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(10).fillColor(BRAND_DARK)
+      .text(order.notes, PAGE_MARGIN, doc.y + 4, { width: contentWidth });
+  }
+
+  drawFooter(doc, 'Please check the contents of your parcel against this slip.');
+};
+
+/**
+ * Invoices as one PDF, a page (or more) each
+ *
+ * @param {Array<{ order: Order, invoice: Invoice, refunded?: number }>} invoices
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicesPdf = (invoices) =>
+  renderPdf(doc => invoices.forEach(entry => drawInvoice(doc, entry)), 'Invoice');
+
+/**
+ * Packing slips as one PDF, one per shipment
+ *
+ * @param {Array<{ order: Order, shipments: Array }>} slips - shipments from getShipments
+ * @returns {Promise<Buffer>}
+ */
+export const renderPackingSlipsPdf = (slips) =>
+  renderPdf(doc => slips.forEach(({ order, shipments }) =>
+    shipments.forEach(shipment => drawPackingSlip(doc, order, shipment))
+  ), 'Packing Slip');
@@ -0,0 +1,388 @@
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Payment from '../models/Payment.js';
+import { roundCurrency, summarizeTax } from './pricing.js';
+import { getShippingOptions } from './shipping.js';
+import { incrementStock } from './inventory.js';
+import { releaseCouponRedemption } from './coupons.js';
+import { releasePayment, refundPayment, getOrderPaymentStatus } from './payments.js';
+import { recordOrderRefunds } from './ledger.js';
+
+// Order statuses in which lines can still be cancelled
+export const CANCELLABLE_ORDER_STATUSES = ['pending', 'confirmed', 'processing'];
+
+// The order a line moves through; cancelled lines leave it
+const FULFILLMENT_STEPS = ['pending', 'shipped', 'delivered'];
+
+// The order a sub-order moves through; cancelled sub-orders leave it
+export const SUB_ORDER_STEPS = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
+
+// Units of an order line that haven't been cancelled
+export const getActiveQuantity = (item) => item.quantity - (item.cancelledQuantity || 0);
+
+// Check whether a line can move to a fulfilment status: one step forward, so a line is
+// only delivered once it has shipped
+export const canAdvanceFulfillment = (item, status) => {
+  if (item.fulfillmentStatus === 'cancelled') return false;
+  return FULFILLMENT_STEPS.indexOf(status) === FULFILLMENT_STEPS.indexOf(item.fulfillmentStatus || 'pending') + 1;
+};
+
+// The lines of a sub-order
+export const getSubOrderItems = (order, subOrder) =>
+  subOrder.items
+    .map(itemId => order.items.find(item => item._id.equals(itemId)))
+    .filter(Boolean);
+
+// Spread a shipping charge over groups of lines ({ subOrder, items }) by the value left to
+// ship in each. Groups with nothing left carry none; rounding goes to the last one.
+const allocateShipping = (groups, shipping) => {
+  const active = groups.filter(({ items }) => items.some(item => getActiveQuantity(item) > 0));
+  const values = active.map(({ items }) =>
+    items.reduce((sum, item) => sum + item.price * getActiveQuantity(item), 0)
+  );
+  const totalValue = values.reduce((sum, value) => sum + value, 0);
+  let remaining = shipping;
+
+  groups.forEach(({ subOrder }) => {
+    subOrder.shipping = 0;
+  });
+
+  active.forEach(({ subOrder }, index) => {
+    if (index === active.length - 1) {
+      subOrder.shipping = roundCurrency(remaining);
+      return;
+    }
+
+    subOrder.shipping = roundCurrency(totalValue > 0
+      ? shipping * values[index] / totalValue
+      : shipping / active.length);
+    remaining -= subOrder.shipping;
+  });
+};
+
+/**
+ * Split new order lines into one sub-order per merchant, each with its share of the
+ * order's shipping charge. Lines need their _id set already.
+ *
+ * @returns {Array} Sub-orders for Order.subOrders
+ */
+export const buildSubOrders = (items, shipping) => {
+  const groups = new Map();
+
+  for (const item of items) {
+    const key = item.merchant ? item.merchant.toString() : '';
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        subOrder: { number: groups.size + 1, merchant: item.merchant, items: [], status: 'pending' },
+        items: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.subOrder.items.push(item._id);
+    group.items.push(item);
+  }
+
+  allocateShipping([...groups.values()], shipping);
+  return [...groups.values()].map(group => group.subOrder);
+};
+
+/**
+ * The status implied by a set of lines: cancelled when every line is, delivered or
+ * shipped once every remaining line is. Returns null while lines are still pending,
+ * so the status staff gave is kept.
+ */
+export const getStatusFromLines = (items) => {
+  const active = items.filter(item => item.fulfillmentStatus !== 'cancelled');
+
+  if (active.length === 0) return 'cancelled';
+  if (active.every(item => item.fulfillmentStatus === 'delivered')) return 'delivered';
+  if (active.every(item => ['shipped', 'delivered'].includes(item.fulfillmentStatus))) return 'shipped';
+  return null;
+};
+
+/**
+ * The order status implied by its sub-orders: cancelled when all of them are, otherwise
+ * the least advanced status among the rest - except that the order is processing as soon
+ * as any sub-order is being worked on or has shipped.
+ */
+export const getOrderStatusFromSubOrders = (subOrders) => {
+  const steps = subOrders
+    .filter(subOrder => subOrder.status !== 'cancelled')
+    .map(subOrder => SUB_ORDER_STEPS.indexOf(subOrder.status));
+
+  if (steps.length === 0) return 'cancelled';
+
+  const earliest = Math.min(...steps);
+  const processing = SUB_ORDER_STEPS.indexOf('processing');
+
+  if (earliest < processing && Math.max(...steps) >= processing) return 'processing';
+  return SUB_ORDER_STEPS[earliest];
+};
+
+const applySubOrderStatus = (subOrder, status) => {
+  subOrder.status = status;
+  if (status === 'delivered' && !subOrder.deliveredAt) {
+    subOrder.deliveredAt = new Date();
+  }
+};
+
+// Apply the status implied by the lines to each sub-order, then the one implied by the
+// sub-orders to the order. Orders placed before they were split go by their lines alone.
+export const syncOrderStatus = (order) => {
+  let status;
+
+  if (order.subOrders?.length > 0) {
+    for (const subOrder of order.subOrders) {
+      const lineStatus = getStatusFromLines(getSubOrderItems(order, subOrder));
+      if (lineStatus && lineStatus !== subOrder.status) {
+        applySubOrderStatus(subOrder, lineStatus);
+      }
+    }
+    status = getOrderStatusFromSubOrders(order.subOrders);
+  } else {
+    status = getStatusFromLines(order.items);
+  }
+
+  if (!status || status === order.status) return;
+
+  order.status = status;
+  if (status === 'delivered' && !order.deliveredAt) {
+    order.deliveredAt = new Date();
+  }
+};
+
+/**
+ * Move a sub-order to a status. Shipping or delivering it moves its remaining lines
+ * along; the order's status is derived again afterwards.
+ */
+export const setSubOrderStatus = (order, subOrder, status) => {
+  applySubOrderStatus(subOrder, status);
+
+  if (['shipped', 'delivered'].includes(status)) {
+    getSubOrderItems(order, subOrder).forEach(item => {
+      if (canAdvanceFulfillment(item, status)) {
+        item.fulfillmentStatus = status;
+      }
+    });
+  }
+
+  syncOrderStatus(order);
+};
+
+// Re-price the order for its remaining units. Line discounts and tax shrink with the
+// quantity; shipping is re-rated for the smaller parcel but never goes up.
+const recalculateTotals = async (order, previousActive) => {
+  const previousSubtotal = order.subtotal;
+
+  order.items.forEach((item, index) => {
+    const active = getActiveQuantity(item);
+    if (active === previousActive[index]) return;
+
+    item.discount = previousActive[index] > 0
+      ? roundCurrency((item.discount || 0) * active / previousActive[index])
+      : 0;
+
+    if (item.tax) {
+      item.tax.taxable = roundCurrency(item.price * active - item.discount);
+      item.tax.amount = roundCurrency(item.tax.taxable * item.tax.rate / 100);
+    }
+  });
+
+  const activeItems = order.items.filter(item => getActiveQuantity(item) > 0);
+
+  order.subtotal = roundCurrency(activeItems.reduce((sum, item) => sum + item.price * getActiveQuantity(item), 0));
+  order.discount = roundCurrency(activeItems.reduce((sum, item) => sum + (item.discount || 0), 0));
+
+  // Orders placed before tax was charged per line scale their tax with the subtotal
+  if (order.items.every(item => item.tax)) {
+    order.tax = roundCurrency(activeItems.reduce((sum, item) => sum + item.tax.amount, 0));
+    order.taxBreakdown = summarizeTax(activeItems);
+  } else {
+    order.tax = previousSubtotal > 0 ? roundCurrency(order.tax * order.subtotal / previousSubtotal) : 0;
+  }
+
+  if (activeItems.length === 0) {
+    order.shipping = 0;
+  } else if (order.shipping > 0) {
+    const products = await Product.find({ _id: { $in: activeItems.map(item => item.product) } }, 'weight');
+    const weight = activeItems.reduce((sum, item) => {
+      const product = products.find(p => p._id.equals(item.product));
+      return sum + (product?.weight || 0) * getActiveQuantity(item);
+    }, 0);
+
+    const options = await getShippingOptions({
+      subtotal: order.subtotal,
+      weight,
+      address: order.shippingAddress,
+      freeShipping: order.coupon?.freeShipping
+    });
+    const option = options.find(candidate => candidate.code === order.shippingMethod?.code);
+
+    if (option) {
+      order.shipping = Math.min(option.price, order.shipping);
+    }
+  }
+
+  if (order.subOrders?.length > 0) {
+    allocateShipping(
+      order.subOrders.map(subOrder => ({ subOrder, items: getSubOrderItems(order, subOrder) })),
+      order.shipping
+    );
+  }
+
+  order.total = roundCurrency(order.subtotal - order.discount + order.shipping + order.tax);
+};
+
+// Thrown when a cancellation request doesn't fit the order
+const cancellationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The lines whose cancellation changed since the order was loaded, as they were then
+const getChangedLines = (order, previousActive) =>
+  order.items
+    .map((item, index) => ({ item, previousCancelled: item.quantity - previousActive[index] }))
+    .filter(({ item, previousCancelled }) => item.cancelledQuantity !== previousCancelled);
+
+// Write the cancellations to the order only if its lines are still as they were loaded,
+// so two requests can't cancel (and refund and restock) the same units. Returns false
+// when another request got there first.
+const claimCancelledLines = async (order, lines) => {
+  if (lines.length === 0) return true;
+
+  const filter = {
+    _id: order._id,
+    status: { $in: CANCELLABLE_ORDER_STATUSES },
+    $and: lines.map(({ item, previousCancelled }) => ({
+      items: {
+        $elemMatch: {
+          _id: item._id,
+          cancelledQuantity: previousCancelled || { $in: [0, null] },
+          fulfillmentStatus: { $in: ['pending', null] }
+        }
+      }
+    }))
+  };
+  const update = {};
+  lines.forEach(({ item }, index) => {
+    update[`items.$[line${index}].cancelledQuantity`] = item.cancelledQuantity;
+    update[`items.$[line${index}].fulfillmentStatus`] = item.fulfillmentStatus;
+  });
+
+  const { modifiedCount } = await Order.updateOne(filter, { $set: update }, {
+    arrayFilters: lines.map(({ item }, index) => ({ [`line${index}._id`]: item._id }))
+  });
+  return modifiedCount > 0;
+};
+
+// Give claimed units back when the cancellation can't go through
+const releaseCancelledLines = (order, lines) => {
+  const update = {};
+  lines.forEach(({ item, previousCancelled }, index) => {
+    update[`items.$[line${index}].cancelledQuantity`] = previousCancelled;
+    update[`items.$[line${index}].fulfillmentStatus`] = 'pending';
+  });
+
+  return Order.updateOne({ _id: order._id }, { $set: update }, {
+    arrayFilters: lines.map(({ item }, index) => ({ [`line${index}._id`]: item._id }))
+  });
+};
+
+/**
+ * Cancel units of an order's lines before they ship: restocks them, re-prices the
+ * order, refunds the difference and debits the merchants for it. Cancelling everything that is left cancels the
+ * order, voids or refunds its payment and gives the coupon use back.
+ *
+ * @param {Order} order - Order document; it is saved
+ * @param {Array} requests - [{ itemId, quantity? }]; quantity defaults to the whole line
+ * @returns {Promise<{ order: Order, refunded: number }>} The amount given back to the customer
+ */
+export const cancelOrderLines = async (order, requests) => {
+  if (!CANCELLABLE_ORDER_STATUSES.includes(order.status)) {
+    throw cancellationError(`Cannot cancel items of an order with status: ${order.status}`);
+  }
+
+  const previousActive = order.items.map(getActiveQuantity);
+  const previousTotal = order.total;
+  const restock = [];
+
+  for (const request of requests) {
+    const item = order.items.id(request.itemId);
+
+    if (!item) {
+      throw cancellationError('Item not found in this order');
+    }
+
+    if ((item.fulfillmentStatus || 'pending') !== 'pending') {
+      throw cancellationError(`${item.name || 'This item'} is ${item.fulfillmentStatus} and can no longer be cancelled`);
+    }
+
+    const active = getActiveQuantity(item);
+    const quantity = request.quantity ?? active;
+
+    if (quantity < 1 || quantity > active) {
+      throw cancellationError(`Only ${active} of ${item.name || 'this item'} can be cancelled`);
+    }
+
+    item.cancelledQuantity = (item.cancelledQuantity || 0) + quantity;
+    if (getActiveQuantity(item) === 0) {
+      item.fulfillmentStatus = 'cancelled';
+    }
+
+    restock.push({ product: item.product, variant: item.variant, quantity });
+  }
+
+  await recalculateTotals(order, previousActive);
+
+  const lines = getChangedLines(order, previousActive);
+  if (!await claimCancelledLines(order, lines)) {
+    throw cancellationError('These items were just changed. Reload the order and try again.', 409);
+  }
+
+  const allCancelled = order.items.every(item => item.fulfillmentStatus === 'cancelled');
+  let refunded = 0;
+
+  // Settle the payment before touching stock, so a refused refund leaves everything as it
+  // was and the claimed units are given back. An authorization that hasn't been captured
+  // yet is simply captured for the lower total.
+  const payment = order.payment && await Payment.findById(order.payment);
+  if (payment) {
+    const refundedBefore = payment.refundedAmount;
+
+    try {
+      if (allCancelled) {
+        await releasePayment(payment);
+      } else if (['captured', 'partially_refunded'].includes(payment.status)) {
+        const refundable = roundCurrency(payment.capturedAmount - payment.refundedAmount);
+        const amount = Math.min(roundCurrency(previousTotal - order.total), refundable);
+        if (amount > 0) {
+          await refundPayment(payment, amount);
+        }
+      }
+    } catch (error) {
+      await releaseCancelledLines(order, lines);
+      throw error;
+    }
+
+    refunded = roundCurrency(payment.refundedAmount - refundedBefore);
+    order.paymentStatus = getOrderPaymentStatus(payment);
+  }
+
+  await incrementStock(restock);
+
+  if (allCancelled && order.coupon?.coupon) {
+    await releaseCouponRedemption(order.coupon.coupon, order._id);
+  }
+
+  syncOrderStatus(order);
+  await order.save();
+
+  // Merchants give back what they were credited for the cancelled units
+  await recordOrderRefunds(order);
+
+  return { order, refunded };
+};
@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+
+export const hashLookupToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A token a guest can look their order up with. Only its hash is stored on the order, so
+// the token itself is handed out once, when the order is placed.
+export const createLookupToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashLookupToken(token) };
+};
+
+export const findOrderByLookupToken = (token) =>
+  Order.findOne({ guestLookupTokenHash: hashLookupToken(token) });
+
+/**
+ * Attach orders (and their payments) placed as a guest to a user's account, e.g. once
+ * they have registered. Holding the email isn't proof enough, so only orders the user
+ * has the lookup tokens for, and that were placed with their email, are attached.
+ *
+ * @param {User} user
+ * @param {string[]} tokens - Lookup tokens of the guest's orders
+ * @returns {Promise<number>} How many orders were attached
+ */
+export const claimGuestOrders = async (user, tokens = []) => {
+  if (tokens.length === 0) return 0;
+
+  const orders = await Order.find({
+    user: null,
+    guestEmail: user.email,
+    guestLookupTokenHash: { $in: tokens.map(hashLookupToken) }
+  }).select('_id');
+  const orderIds = orders.map(order => order._id);
+  if (orderIds.length === 0) return 0;
+
+  const { modifiedCount } = await Order.updateMany(
+    { _id: { $in: orderIds }, user: null },
+    { $set: { user: user._id } }
+  );
+  await Payment.updateMany({ order: { $in: orderIds }, user: null }, { $set: { user: user._id } });
+  return modifiedCount;
+};
@@ -0,0 +1,85 @@
+import Product from '../models/Product.js';
+
+// Find a product's variant subdocument from its ID (or an already resolved variant)
+export const findVariant = (product, variant) => {
+  if (!product?.variants || !variant) return null;
+
+  const variantId = (variant._id || variant).toString();
+  return product.variants.find(v => v._id.toString() === variantId) || null;
+};
+
+// Units that can be sold: the variant's own stock when one is chosen, otherwise the product's
+export const getAvailableStock = (product, variant) => {
+  return variant ? variant.stock || 0 : product.stock || 0;
+};
+
+// Label for a variant, e.g. "Size: M"
+export const describeVariant = (variant) => {
+  if (!variant) return '';
+  return `${variant.name}: ${variant.value}`;
+};
+
+// Describe a cart line that can't be ordered or reserved, so the client can point at it
+export const describeFailedLine = (item, product, variant, message) => ({
+  itemId: item._id,
+  product: product?._id || item.product?._id || item.product,
+  name: product?.name,
+  variant: variant?._id,
+  variantName: describeVariant(variant) || undefined,
+  requested: item.quantity,
+  available: product ? getAvailableStock(product, variant) : 0,
+  message
+});
+
+const getIds = (line) => ({
+  productId: line.product?._id || line.product,
+  variantId: line.variant?._id || line.variant
+});
+
+/**
+ * Take stock for order lines ([{ product, variant?, quantity }]). Each line is a
+ * single conditional $inc that only applies while enough stock is left, so
+ * concurrent checkouts cannot oversell. Product stock is the total across
+ * variants, so a variant line decrements both.
+ *
+ * @returns {Promise<{ applied: Array, failed: Array }>} Lines that were and weren't taken
+ */
+export const decrementStock = async (lines, { session = null } = {}) => {
+  const applied = [];
+  const failed = [];
+
+  for (const line of lines) {
+    const { productId, variantId } = getIds(line);
+    const filter = { _id: productId, stock: { $gte: line.quantity } };
+    const update = { $inc: { stock: -line.quantity } };
+
+    if (variantId) {
+      filter.variants = { $elemMatch: { _id: variantId, stock: { $gte: line.quantity } } };
+      update.$inc['variants.$.stock'] = -line.quantity;
+    }
+
+    const result = await Product.updateOne(filter, update, { session });
+    (result.modifiedCount === 1 ? applied : failed).push(line);
+  }
+
+  return { applied, failed };
+};
+
+// Put stock back for order lines, e.g. after a cancellation or a failed checkout
+export const incrementStock = async (lines, { session = null } = {}) => {
+  for (const line of lines) {
+    const { productId, variantId } = getIds(line);
+
+    if (variantId) {
+      const result = await Product.updateOne(
+        { _id: productId, 'variants._id': variantId },
+        { $inc: { stock: line.quantity, 'variants.$.stock': line.quantity } },
+        { session }
+      );
+      if (result.matchedCount === 1) continue;
+    }
+
+    // The variant may have been removed since; the product total still goes back up
+    await Product.updateOne({ _id: productId }, { $inc: { stock: line.quantity } }, { session });
+  }
+};
@@ -0,0 +1,53 @@
+import Invoice from '../models/Invoice.js';
+import Order from '../models/Order.js';
+
+// Orders are invoiced once they have been paid for
+export const INVOICEABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Prefix for invoice numbers, set with INVOICE_PREFIX
+const getInvoicePrefix = () => process.env.INVOICE_PREFIX ?? 'INV-';
+
+export const formatInvoiceNumber = (number) => `${getInvoicePrefix()}${String(number).padStart(6, '0')}`;
+
+export const canInvoiceOrder = (order) => INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+/**
+ * The invoice for an order, issuing it with the next number the first time. Numbers are
+ * taken as one more than the last invoice's; when another invoice gets there first the
+ * unique index turns this one away and it tries the next number.
+ *
+ * @param {Order} order - A paid order; its invoiceNumber is set
+ * @returns {Promise<Invoice>}
+ */
+export const issueInvoice = async (order) => {
+  const existing = await Invoice.findOne({ order: order._id });
+  if (existing) return existing;
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const last = await Invoice.findOne().sort({ number: -1 }).select('number');
+    const number = (last?.number || 0) + 1;
+
+    try {
+      const invoice = await Invoice.create({
+        number,
+        invoiceNumber: formatInvoiceNumber(number),
+        order: order._id
+      });
+
+      order.invoiceNumber = invoice.invoiceNumber;
+      await Order.updateOne({ _id: order._id }, { invoiceNumber: invoice.invoiceNumber });
+
+      return invoice;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Either the number was taken, or the order was invoiced at the same time
+      const issued = await Invoice.findOne({ order: order._id });
+      if (issued) return issued;
+    }
+  }
+
+  const error = new Error('Could not issue an invoice number, please try again');
+  error.status = 503;
+  throw error;
+};
@@ -0,0 +1,276 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import CommissionRate from '../models/CommissionRate.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Payout from '../models/Payout.js';
+import { roundCurrency } from './pricing.js';
+import { getActiveQuantity } from './fulfillment.js';
+
+// Commission for lines no rule covers, set with MARKETPLACE_COMMISSION_RATE (a percentage)
+export const getDefaultCommissionRate = () => {
+  const rate = Number(process.env.MARKETPLACE_COMMISSION_RATE);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 100 ? rate : 10;
+};
+
+/**
+ * The commission rate for a merchant's sale in a category: a rule for both wins over
+ * one for the merchant, which wins over one for the category.
+ *
+ * @param {Array} rules - Active CommissionRate documents
+ */
+export const findCommissionRate = (rules, merchant, category) => {
+  const merchantId = merchant?.toString();
+  const matches = rules.filter(rule =>
+    (!rule.merchant || rule.merchant.toString() === merchantId) &&
+    (!rule.category || rule.category.toLowerCase() === (category || '').toLowerCase())
+  );
+
+  if (matches.length === 0) return getDefaultCommissionRate();
+
+  const specificity = (rule) => (rule.merchant ? 2 : 0) + (rule.category ? 1 : 0);
+  return matches.sort((a, b) => specificity(b) - specificity(a))[0].rate;
+};
+
+const buildEntry = ({ gross, commissionRate, ...fields }) => {
+  // || 0 turns the -0 of a zero-rate refund into 0
+  const commission = roundCurrency(gross * commissionRate / 100) || 0;
+  return { ...fields, gross, commissionRate, commission, amount: roundCurrency(gross - commission) };
+};
+
+const describeLine = (item, quantity) =>
+  `${quantity} × ${item.name || 'Product'}${item.variantName ? ` (${item.variantName})` : ''}`;
+
+// What the customer pays for a line's remaining units, before tax
+const getLineNet = (item) => roundCurrency(item.price * getActiveQuantity(item) - (item.discount || 0));
+
+const sumGross = (entries) => roundCurrency(entries.reduce((sum, entry) => sum + entry.gross, 0));
+
+// Sales may race (a capture and its webhook); the unique index keeps the first
+const insertEntries = async (entries) => {
+  if (entries.length === 0) return;
+
+  try {
+    await LedgerEntry.insertMany(entries, { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors?.every(writeError => writeError.code === 11000)) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Bring an order's sales and refunds in line with the order as it is now: each merchant
+ * line is credited with what is paid for its remaining units, and each merchant's
+ * sub-order with its shipping charge (no commission is taken on shipping). Differences
+ * from what is already on the ledger are written as entries of the given type.
+ */
+const reconcileOrder = async (order, type, existing) => {
+  const lines = order.items.filter(item => item.merchant);
+  const products = await Product.find({ _id: { $in: lines.map(item => item.product) } }, 'category');
+  const rules = await CommissionRate.find({ isActive: true });
+  const entries = [];
+
+  for (const item of lines) {
+    const recorded = existing.filter(entry => entry.orderItem?.equals(item._id));
+    const gross = roundCurrency(getLineNet(item) - sumGross(recorded));
+    if (gross === 0) continue;
+
+    const product = products.find(candidate => candidate._id.equals(item.product));
+    entries.push(buildEntry({
+      merchant: item.merchant,
+      type,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      orderItem: item._id,
+      description: type === 'sale'
+        ? describeLine(item, getActiveQuantity(item))
+        : `Cancelled: ${item.name || 'Product'}${item.variantName ? ` (${item.variantName})` : ''}`,
+      gross,
+      // Refunds give back commission at the rate the line was sold at
+      commissionRate: recorded[0]?.commissionRate ?? findCommissionRate(rules, item.merchant, product?.category)
+    }));
+  }
+
+  for (const subOrder of order.subOrders || []) {
+    if (!subOrder.merchant) continue;
+
+    const recorded = existing.filter(entry => entry.subOrder?.equals(subOrder._id));
+    const gross = roundCurrency((subOrder.shipping || 0) - sumGross(recorded));
+    if (gross === 0) continue;
+
+    entries.push(buildEntry({
+      merchant: subOrder.merchant,
+      type,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      subOrder: subOrder._id,
+      description: type === 'sale' ? 'Shipping' : 'Shipping adjusted',
+      gross,
+      commissionRate: 0
+    }));
+  }
+
+  await insertEntries(entries);
+};
+
+/**
+ * Credit merchants for an order once it is paid for. Does nothing if the order's sales
+ * are already on the ledger.
+ *
+ * @param {Order|ObjectId} orderOrId
+ */
+export const recordOrderSales = async (orderOrId) => {
+  const order = orderOrId instanceof mongoose.Types.ObjectId
+    ? await Order.findById(orderOrId)
+    : orderOrId;
+  if (!order) return;
+
+  const existing = await LedgerEntry.find({ order: order._id, type: { $in: ['sale', 'refund'] } });
+  if (existing.some(entry => entry.type === 'sale')) return;
+
+  await reconcileOrder(order, 'sale', existing);
+};
+
+/**
+ * Debit merchants for the lines (and shipping) cancelled from a paid order. Orders that
+ * haven't been paid for yet have nothing to debit; their sales are recorded for what is
+ * left when they are.
+ */
+export const recordOrderRefunds = async (order) => {
+  const existing = await LedgerEntry.find({ order: order._id, type: { $in: ['sale', 'refund'] } });
+  if (!existing.some(entry => entry.type === 'sale')) return;
+
+  await reconcileOrder(order, 'refund', existing);
+};
+
+/**
+ * Debit merchants for a refunded return. A partial refund is shared out over the returned
+ * lines in proportion to what was paid for them; tax is left out, as it never reached
+ * the merchant.
+ *
+ * @param {ReturnRequest} rma
+ * @param {Order} order
+ * @param {number} amount - Refunded to the customer, tax included
+ */
+export const recordReturnRefund = async (rma, order, amount) => {
+  const owed = rma.items.reduce((sum, item) => sum + item.unitRefund * item.quantity, 0);
+  if (amount <= 0 || owed <= 0) return;
+
+  const sales = await LedgerEntry.find({ order: order._id, type: 'sale', orderItem: { $ne: null } });
+  const entries = [];
+
+  for (const returned of rma.items) {
+    const item = order.items.id(returned.orderItem);
+    const sale = sales.find(entry => entry.orderItem.equals(returned.orderItem));
+    // Only what was credited to the merchant is taken back
+    if (!item || !sale) continue;
+
+    const active = getActiveQuantity(item);
+    if (active === 0) continue;
+
+    const unitNet = getLineNet(item) / active;
+    const gross = -roundCurrency(unitNet * returned.quantity * amount / owed);
+    if (gross === 0) continue;
+
+    entries.push(buildEntry({
+      merchant: sale.merchant,
+      type: 'return',
+      order: order._id,
+      orderNumber: order.orderNumber,
+      orderItem: item._id,
+      returnRequest: rma._id,
+      description: `Returned (${rma.rmaNumber}): ${describeLine(item, returned.quantity)}`,
+      gross,
+      commissionRate: sale.commissionRate
+    }));
+  }
+
+  await insertEntries(entries);
+};
+
+/**
+ * A merchant's balance: what is owed but not yet in a payout, what is in payouts waiting
+ * to be paid, and what has been paid out.
+ */
+export const getMerchantBalance = async (merchantId) => {
+  const merchant = new mongoose.Types.ObjectId(merchantId.toString());
+
+  const [[totals], [unbatched], payouts] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { merchant } },
+      { $group: { _id: null, gross: { $sum: '$gross' }, commission: { $sum: '$commission' }, amount: { $sum: '$amount' } } }
+    ]),
+    LedgerEntry.aggregate([
+      { $match: { merchant, payout: null } },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]),
+    Payout.aggregate([
+      { $match: { merchant } },
+      { $group: { _id: '$status', amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const payoutTotal = (status) => roundCurrency(payouts.find(group => group._id === status)?.amount || 0);
+
+  return {
+    available: roundCurrency(unbatched?.amount || 0),
+    unbatchedEntries: unbatched?.count || 0,
+    pendingPayout: payoutTotal('pending'),
+    paidOut: payoutTotal('paid'),
+    lifetime: {
+      gross: roundCurrency(totals?.gross || 0),
+      commission: roundCurrency(totals?.commission || 0),
+      earned: roundCurrency(totals?.amount || 0)
+    }
+  };
+};
+
+/**
+ * Put the ledger entries not yet paid out into a payout, one per merchant who is owed
+ * money. Merchants whose refunds outweigh their sales are left until they are owed again.
+ *
+ * @param {Object} options
+ * @param {ObjectId} [options.merchant] - Only this merchant
+ * @param {Date} [options.until] - Only entries written before this date
+ * @param {User} [options.user] - The admin creating the payouts
+ * @returns {Promise<Payout[]>}
+ */
+export const generatePayouts = async ({ merchant, until, user } = {}) => {
+  const match = { payout: null };
+  if (merchant) match.merchant = new mongoose.Types.ObjectId(merchant.toString());
+  if (until) match.createdAt = { $lt: until };
+
+  const groups = await LedgerEntry.aggregate([
+    { $match: match },
+    { $group: { _id: '$merchant', amount: { $sum: '$amount' }, entries: { $push: '$_id' } } }
+  ]);
+
+  const payouts = [];
+
+  for (const group of groups) {
+    if (roundCurrency(group.amount) <= 0) continue;
+
+    const payout = await Payout.create({ merchant: group._id, createdBy: user?._id });
+
+    // Conditional, so an entry claimed by a payout generated at the same time isn't paid twice
+    await LedgerEntry.updateMany({ _id: { $in: group.entries }, payout: null }, { payout: payout._id });
+
+    const [claimed] = await LedgerEntry.aggregate([
+      { $match: { payout: payout._id } },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    if (!claimed) {
+      await Payout.deleteOne({ _id: payout._id });
+      continue;
+    }
+
+    payout.amount = roundCurrency(claimed.amount);
+    payout.entryCount = claimed.count;
+    await payout.save();
+    payouts.push(payout);
+  }
+
+  return payouts;
+};
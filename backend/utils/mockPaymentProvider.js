@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+
+// Card numbers with a fixed outcome, so the whole payment flow can be exercised offline
+export const MOCK_TEST_CARDS = [
+  { number: '4242424242424242', brand: 'visa', outcome: 'success', description: 'Payment succeeds' },
+  { number: '5555555555554444', brand: 'mastercard', outcome: 'success', description: 'Payment succeeds' },
+  { number: '4000000000000002', brand: 'visa', outcome: 'decline', description: 'Card is declined' },
+  { number: '4000000000009995', brand: 'visa', outcome: 'insufficient_funds', description: 'Declined for insufficient funds' },
+  { number: '4000000000003220', brand: 'visa', outcome: 'challenge', description: 'Requires a 3-D Secure challenge' }
+];
+
+// Webhooks are only accepted once a secret is set, so no one can forge them with a known default
+const getWebhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+const createId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const getCardBrand = (number) => {
+  if (/^4/.test(number)) return 'visa';
+  if (/^(5[1-5]|2[2-7])/.test(number)) return 'mastercard';
+  if (/^3[47]/.test(number)) return 'amex';
+  return 'card';
+};
+
+// Check that the expiry is MM/YY (or MM/YYYY) and not in the past
+const isValidExpiry = (expiry) => {
+  const match = String(expiry || '').trim().match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+  if (!match) return false;
+
+  const month = Number(match[1]);
+  const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+  if (month < 1 || month > 12) return false;
+
+  const now = new Date();
+  return year > now.getFullYear() || (year === now.getFullYear() && month >= now.getMonth() + 1);
+};
+
+// Sign a webhook body the way the mock provider does, e.g. to send test events
+export const signMockWebhook = (payload) => {
+  if (!getWebhookSecret()) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', getWebhookSecret()).update(payload).digest('hex');
+};
+
+/**
+ * Payment provider that runs entirely in-process. The outcome of an authorization
+ * depends on the card number (see MOCK_TEST_CARDS); any other card is declined.
+ * Captures, voids and refunds always succeed.
+ */
+const mockPaymentProvider = {
+  name: 'mock',
+
+  testCards: MOCK_TEST_CARDS,
+
+  async authorize({ paymentDetails = {} }) {
+    const number = String(paymentDetails.number || '').replace(/\D/g, '');
+    const card = { brand: getCardBrand(number), last4: number.slice(-4) };
+    const transactionId = createId('mock_pay');
+
+    if (!isValidExpiry(paymentDetails.expiry)) {
+      return { status: 'failed', transactionId, card, message: 'Your card has expired or the expiry date is invalid' };
+    }
+
+    if (!/^\d{3,4}$/.test(String(paymentDetails.cvc || '').trim())) {
+      return { status: 'failed', transactionId, card, message: 'Your card\'s security code is invalid' };
+    }
+
+    const testCard = MOCK_TEST_CARDS.find(candidate => candidate.number === number);
+
+    switch (testCard?.outcome) {
+      case 'success':
+        return { status: 'authorized', transactionId, card };
+      case 'challenge':
+        return {
+          status: 'requires_action',
+          transactionId,
+          card,
+          action: { type: 'three_d_secure' }
+        };
+      case 'insufficient_funds':
+        return { status: 'failed', transactionId, card, message: 'Your card has insufficient funds' };
+      case 'decline':
+        return { status: 'failed', transactionId, card, message: 'Your card was declined' };
+      default:
+        return { status: 'failed', transactionId, card, message: 'Your card was declined. Use one of the test cards.' };
+    }
+  },
+
+  // Finish a 3-D Secure challenge. The mock challenge sends { challengeResult: 'success' | 'failure' }.
+  async confirm(transactionId, { challengeResult } = {}) {
+    if (challengeResult === 'success') {
+      return { status: 'authorized' };
+    }
+    return { status: 'failed', message: 'Card authentication failed' };
+  },
+
+  async capture(transactionId, amount) {
+    return { status: 'captured', amount };
+  },
+
+  async void(transactionId) {
+    return { status: 'voided' };
+  },
+
+  async refund(transactionId, amount) {
+    return { status: 'refunded', amount, reference: createId('mock_re') };
+  },
+
+  // Webhook bodies are { type, transactionId, amount?, reference?, message? }, signed with
+  // MOCK_PAYMENT_WEBHOOK_SECRET in the X-Mock-Signature header
+  parseWebhook(req) {
+    if (!getWebhookSecret()) {
+      console.warn('Rejected a mock payment webhook: MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+      return null;
+    }
+
+    const signature = req.get('x-mock-signature') || '';
+    const expected = signMockWebhook(req.rawBody || '');
+
+    if (
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      return null;
+    }
+
+    const { type, transactionId, amount, reference, message } = req.body;
+    return { type, transactionId, amount, reference, message };
+  }
+};
+
+export default mockPaymentProvider;
@@ -0,0 +1,73 @@
+import Counter from '../models/Counter.js';
+
+// How order numbers look, set with:
+//   ORDER_NUMBER_PREFIX - put in front of every number (default ORD-)
+//   ORDER_NUMBER_YEARLY - 'true' to start again from 1 each year, e.g. ORD-2026-000001
+//   ORDER_NUMBER_PADDING - digits the sequence is padded to (default 6)
+//   MERCHANT_ORDER_NUMBERS - 'true' to also number each merchant's sub-orders in a
+//     sequence of their own, e.g. MO-4F2A9C-000012
+//   MERCHANT_ORDER_NUMBER_PREFIX - put in front of merchant numbers (default MO-)
+export const getOrderNumberFormat = () => ({
+  prefix: process.env.ORDER_NUMBER_PREFIX ?? 'ORD-',
+  yearly: process.env.ORDER_NUMBER_YEARLY === 'true',
+  padding: parseInt(process.env.ORDER_NUMBER_PADDING) || 6,
+  perMerchant: process.env.MERCHANT_ORDER_NUMBERS === 'true',
+  merchantPrefix: process.env.MERCHANT_ORDER_NUMBER_PREFIX ?? 'MO-'
+});
+
+/**
+ * The next value of a named sequence, starting from 1. The first caller creates the
+ * counter; when two do so at once the unique index turns one away and it tries again,
+ * by which time the counter exists.
+ *
+ * @param {string} key
+ * @returns {Promise<number>}
+ */
+export const nextSequence = async (key) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      return counter.seq;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const error = new Error('Could not issue an order number, please try again');
+  error.status = 503;
+  throw error;
+};
+
+// A short code for a merchant in their order numbers: the end of their ID
+const getMerchantCode = (merchantId) => merchantId.toString().slice(-6).toUpperCase();
+
+/**
+ * Number a new order, and its merchants' sub-orders when they have sequences of their
+ * own. Numbers come from counters outside any transaction the order is saved in, so an
+ * order that fails to save leaves a gap rather than holding up other checkouts.
+ *
+ * @param {Order} order - Only what isn't numbered yet is numbered
+ */
+export const assignOrderNumbers = async (order) => {
+  const { prefix, yearly, padding, perMerchant, merchantPrefix } = getOrderNumberFormat();
+  const year = (order.createdAt || new Date()).getFullYear();
+  const period = yearly ? `:${year}` : '';
+  const format = (seq) => `${yearly ? `${year}-` : ''}${String(seq).padStart(padding, '0')}`;
+
+  if (!order.orderNumber) {
+    order.orderNumber = `${prefix}${format(await nextSequence(`order${period}`))}`;
+  }
+
+  if (!perMerchant) return;
+
+  for (const subOrder of order.subOrders) {
+    if (!subOrder.merchant || subOrder.merchantOrderNumber) continue;
+
+    const seq = await nextSequence(`merchant:${subOrder.merchant}${period}`);
+    subOrder.merchantOrderNumber = `${merchantPrefix}${getMerchantCode(subOrder.merchant)}-${format(seq)}`;
+  }
+};
@@ -0,0 +1,192 @@
+import Payment from '../models/Payment.js';
+import { roundCurrency } from './pricing.js';
+import { capturePayment, getOrderPaymentStatus } from './payments.js';
+import {
+  SUB_ORDER_STEPS,
+  cancelOrderLines,
+  canAdvanceFulfillment,
+  getSubOrderItems,
+  setSubOrderStatus,
+  syncOrderStatus
+} from './fulfillment.js';
+
+/**
+ * The statuses an order (or sub-order) can move to from each status, and the roles that
+ * may move it there. 'user' is the customer who placed the order; 'system' is the store
+ * acting by itself, e.g. marking an order returned once all of it has been refunded.
+ * Cancelled and returned are final.
+ */
+export const ORDER_TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'merchant'],
+    cancelled: ['admin', 'merchant', 'user']
+  },
+  confirmed: {
+    processing: ['admin', 'merchant'],
+    shipped: ['admin', 'merchant'],
+    cancelled: ['admin', 'merchant', 'user']
+  },
+  processing: {
+    shipped: ['admin', 'merchant'],
+    cancelled: ['admin', 'merchant', 'user']
+  },
+  shipped: {
+    delivered: ['admin', 'merchant']
+  },
+  delivered: {
+    returned: ['system']
+  },
+  cancelled: {},
+  returned: {}
+};
+
+// Payment statuses in which the money has been taken
+const CAPTURED_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+const transitionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check whether a role may move an order (or sub-order) from one status to another
+export const canTransition = (from, to, role) =>
+  Boolean(ORDER_TRANSITIONS[from]?.[to]?.includes(role));
+
+// The statuses a role may move an order (or sub-order) on to from its current status
+export const getNextStatuses = (from, role) =>
+  Object.entries(ORDER_TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([status]) => status);
+
+const assertTransition = (from, to, role, noun) => {
+  if (from === to) {
+    throw transitionError(`The ${noun} is already ${to}`);
+  }
+
+  const next = Object.keys(ORDER_TRANSITIONS[from] || {});
+
+  if (!next.includes(to)) {
+    throw transitionError(next.length === 0
+      ? `Cannot move a ${from} ${noun} to ${to}: ${from} is final`
+      : `Cannot move a ${from} ${noun} to ${to}. It can only become ${next.join(' or ')}`);
+  }
+
+  if (!canTransition(from, to, role)) {
+    throw transitionError(to === 'returned'
+      ? 'Orders are marked returned once all of their returns have been refunded'
+      : `You are not allowed to move a ${from} ${noun} to ${to}`, 403);
+  }
+};
+
+// Take the payment for an order before work starts on it (or on a later move, for orders
+// that got past pending still authorized). Authorizations are captured for the order's
+// total, which is lower than authorized if lines were cancelled.
+const ensurePaymentCaptured = async (order, leavingPending) => {
+  const payment = order.paymentStatus === 'authorized' && order.payment &&
+    await Payment.findById(order.payment);
+
+  if (payment) {
+    await capturePayment(payment, Math.min(roundCurrency(order.total), payment.amount));
+    order.paymentStatus = getOrderPaymentStatus(payment);
+    return;
+  }
+
+  if (leavingPending && !CAPTURED_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw transitionError('The order cannot go ahead until it has been paid for');
+  }
+};
+
+/**
+ * Move an order, or one of its sub-orders, to a new status along ORDER_TRANSITIONS, and do
+ * what the move involves:
+ *   - cancelling cancels the remaining lines: their stock is put back and the payment
+ *     voided or refunded for them (nothing can have shipped yet);
+ *   - confirming, or any other move out of pending, captures the payment first;
+ *   - shipping needs a tracking number, given here or already on the (sub-)order;
+ *   - shipping or delivering moves the lines along with it.
+ * Moving the whole order of a split order moves each of its sub-orders that are behind.
+ *
+ * @param {Order} order
+ * @param {string} status
+ * @param {Object} options
+ * @param {SubOrder} [options.subOrder] - Move only this sub-order
+ * @param {User} [options.user] - Who is making the move; the system when unset
+ * @param {string} [options.trackingNumber]
+ * @param {string} [options.comment] - Kept in the order's status history
+ * @returns {Promise<{ refunded: number }>} What was refunded by cancelling
+ */
+export const transitionOrder = async (order, status, { subOrder, user, trackingNumber, comment } = {}) => {
+  const noun = subOrder ? 'sub-order' : 'order';
+  const from = (subOrder || order).status;
+  assertTransition(from, status, user?.role || 'system', noun);
+
+  order.setChangedBy(user, comment);
+
+  const items = (subOrder ? getSubOrderItems(order, subOrder) : order.items)
+    .filter(item => item.fulfillmentStatus !== 'cancelled');
+
+  if (status === 'cancelled') {
+    if (items.some(item => (item.fulfillmentStatus || 'pending') !== 'pending')) {
+      throw transitionError('Some items have already shipped. Cancel the remaining items individually.');
+    }
+
+    // Restocks the lines and settles the payment; the statuses follow the lines
+    return cancelOrderLines(order, items.map(item => ({ itemId: item._id })));
+  }
+
+  if (status === 'returned') {
+    order.status = status;
+    await order.save();
+    return { refunded: 0 };
+  }
+
+  // The sub-orders this moves: the one given, or those of the order that are behind
+  const subOrders = subOrder
+    ? [subOrder]
+    : order.subOrders.filter(candidate =>
+      candidate.status !== 'cancelled' &&
+      SUB_ORDER_STEPS.indexOf(candidate.status) < SUB_ORDER_STEPS.indexOf(status)
+    );
+
+  if (status === 'shipped') {
+    const shipments = order.subOrders.length > 0 ? subOrders : [order];
+
+    shipments.forEach(shipment => {
+      if (trackingNumber && !shipment.trackingNumber) {
+        shipment.trackingNumber = trackingNumber;
+      }
+    });
+
+    if (shipments.some(shipment => !shipment.trackingNumber)) {
+      throw transitionError(`A tracking number is needed to mark the ${noun} as shipped`);
+    }
+  }
+
+  await ensurePaymentCaptured(order, from === 'pending');
+
+  if (order.subOrders.length > 0) {
+    subOrders.forEach(candidate => setSubOrderStatus(order, candidate, status));
+  } else {
+    // Orders placed before they were split move as a whole, lines and all
+    order.status = status;
+
+    if (['shipped', 'delivered'].includes(status)) {
+      order.items.forEach(item => {
+        if (canAdvanceFulfillment(item, status)) {
+          item.fulfillmentStatus = status;
+        }
+      });
+    }
+
+    if (status === 'delivered' && !order.deliveredAt) {
+      order.deliveredAt = new Date();
+    }
+
+    syncOrderStatus(order);
+  }
+
+  await order.save();
+
+  return { refunded: 0 };
+};
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+
+// Tracking links are signed with TRACKING_LINK_SECRET, or the JWT secret when it isn't set
+const getTrackingSecret = () => process.env.TRACKING_LINK_SECRET || process.env.JWT_SECRET;
+
+const signOrderId = (orderId) =>
+  crypto.createHmac('sha256', getTrackingSecret()).update(`track:${orderId}`).digest('base64url');
+
+// A token anyone can track the order with, e.g. for a link in an email or for a gift
+// recipient. It doesn't expire; changing the secret invalidates every link.
+export const createTrackingToken = (order) => `${order._id}.${signOrderId(order._id.toString())}`;
+
+// The order ID a tracking token was signed for, or null when it wasn't signed by us
+export const verifyTrackingToken = (token) => {
+  const [orderId, signature] = String(token || '').split('.');
+  if (!/^[0-9a-fA-F]{24}$/.test(orderId || '') || !signature) return null;
+
+  const expected = Buffer.from(signOrderId(orderId));
+  const given = Buffer.from(signature);
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+    ? orderId
+    : null;
+};
+
+export const getTrackingUrl = (order) => {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:8080').replace(/\/$/, '');
+  return `${frontendUrl}/track?token=${encodeURIComponent(createTrackingToken(order))}`;
+};
+
+// The email an order's updates go to: the customer's account, or the guest's
+export const getOrderEmail = (order) => order.user?.email || order.guestEmail;
+
+/**
+ * What someone tracking an order gets to see: where the order and its shipments are
+ * and when they changed. Nothing about who placed it, where it is going, or what it cost,
+ * since the link may have been passed on (e.g. to a gift recipient).
+ *
+ * @param {Order} order
+ * @returns {Object}
+ */
+export const toTrackingView = (order) => ({
+  orderNumber: order.orderNumber,
+  status: order.status,
+  createdAt: order.createdAt,
+  trackingNumber: order.trackingNumber,
+  estimatedDelivery: order.estimatedDelivery,
+  deliveredAt: order.deliveredAt,
+  // Lines are snapshotted; older orders fall back to the (populated) product
+  items: order.items.map(item => ({
+    _id: item._id,
+    name: item.name || item.product?.name,
+    slug: item.slug || item.product?.slug,
+    image: item.image || item.product?.images?.[0],
+    brand: item.brand || item.product?.brand,
+    variantName: item.variantName,
+    variantDetails: item.variantDetails,
+    quantity: item.quantity,
+    cancelledQuantity: item.cancelledQuantity,
+    fulfillmentStatus: item.fulfillmentStatus
+  })),
+  subOrders: order.subOrders.map(subOrder => ({
+    _id: subOrder._id,
+    number: subOrder.number,
+    merchantOrderNumber: subOrder.merchantOrderNumber,
+    items: subOrder.items,
+    status: subOrder.status,
+    trackingNumber: subOrder.trackingNumber,
+    estimatedDelivery: subOrder.estimatedDelivery,
+    deliveredAt: subOrder.deliveredAt
+  })),
+  // Comments are left out; they can mention the customer
+  statusHistory: order.statusHistory.map(({ subOrder, from, to, createdAt }) => ({
+    subOrder,
+    from,
+    to,
+    createdAt
+  }))
+});
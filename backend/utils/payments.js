@@ -0,0 +1,298 @@
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import mockPaymentProvider from './mockPaymentProvider.js';
+import { recordOrderSales } from './ledger.js';
+
+/**
+ * Payment providers are plain objects registered by name. Each one implements:
+ *
+ *   authorize({ amount, currency, paymentDetails, reference })
+ *     -> { status: 'authorized' | 'requires_action' | 'failed', transactionId, card?, action?, message? }
+ *   confirm(transactionId, params)   -> { status: 'authorized' | 'failed', message? }
+ *   capture(transactionId, amount)   -> { status: 'captured' | 'failed', message? }
+ *   void(transactionId)              -> { status: 'voided' | 'failed', message? }
+ *   refund(transactionId, amount)    -> { status: 'refunded' | 'failed', reference?, message? }
+ *   parseWebhook(req)                -> { type, transactionId, amount?, reference? }, or null
+ *                                       when the request isn't signed by the provider
+ *
+ * paymentDetails is whatever the checkout collected for the provider (card fields for
+ * the mock provider, a token for hosted card forms).
+ */
+const providers = new Map();
+
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+registerPaymentProvider(mockPaymentProvider);
+
+// The provider new payments go through, set with PAYMENT_PROVIDER (default: mock)
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers.get(name);
+  if (!provider) {
+    const error = new Error(`Payment provider "${name}" is not configured`);
+    error.status = 500;
+    throw error;
+  }
+  return provider;
+};
+
+// Orders are charged as soon as they are placed unless PAYMENT_CAPTURE=manual
+export const isAutoCapture = () => process.env.PAYMENT_CAPTURE !== 'manual';
+
+// A payment the provider rejected, or an operation the payment's status doesn't allow
+export class PaymentError extends Error {
+  constructor(message, status = 402) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// The order's paymentStatus for each payment status
+const orderPaymentStatuses = {
+  requires_action: 'pending',
+  authorized: 'authorized',
+  captured: 'paid',
+  partially_refunded: 'partially_refunded',
+  refunded: 'refunded',
+  voided: 'voided',
+  failed: 'failed'
+};
+
+export const getOrderPaymentStatus = (payment) => orderPaymentStatuses[payment.status] || 'pending';
+
+// Label for the card a payment was made with, e.g. "Visa ending in 4242"
+export const describePaymentCard = (payment) => {
+  const brand = payment.card?.brand || 'card';
+  const label = brand.charAt(0).toUpperCase() + brand.slice(1);
+  return payment.card?.last4 ? `${label} ending in ${payment.card.last4}` : label;
+};
+
+// Save the payment and mirror its status on the order it pays for. Once the order is
+// paid for, its merchants are credited on the ledger.
+const savePayment = async (payment, { session = null } = {}) => {
+  await payment.save({ session });
+
+  if (payment.order) {
+    await Order.updateOne(
+      { _id: payment.order },
+      { paymentStatus: getOrderPaymentStatus(payment) },
+      { session }
+    );
+
+    // The money has moved either way; a failure here is logged rather than reported as a failed capture
+    if (payment.status === 'captured') {
+      try {
+        await recordOrderSales(payment.order);
+      } catch (error) {
+        console.error(`Failed to record sales for order ${payment.order}:`, error.message);
+      }
+    }
+  }
+
+  return payment;
+};
+
+/**
+ * Authorize an amount on the customer's card. The payment is saved whatever the
+ * outcome, so declines are on record too.
+ *
+ * @returns {Promise<Payment>} status is authorized, requires_action or failed
+ */
+export const authorizePayment = async ({ user, guestEmail, amount, currency = 'USD', paymentDetails }) => {
+  const provider = getPaymentProvider();
+  const result = await provider.authorize({
+    amount,
+    currency,
+    paymentDetails,
+    reference: user ? user.toString() : guestEmail
+  });
+
+  const payment = new Payment({
+    user,
+    guestEmail: user ? undefined : guestEmail,
+    provider: provider.name,
+    transactionId: result.transactionId,
+    amount,
+    currency,
+    status: result.status,
+    card: result.card,
+    action: result.action,
+    failureMessage: result.message
+  });
+  payment.events.push({
+    type: result.status === 'requires_action' ? 'action_required' : result.status,
+    amount,
+    message: result.message
+  });
+
+  return savePayment(payment);
+};
+
+// Finish an authorization that required customer action, e.g. a 3-D Secure challenge
+export const confirmPayment = async (payment, params) => {
+  if (payment.status !== 'requires_action') {
+    throw new PaymentError(`Payment is ${payment.status} and needs no confirmation`, 400);
+  }
+
+  const result = await getPaymentProvider(payment.provider).confirm(payment.transactionId, params);
+
+  payment.status = result.status === 'authorized' ? 'authorized' : 'failed';
+  payment.failureMessage = result.message;
+  payment.action = undefined;
+  payment.events.push({ type: payment.status, amount: payment.amount, message: result.message });
+
+  return savePayment(payment);
+};
+
+// Charge an authorized payment (in full unless an amount is given)
+export const capturePayment = async (payment, amount = payment.amount) => {
+  if (payment.status !== 'authorized') {
+    throw new PaymentError(`Cannot capture a payment that is ${payment.status}`, 400);
+  }
+
+  amount = roundCurrency(amount);
+  if (amount <= 0 || amount > payment.amount) {
+    throw new PaymentError('Capture amount must be between 0 and the authorized amount', 400);
+  }
+
+  const result = await getPaymentProvider(payment.provider).capture(payment.transactionId, amount);
+  if (result.status !== 'captured') {
+    throw new PaymentError(result.message || 'The payment could not be captured');
+  }
+
+  payment.status = 'captured';
+  payment.capturedAmount = amount;
+  payment.events.push({ type: 'captured', amount });
+
+  return savePayment(payment);
+};
+
+// Cancel an authorization before it is captured
+export const voidPayment = async (payment) => {
+  if (!['authorized', 'requires_action'].includes(payment.status)) {
+    throw new PaymentError(`Cannot void a payment that is ${payment.status}`, 400);
+  }
+
+  const result = await getPaymentProvider(payment.provider).void(payment.transactionId);
+  if (result.status !== 'voided') {
+    throw new PaymentError(result.message || 'The payment could not be voided');
+  }
+
+  payment.status = 'voided';
+  payment.events.push({ type: 'voided' });
+
+  return savePayment(payment);
+};
+
+// Give back part or all (the default) of what was captured
+export const refundPayment = async (payment, amount = payment.capturedAmount - payment.refundedAmount) => {
+  if (!['captured', 'partially_refunded'].includes(payment.status)) {
+    throw new PaymentError(`Cannot refund a payment that is ${payment.status}`, 400);
+  }
+
+  amount = roundCurrency(amount);
+  const refundable = roundCurrency(payment.capturedAmount - payment.refundedAmount);
+  if (amount <= 0 || amount > refundable) {
+    throw new PaymentError(`Refund amount must be between 0 and ${refundable}`, 400);
+  }
+
+  const result = await getPaymentProvider(payment.provider).refund(payment.transactionId, amount);
+  if (result.status !== 'refunded') {
+    throw new PaymentError(result.message || 'The payment could not be refunded');
+  }
+
+  payment.refundedAmount = roundCurrency(payment.refundedAmount + amount);
+  payment.status = payment.refundedAmount >= payment.capturedAmount ? 'refunded' : 'partially_refunded';
+  payment.events.push({ type: 'refunded', amount, reference: result.reference });
+
+  return savePayment(payment);
+};
+
+// Give the customer their money back when an order is cancelled: voids an authorization,
+// refunds whatever was captured, and leaves failed or finished payments alone
+export const releasePayment = async (payment) => {
+  if (['authorized', 'requires_action'].includes(payment.status)) {
+    return voidPayment(payment);
+  }
+  if (['captured', 'partially_refunded'].includes(payment.status)) {
+    return refundPayment(payment);
+  }
+  return payment;
+};
+
+// Void authorizations a customer started but never placed an order with
+export const voidUnusedPayments = async (userId) => {
+  const payments = await Payment.find({
+    user: userId,
+    order: null,
+    status: { $in: ['authorized', 'requires_action'] }
+  });
+
+  for (const payment of payments) {
+    try {
+      await voidPayment(payment);
+    } catch (error) {
+      console.error(`Failed to void payment ${payment._id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Apply a webhook event from a provider. Events for changes this server made itself
+ * (a capture, or a refund with the same reference) are recognised and skipped.
+ *
+ * @returns {Promise<Payment|null>} The payment, or null when the transaction is unknown
+ */
+export const applyPaymentEvent = async (providerName, event) => {
+  const payment = await Payment.findOne({ provider: providerName, transactionId: event.transactionId });
+  if (!payment) return null;
+
+  const amount = event.amount != null ? roundCurrency(Number(event.amount)) : undefined;
+
+  switch (event.type) {
+    case 'payment.authorized':
+      if (payment.status !== 'requires_action') return payment;
+      payment.status = 'authorized';
+      payment.action = undefined;
+      break;
+    case 'payment.captured':
+      if (payment.status !== 'authorized') return payment;
+      payment.status = 'captured';
+      // Never more than was authorized, or refunds could go beyond what the customer paid
+      payment.capturedAmount = Math.min(amount ?? payment.amount, payment.amount);
+      break;
+    case 'payment.failed':
+      if (!['requires_action', 'authorized'].includes(payment.status)) return payment;
+      payment.status = 'failed';
+      payment.failureMessage = event.message || 'The payment failed';
+      break;
+    case 'payment.voided':
+      if (!['requires_action', 'authorized'].includes(payment.status)) return payment;
+      payment.status = 'voided';
+      break;
+    case 'payment.refunded': {
+      if (!['captured', 'partially_refunded'].includes(payment.status)) return payment;
+      if (event.reference && payment.events.some(e => e.type === 'refunded' && e.reference === event.reference)) {
+        return payment;
+      }
+      const refundable = roundCurrency(payment.capturedAmount - payment.refundedAmount);
+      payment.refundedAmount = roundCurrency(payment.refundedAmount + Math.min(amount ?? refundable, refundable));
+      payment.status = payment.refundedAmount >= payment.capturedAmount ? 'refunded' : 'partially_refunded';
+      break;
+    }
+    default:
+      return payment;
+  }
+
+  payment.events.push({
+    type: event.type.replace('payment.', ''),
+    amount,
+    reference: event.reference,
+    message: event.message
+  });
+
+  return savePayment(payment);
+};
@@ -0,0 +1,211 @@
+import Product from '../models/Product.js';
+import { findCouponByCode, evaluateCoupon, isProductEligible } from './coupons.js';
+import { createTaxResolver, resolveTaxClasses } from './tax.js';
+import { getShippingOptions } from './shipping.js';
+import { findVariant, describeVariant, describeFailedLine } from './inventory.js';
+
+export const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Price of a single unit, including the variant's price modifier
+export const getUnitPrice = (product, variant) => {
+  return product.price + (variant?.priceModifier || 0);
+};
+
+/**
+ * Load the products for a guest's client-side cart lines ([{ productId, variant, quantity }]).
+ *
+ * @returns {Promise<{ items: Array, failedItems: Array }>} The lines with their products, and
+ *   the lines that are malformed or whose product is gone, for the guest to be told about
+ */
+export const loadGuestItems = async (lines = []) => {
+  const items = [];
+  const failedItems = [];
+
+  for (const line of lines) {
+    const quantity = Math.max(1, parseInt(line?.quantity) || 1);
+
+    if (!line?.productId || !/^[0-9a-fA-F]{24}$/.test(String(line.productId))) {
+      failedItems.push(describeFailedLine({ product: line?.productId, quantity }, null, null, 'Not a valid cart item'));
+      continue;
+    }
+
+    const product = await Product.findById(line.productId);
+    if (!product) {
+      failedItems.push(describeFailedLine({ product: line.productId, quantity }, null, null, 'This product is no longer available'));
+      continue;
+    }
+
+    items.push({ product, variant: line.variant, quantity });
+  }
+
+  return { items, failedItems };
+};
+
+// Spread a coupon discount over the lines it applies to, in proportion to their totals
+const allocateDiscount = (lines, pricedItems, coupon, discount) => {
+  const eligible = lines.filter((line, index) => isProductEligible(coupon, pricedItems[index].product));
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.lineTotal, 0);
+  let remaining = discount;
+
+  eligible.forEach((line, index) => {
+    const share = index === eligible.length - 1
+      ? remaining
+      : roundCurrency(discount * line.lineTotal / eligibleTotal);
+    line.discount = Math.min(share, line.lineTotal);
+    remaining = roundCurrency(remaining - line.discount);
+  });
+};
+
+// Group line taxes by the rule and rate that produced them
+export const summarizeTax = (lines) => {
+  const groups = new Map();
+
+  lines.forEach(line => {
+    const key = `${line.tax.rule || line.tax.ruleName}:${line.tax.taxClass}:${line.tax.rate}`;
+    const group = groups.get(key) || {
+      rule: line.tax.rule,
+      ruleName: line.tax.ruleName,
+      jurisdiction: line.tax.jurisdiction,
+      taxClass: line.tax.taxClass,
+      rate: line.tax.rate,
+      taxable: 0,
+      amount: 0
+    };
+    group.taxable = roundCurrency(group.taxable + line.tax.taxable);
+    group.amount = roundCurrency(group.amount + line.tax.amount);
+    groups.set(key, group);
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Build a line-by-line price quote. This is the single source of truth for
+ * cart totals, the checkout preview and the amounts stored on an order.
+ *
+ * @param {Object} params
+ * @param {Array} params.items - [{ _id?, product, variant?, quantity }] with product documents;
+ *   variant may be an ID or a variant subdocument of the product
+ * @param {Object} [params.user] - Customer the quote is for (used for coupon limits)
+ * @param {string} [params.couponCode] - Coupon code to apply
+ * @param {string} [params.shippingMethod] - Code of the chosen shipping method
+ * @param {Object} [params.shippingAddress] - Destination used to pick shipping methods and tax rules
+ * @returns {Promise<{ quote: Object, coupon: Object|null }>} The quote, plus the coupon
+ *   document when the code is valid so callers can record the redemption
+ */
+export const buildQuote = async ({
+  items,
+  user,
+  couponCode,
+  shippingMethod,
+  shippingAddress
+}) => {
+  const pricedItems = items
+    .filter(item => item.product)
+    .map(item => ({
+      _id: item._id,
+      product: item.product,
+      variant: findVariant(item.product, item.variant),
+      quantity: item.quantity
+    }));
+  const taxClasses = await resolveTaxClasses(pricedItems.map(item => item.product));
+
+  const lines = pricedItems.map((item, index) => {
+    const unitPrice = roundCurrency(getUnitPrice(item.product, item.variant));
+    return {
+      itemId: item._id,
+      product: item.product._id,
+      variant: item.variant?._id,
+      variantName: describeVariant(item.variant) || undefined,
+      name: item.product.name,
+      quantity: item.quantity,
+      unitPrice,
+      lineTotal: roundCurrency(unitPrice * item.quantity),
+      discount: 0,
+      taxClass: taxClasses[index]
+    };
+  });
+
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const weight = pricedItems.reduce((sum, item) => sum + (item.product.weight || 0) * item.quantity, 0);
+
+  // Coupon
+  let discount = 0;
+  let freeShipping = false;
+  let coupon = null;
+  let couponSummary = null;
+
+  if (couponCode) {
+    const couponDoc = await findCouponByCode(couponCode);
+    const result = evaluateCoupon(couponDoc, {
+      user,
+      lines: pricedItems
+        .map(item => ({
+          product: item.product,
+          quantity: item.quantity,
+          price: getUnitPrice(item.product, item.variant)
+        })),
+      subtotal
+    });
+
+    couponSummary = {
+      code: couponDoc?.code || couponCode,
+      valid: result.valid,
+      message: result.message,
+      type: couponDoc?.type,
+      freeShipping: Boolean(result.freeShipping)
+    };
+
+    if (result.valid) {
+      discount = result.discount;
+      freeShipping = result.freeShipping;
+      coupon = couponDoc;
+      allocateDiscount(lines, pricedItems, coupon, discount);
+    }
+  }
+
+  // Shipping. An unknown or unavailable method falls back to the first one offered.
+  const shippingOptions = await getShippingOptions({
+    subtotal,
+    weight,
+    address: shippingAddress,
+    freeShipping
+  });
+  const selectedShipping = shippingOptions.find(option => option.code === shippingMethod) ||
+    shippingOptions[0] || null;
+  const shipping = lines.length > 0 && selectedShipping ? selectedShipping.price : 0;
+
+  // Tax, charged per line on the discounted amount
+  const resolveTax = await createTaxResolver(shippingAddress);
+
+  lines.forEach(line => {
+    const { rate, ...taxDetails } = resolveTax(line.taxClass);
+    const taxable = roundCurrency(line.lineTotal - line.discount);
+    line.tax = {
+      ...taxDetails,
+      rate,
+      taxable,
+      amount: roundCurrency(taxable * rate / 100)
+    };
+  });
+
+  const tax = roundCurrency(lines.reduce((sum, line) => sum + line.tax.amount, 0));
+
+  const total = roundCurrency(subtotal - discount + shipping + tax);
+
+  return {
+    quote: {
+      lines,
+      subtotal,
+      discount,
+      shipping,
+      tax,
+      taxBreakdown: summarizeTax(lines),
+      total,
+      shippingMethod: selectedShipping?.code || null,
+      shippingOptions,
+      coupon: couponSummary
+    },
+    coupon
+  };
+};
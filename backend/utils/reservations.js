@@ -0,0 +1,134 @@
+import StockReservation from '../models/StockReservation.js';
+import { decrementStock, incrementStock } from './inventory.js';
+
+// Minutes a checkout holds stock for (read lazily so .env is loaded)
+export const getReservationMinutes = () => {
+  const minutes = parseInt(process.env.STOCK_RESERVATION_MINUTES);
+  return Number.isNaN(minutes) || minutes <= 0 ? 15 : minutes;
+};
+
+// Key for a product/variant pair, used to match cart lines with reserved items
+export const getStockKey = (product, variant) => {
+  const productId = (product?._id || product).toString();
+  const variantId = variant ? (variant._id || variant).toString() : '';
+  return `${productId}:${variantId}`;
+};
+
+// Reserved quantity per product/variant key
+export const getReservedQuantities = (reservation) => {
+  const quantities = new Map();
+
+  for (const item of reservation?.items || []) {
+    const key = getStockKey(item.product, item.variant);
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  }
+
+  return quantities;
+};
+
+/**
+ * Split order lines against reserved items: the shortfall is what the lines need on top
+ * of the reservation, the surplus is what was reserved but is no longer wanted.
+ *
+ * @returns {{ shortfall: Array, surplus: Array }}
+ */
+export const diffReservation = (reservedItems, lines) => {
+  const remaining = getReservedQuantities({ items: reservedItems });
+  const shortfall = [];
+
+  for (const line of lines) {
+    const key = getStockKey(line.product, line.variant);
+    const covered = Math.min(remaining.get(key) || 0, line.quantity);
+    remaining.set(key, (remaining.get(key) || 0) - covered);
+
+    if (line.quantity > covered) {
+      shortfall.push({ ...line, quantity: line.quantity - covered });
+    }
+  }
+
+  const surplus = [];
+  const seen = new Set();
+
+  for (const item of reservedItems) {
+    const key = getStockKey(item.product, item.variant);
+    if (seen.has(key) || !(remaining.get(key) > 0)) continue;
+    seen.add(key);
+    surplus.push({ product: item.product, variant: item.variant, quantity: remaining.get(key) });
+  }
+
+  return { shortfall, surplus };
+};
+
+// A user's reservation that still holds stock. It may be past expiresAt but not swept yet,
+// in which case its stock is still held and can still be used.
+export const findHeldReservation = (userId) => {
+  return StockReservation.findOne({ user: userId, status: 'active' });
+};
+
+// Give a reservation's stock back. The status flip is conditional, so only one caller
+// (checkout, abandon or the sweeper) ever returns the stock.
+export const releaseReservation = async (reservation, { status = 'released', session = null } = {}) => {
+  const released = await StockReservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'active' },
+    { status },
+    { new: true, session }
+  );
+
+  if (released) {
+    await incrementStock(released.items, { session });
+  }
+
+  return released;
+};
+
+/**
+ * Hold stock for a user's cart lines ([{ product, variant?, quantity }]), replacing any
+ * reservation they already have. Lines without enough stock are left out.
+ *
+ * @returns {Promise<{ reservation: Object|null, failed: Array }>}
+ */
+export const reserveStock = async (userId, lines, { session = null } = {}) => {
+  const existing = await StockReservation.find({ user: userId, status: 'active' }).session(session);
+  for (const reservation of existing) {
+    await releaseReservation(reservation, { session });
+  }
+
+  const { applied, failed } = await decrementStock(lines, { session });
+  if (applied.length === 0) {
+    return { reservation: null, failed };
+  }
+
+  try {
+    const [reservation] = await StockReservation.create([{
+      user: userId,
+      items: applied.map(line => ({
+        product: line.product._id || line.product,
+        variant: line.variant?._id || line.variant,
+        quantity: line.quantity
+      })),
+      expiresAt: new Date(Date.now() + getReservationMinutes() * 60 * 1000)
+    }], { session });
+
+    return { reservation, failed };
+  } catch (error) {
+    if (!session) {
+      await incrementStock(applied);
+    }
+    throw error;
+  }
+};
+
+// Return the stock of reservations whose window has passed
+export const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .limit(100);
+
+  let released = 0;
+  for (const reservation of expired) {
+    if (await releaseReservation(reservation, { status: 'expired' })) {
+      released++;
+    }
+  }
+
+  return released;
+};
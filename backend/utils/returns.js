@@ -0,0 +1,67 @@
+import { getActiveQuantity } from './fulfillment.js';
+
+// How long after delivery a return can be requested, set with RETURN_WINDOW_DAYS
+export const getReturnWindowDays = () => {
+  const days = Number(process.env.RETURN_WINDOW_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+// Statuses a return can move to from each status
+export const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['received'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: [],
+  cancelled: []
+};
+
+// Returns that still hold on to their lines
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received', 'refunded'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Last day a return can be requested for an order, or null when it hasn't been delivered
+export const getReturnDeadline = (order) => {
+  if (order.status !== 'delivered') return null;
+
+  // Orders delivered before deliveredAt was recorded use their last update
+  const deliveredAt = order.deliveredAt || order.updatedAt;
+  return new Date(new Date(deliveredAt).getTime() + getReturnWindowDays() * 24 * 60 * 60 * 1000);
+};
+
+// What the customer paid per unit of an order line, after its discount share and with tax
+export const getUnitRefund = (item) => {
+  const quantity = getActiveQuantity(item);
+  if (quantity === 0) return 0;
+
+  const paid = item.price * quantity - (item.discount || 0) + (item.tax?.amount || 0);
+  return roundCurrency(paid / quantity);
+};
+
+/**
+ * Units of each order line that can still be returned: those not cancelled, less the
+ * returns already requested for the order (rejected and cancelled ones don't count).
+ *
+ * @returns {Map<string, number>} Order line ID -> quantity
+ */
+export const getReturnableQuantities = (order, returns = []) => {
+  const quantities = new Map(order.items.map(item => [item._id.toString(), getActiveQuantity(item)]));
+
+  for (const rma of returns) {
+    if (!OPEN_RETURN_STATUSES.includes(rma.status)) continue;
+
+    for (const item of rma.items) {
+      const key = item.orderItem.toString();
+      quantities.set(key, Math.max(0, (quantities.get(key) || 0) - item.quantity));
+    }
+  }
+
+  return quantities;
+};
+
+// Move a return to a new status and record it in the return's history
+export const setReturnStatus = (rma, status, { user, note } = {}) => {
+  rma.status = status;
+  rma.statusHistory.push({ status, note, changedBy: user?._id });
+};
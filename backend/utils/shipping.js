@@ -0,0 +1,100 @@
+import ShippingMethod from '../models/ShippingMethod.js';
+
+// Built-in methods, offered until an admin configures shipping methods
+export const FREE_SHIPPING_THRESHOLD = 100;
+export const STANDARD_SHIPPING_COST = 9.99;
+export const EXPRESS_SHIPPING_COST = 14.99;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const getDefaultShippingOptions = (subtotal, freeShipping) => {
+  const standard = freeShipping || subtotal >= FREE_SHIPPING_THRESHOLD ? 0 : STANDARD_SHIPPING_COST;
+  const express = freeShipping ? 0 : EXPRESS_SHIPPING_COST;
+
+  return [
+    { code: 'standard', name: 'Standard Shipping', description: '5-7 business days', price: standard },
+    { code: 'express', name: 'Express Shipping', description: '2-3 business days', price: express }
+  ];
+};
+
+// Check whether a zone covers an address. Without an address every zone is
+// considered a match so that shoppers can see prices before they fill it in.
+export const zoneMatchesAddress = (zone, address) => {
+  if (!zone?.isActive) return false;
+  if (!address?.country) return true;
+
+  if (!zone.countries.some(country => normalize(country) === normalize(address.country))) {
+    return false;
+  }
+
+  if (zone.states?.length > 0 && address.state) {
+    return zone.states.some(state => normalize(state) === normalize(address.state));
+  }
+
+  return true;
+};
+
+// Price a method for a cart, or null when its rate table has no matching row
+export const calculateMethodRate = (method, { subtotal, weight }) => {
+  if (method.freeShippingThreshold != null && subtotal >= method.freeShippingThreshold) {
+    return 0;
+  }
+
+  if (method.rateType === 'flat') {
+    return roundCurrency(method.flatRate || 0);
+  }
+
+  const measure = method.rateType === 'weight' ? weight : subtotal;
+  const row = method.rates.find(rate => measure >= (rate.min || 0) && (rate.max == null || measure < rate.max));
+
+  return row ? roundCurrency(row.price) : null;
+};
+
+/**
+ * List the shipping methods available for a cart and destination.
+ *
+ * @param {Object} params
+ * @param {number} params.subtotal - Cart subtotal before discounts
+ * @param {number} [params.weight] - Total cart weight in kilograms
+ * @param {Object} [params.address] - Destination with country and state
+ * @param {boolean} [params.freeShipping] - Set when a coupon waives shipping
+ * @returns {Promise<Array>} [{ code, name, description, price, method?, zone? }]
+ */
+export const getShippingOptions = async ({ subtotal, weight = 0, address, freeShipping = false }) => {
+  const methods = await ShippingMethod.find({ isActive: true })
+    .populate('zones')
+    .sort({ sortOrder: 1, name: 1 });
+
+  if (methods.length === 0) {
+    return getDefaultShippingOptions(subtotal, freeShipping);
+  }
+
+  const options = [];
+
+  for (const method of methods) {
+    let zone = null;
+
+    if (method.zones.length > 0) {
+      zone = method.zones
+        .filter(candidate => zoneMatchesAddress(candidate, address))
+        .sort((a, b) => (b.priority || 0) - (a.priority || 0))[0];
+
+      if (!zone) continue;
+    }
+
+    const price = calculateMethodRate(method, { subtotal, weight });
+    if (price === null) continue;
+
+    options.push({
+      code: method.code,
+      name: method.name,
+      description: method.description,
+      price: freeShipping ? 0 : price,
+      method: method._id,
+      zone: zone?.name
+    });
+  }
+
+  return options;
+};
@@ -0,0 +1,95 @@
+import TaxRule from '../models/TaxRule.js';
+import Category from '../models/Category.js';
+
+export const STANDARD_TAX_CLASS = 'standard';
+export const EXEMPT_TAX_CLASS = 'exempt';
+
+// Percentage used when no rule matches the address (read lazily so .env is loaded)
+export const getDefaultTaxRate = () => {
+  const rate = parseFloat(process.env.DEFAULT_TAX_RATE);
+  return Number.isNaN(rate) ? 8 : rate;
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+const normalizePostal = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+const ruleMatchesAddress = (rule, address) => {
+  if (normalize(rule.country) !== normalize(address.country)) return false;
+  if (rule.state && normalize(rule.state) !== normalize(address.state)) return false;
+  if (rule.postalPrefix && !normalizePostal(address.zipCode).startsWith(normalizePostal(rule.postalPrefix))) {
+    return false;
+  }
+  return true;
+};
+
+// Postal prefix rules beat state rules, which beat country-wide rules
+const ruleSpecificity = (rule) => {
+  return (rule.postalPrefix ? 100 + rule.postalPrefix.length : 0) + (rule.state ? 10 : 0);
+};
+
+// Human readable jurisdiction for invoices, e.g. "United States / CA / 941"
+const describeJurisdiction = (rule) => {
+  return [rule.country, rule.state, rule.postalPrefix].filter(Boolean).join(' / ');
+};
+
+// Find the most specific active rule for an address and tax class
+export const findTaxRule = (rules, address, taxClass) => {
+  const candidates = rules
+    .filter(rule => rule.taxClass === taxClass && ruleMatchesAddress(rule, address))
+    .sort((a, b) => ruleSpecificity(b) - ruleSpecificity(a) || (b.priority || 0) - (a.priority || 0));
+
+  return candidates[0] || null;
+};
+
+// Resolve each product's tax class: product override, then its category, then standard
+export const resolveTaxClasses = async (products) => {
+  const categoryNames = [...new Set(products.map(p => p.category).filter(Boolean))];
+  const categories = categoryNames.length > 0
+    ? await Category.find({ name: { $in: categoryNames } })
+    : [];
+  const classByCategory = new Map(categories.map(c => [c.name, c.taxClass]));
+
+  return products.map(product => {
+    return product.taxClass || classByCategory.get(product.category) || STANDARD_TAX_CLASS;
+  });
+};
+
+/**
+ * Load the rules for a shipping address and return a function that resolves
+ * the rate charged for a tax class, and why it was chosen.
+ *
+ * @param {Object} [address] - Shipping address with country, state and zipCode
+ * @returns {Promise<Function>} (taxClass) => { rate, taxClass, rule, ruleName, jurisdiction }
+ */
+export const createTaxResolver = async (address) => {
+  const rules = address?.country ? await TaxRule.find({ isActive: true }) : [];
+
+  return (taxClass) => {
+    if (taxClass === EXEMPT_TAX_CLASS) {
+      return { rate: 0, taxClass, rule: null, ruleName: 'Tax exempt', jurisdiction: '' };
+    }
+
+    if (address?.country) {
+      const rule = findTaxRule(rules, address, taxClass) ||
+        (taxClass !== STANDARD_TAX_CLASS ? findTaxRule(rules, address, STANDARD_TAX_CLASS) : null);
+
+      if (rule) {
+        return {
+          rate: rule.rate,
+          taxClass,
+          rule: rule._id,
+          ruleName: rule.name,
+          jurisdiction: describeJurisdiction(rule)
+        };
+      }
+    }
+
+    return {
+      rate: getDefaultTaxRate(),
+      taxClass,
+      rule: null,
+      ruleName: 'Default rate',
+      jurisdiction: ''
+    };
+  };
+};
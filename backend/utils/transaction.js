@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Standalone MongoDB servers reject sessions that start a transaction
+const isTransactionUnsupported = (error) => {
+  return error?.code === 20 ||
+    /Transaction numbers are only allowed|replica set/i.test(error?.message || '');
+};
+
+/**
+ * Run a unit of work in a MongoDB transaction, so its writes all commit or all roll back.
+ *
+ * Transactions need a replica set. On a standalone server the work is run again
+ * without a session; it is then responsible for undoing its own writes when it fails,
+ * which is why work receives the session (or null) and should check it.
+ *
+ * @param {Function} work - async (session|null) => result
+ * @returns {Promise<*>} Whatever work returns
+ */
+export const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return work(null);
+};
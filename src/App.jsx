@@ -21,6 +21,8 @@ import Contact from "./pages/Contact";
 import About from "./pages/About";
 import { Profile, Orders, AdminDashboard, MerchantDashboard } from "./pages/UserPages";
 import OrderDetail from "./pages/OrderDetail";
+import OrderConfirmation from "./pages/OrderConfirmation";
+import TrackOrder from "./pages/TrackOrder";
 import { ProtectedRoute } from "./routes/ProtectedRoute";
 import NotFound from "./pages/NotFound";
 
@@ -50,6 +52,8 @@ const App = () => (
                   <Route path="/profile" element={<ProtectedRoute><Profile /></ProtectedRoute>} />
                   <Route path="/orders" element={<ProtectedRoute><Orders /></ProtectedRoute>} />
                   <Route path="/orders/:id" element={<ProtectedRoute><OrderDetail /></ProtectedRoute>} />
+                  <Route path="/order-confirmation/:token" element={<OrderConfirmation />} />
+                  <Route path="/track" element={<TrackOrder />} />
                   <Route path="/admin" element={<ProtectedRoute requireAdmin><AdminDashboard /></ProtectedRoute>} />
                   <Route path="/merchant" element={<ProtectedRoute><MerchantDashboard /></ProtectedRoute>} />
                   <Route path="*" element={<NotFound />} />
@@ -0,0 +1,278 @@
+// The customer's saved addresses: add, edit and remove them, and choose the ones used by
+// default for shipping and billing at checkout
+import { useState, useEffect } from 'react';
+import { MapPin, Plus, Pencil, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { authAPI } from '@/services/api';
+import { formatAddress } from '@/lib/utils';
+import { toast } from 'sonner';
+
+const emptyAddress = {
+  label: '',
+  firstName: '',
+  lastName: '',
+  street: '',
+  apartment: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  country: 'United States',
+  phone: '',
+  isDefaultShipping: false,
+  isDefaultBilling: false,
+};
+
+function AddressDialog({ address, open, onOpenChange, onSaved }) {
+  const [formData, setFormData] = useState(emptyAddress);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) setFormData(address ? { ...emptyAddress, ...address } : emptyAddress);
+  }, [open, address]);
+
+  const setField = (field) => (e) => setFormData({ ...formData, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { _id, createdAt, updatedAt, ...data } = formData;
+      const response = address
+        ? await authAPI.updateAddress(address._id, data)
+        : await authAPI.addAddress(data);
+      toast.success(response.data.message || 'Address saved');
+      onOpenChange(false);
+      onSaved(response.data.data);
+    } catch (error) {
+      console.error('Failed to save address:', error);
+      toast.error(error.response?.data?.message || 'Failed to save address');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{address ? 'Edit Address' : 'Add Address'}</DialogTitle>
+          <DialogDescription>Saved addresses can be picked at checkout.</DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="address-label">Label (optional)</Label>
+            <Input
+              id="address-label"
+              value={formData.label || ''}
+              onChange={setField('label')}
+              placeholder="Home, Work..."
+              maxLength={50}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="address-firstName">First Name</Label>
+              <Input id="address-firstName" required value={formData.firstName} onChange={setField('firstName')} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="address-lastName">Last Name</Label>
+              <Input id="address-lastName" required value={formData.lastName} onChange={setField('lastName')} />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="address-phone">Phone</Label>
+            <Input id="address-phone" type="tel" required value={formData.phone} onChange={setField('phone')} />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="address-street">Street Address</Label>
+            <Input id="address-street" required value={formData.street} onChange={setField('street')} />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="address-apartment">Apartment, suite, etc. (optional)</Label>
+            <Input id="address-apartment" value={formData.apartment || ''} onChange={setField('apartment')} />
+          </div>
+
+          <div className="grid grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="address-city">City</Label>
+              <Input id="address-city" required value={formData.city} onChange={setField('city')} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="address-state">State</Label>
+              <Input id="address-state" required value={formData.state} onChange={setField('state')} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="address-zipCode">ZIP Code</Label>
+              <Input id="address-zipCode" required value={formData.zipCode} onChange={setField('zipCode')} />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="address-country">Country</Label>
+            <Input id="address-country" required value={formData.country} onChange={setField('country')} />
+          </div>
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm">
+              <Checkbox
+                checked={formData.isDefaultShipping}
+                onCheckedChange={(checked) => setFormData({ ...formData, isDefaultShipping: checked === true })}
+              />
+              Default shipping address
+            </label>
+            <label className="flex items-center gap-2 text-sm">
+              <Checkbox
+                checked={formData.isDefaultBilling}
+                onCheckedChange={(checked) => setFormData({ ...formData, isDefaultBilling: checked === true })}
+              />
+              Default billing address
+            </label>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="accent" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Address'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+export function AddressBook() {
+  const [addresses, setAddresses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingAddress, setEditingAddress] = useState(null);
+
+  useEffect(() => {
+    authAPI
+      .getAddresses()
+      .then((response) => setAddresses(response.data.data || []))
+      .catch((error) => {
+        console.error('Failed to load addresses:', error);
+        toast.error('Failed to load addresses');
+      })
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const openDialog = (address = null) => {
+    setEditingAddress(address);
+    setDialogOpen(true);
+  };
+
+  const handleSetDefault = async (address, flag) => {
+    try {
+      const response = await authAPI.updateAddress(address._id, { [flag]: true });
+      setAddresses(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update address');
+    }
+  };
+
+  const handleDelete = async (address) => {
+    if (!window.confirm('Remove this address from your address book?')) return;
+
+    try {
+      const response = await authAPI.deleteAddress(address._id);
+      setAddresses(response.data.data);
+      toast.success('Address removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove address');
+    }
+  };
+
+  return (
+    <div className="bg-card rounded-lg border border-border p-6 md:p-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="font-display text-2xl font-semibold">Addresses</h2>
+        <Button variant="accent" onClick={() => openDialog()}>
+          <Plus className="mr-2 h-4 w-4" />
+          Add Address
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <p className="text-muted-foreground">Loading addresses...</p>
+      ) : addresses.length === 0 ? (
+        <div className="text-center py-8">
+          <MapPin className="h-10 w-10 mx-auto text-muted-foreground mb-3" />
+          <p className="text-muted-foreground">
+            You have no saved addresses. Add one to check out faster.
+          </p>
+        </div>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-4">
+          {addresses.map((address) => (
+            <div key={address._id} className="rounded-lg border border-border p-4 flex flex-col">
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <span className="font-medium">{address.label || `${address.firstName} ${address.lastName}`}</span>
+                {address.isDefaultShipping && <Badge variant="secondary">Default shipping</Badge>}
+                {address.isDefaultBilling && <Badge variant="secondary">Default billing</Badge>}
+              </div>
+              <p className="text-sm text-muted-foreground flex-1">
+                {address.label && (
+                  <>
+                    {address.firstName} {address.lastName}
+                    <br />
+                  </>
+                )}
+                {formatAddress(address)}
+                <br />
+                {address.phone}
+              </p>
+              <div className="flex flex-wrap gap-2 mt-4">
+                <Button variant="outline" size="sm" onClick={() => openDialog(address)}>
+                  <Pencil className="mr-1 h-3 w-3" />
+                  Edit
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => handleDelete(address)}>
+                  <Trash2 className="mr-1 h-3 w-3" />
+                  Remove
+                </Button>
+                {!address.isDefaultShipping && (
+                  <Button variant="link" size="sm" onClick={() => handleSetDefault(address, 'isDefaultShipping')}>
+                    Use for shipping
+                  </Button>
+                )}
+                {!address.isDefaultBilling && (
+                  <Button variant="link" size="sm" onClick={() => handleSetDefault(address, 'isDefaultBilling')}>
+                    Use for billing
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <AddressDialog
+        address={editingAddress}
+        open={dialogOpen}
+        onOpenChange={setDialogOpen}
+        onSaved={setAddresses}
+      />
+    </div>
+  );
+}
@@ -1,8 +1,10 @@
 import { useState, useEffect } from 'react';
-import { Search, Eye, ChevronDown } from 'lucide-react';
-import { ordersAPI } from '@/services/api';
+import { Search, Eye, ChevronDown, FileText, Package } from 'lucide-react';
+import { ordersAPI, paymentsAPI } from '@/services/api';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Textarea } from '@/components/ui/textarea';
 import { Badge } from '@/components/ui/badge';
 import {
   Table,
@@ -31,8 +33,11 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
+import { CancelItemsDialog } from '@/components/orders/CancelItemsDialog';
+import { OrderShipments } from '@/components/orders/OrderShipments';
+import { OrderTimeline } from '@/components/orders/OrderTimeline';
 import { toast } from 'sonner';
-import { formatCurrency, cn, getImageUrl, getOrderStatusLabel, getOrderStatusColor } from '@/lib/utils';
+import { formatCurrency, cn, getImageUrl, getOrderStatusLabel, getOrderStatusColor, getOrderItemDetails, getPaymentStatusLabel, getFulfillmentStatusLabel, getFulfillmentStatusColor, canInvoiceOrder, downloadBlob, getNextOrderStatuses } from '@/lib/utils';
 
 const statusColors = {
   pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
@@ -46,9 +51,12 @@ const statusColors = {
 
 const paymentStatusColors = {
   pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+  authorized: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
   paid: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
   failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
   refunded: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
+  partially_refunded: 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200',
+  voided: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200',
 };
 
 const orderStatuses = [
@@ -67,6 +75,11 @@ export function OrderManagement() {
   const [searchQuery, setSearchQuery] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [selectedOrder, setSelectedOrder] = useState(null);
+  const [isCancelItemsOpen, setIsCancelItemsOpen] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isGeneratingDocuments, setIsGeneratingDocuments] = useState(false);
+  const [note, setNote] = useState('');
+  const [isSavingNote, setIsSavingNote] = useState(false);
 
   // Load orders from API
   useEffect(() => {
@@ -87,6 +100,7 @@ export function OrderManagement() {
       const response = await ordersAPI.getAll(params);
       const ordersData = response.data.data || response.data || [];
       setOrders(Array.isArray(ordersData) ? ordersData : []);
+      setSelectedIds([]);
     } catch (error) {
       console.error('Failed to load orders:', error);
       toast.error('Failed to load orders');
@@ -110,9 +124,21 @@ export function OrderManagement() {
     return () => clearTimeout(timer);
   }, [searchQuery]);
 
-  const updateOrderStatus = async (orderId, newStatus) => {
+  const updateOrderStatus = async (order, newStatus) => {
+    let trackingNumber;
+
+    if (newStatus === 'cancelled' && !window.confirm('Cancel this order? Its items are restocked and the customer refunded.')) {
+      return;
+    }
+
+    // Shipping needs a tracking number for any shipment that doesn't have one yet
+    if (newStatus === 'shipped') {
+      trackingNumber = window.prompt('Tracking number', order.trackingNumber || '');
+      if (trackingNumber === null) return;
+    }
+
     try {
-      await ordersAPI.updateStatus(orderId, newStatus);
+      await ordersAPI.updateStatus(order._id || order.id, newStatus, undefined, trackingNumber?.trim() || undefined);
       
       toast.success('Order status updated', {
         description: `Order status changed to ${newStatus}`,
@@ -126,6 +152,126 @@ export function OrderManagement() {
     }
   };
 
+  // Ship or deliver a single line; the order follows once all of its lines have
+  const updateItemFulfillment = async (order, item, status) => {
+    let trackingNumber;
+
+    // Shipping the last line ships its sub-order (or the order), which needs a tracking
+    // number unless it already has one
+    const shipment = order.subOrders?.find((subOrder) => subOrder.items.includes(item._id)) || order;
+    if (status === 'shipped' && !shipment.trackingNumber) {
+      trackingNumber = window.prompt('Tracking number (needed once every item in the shipment has shipped)', '');
+      if (trackingNumber === null) return;
+    }
+
+    try {
+      const response = await ordersAPI.updateItemFulfillment(
+        order._id || order.id,
+        item._id,
+        status,
+        trackingNumber?.trim() || undefined
+      );
+
+      toast.success(`Item marked as ${status}`);
+
+      setSelectedOrder(response.data.data);
+      loadOrderDetails(order._id);
+      await loadOrders();
+    } catch (error) {
+      console.error('Failed to update item status:', error);
+      toast.error(error.response?.data?.message || 'Failed to update item status');
+    }
+  };
+
+  // Capture an authorized payment, or refund what is left of a captured one
+  const updatePayment = async (order, action) => {
+    try {
+      await paymentsAPI[action](order.payment);
+
+      toast.success(action === 'capture' ? 'Payment captured' : 'Payment refunded');
+
+      setSelectedOrder(null);
+      await loadOrders();
+    } catch (error) {
+      console.error(`Failed to ${action} payment:`, error);
+      toast.error(error.response?.data?.message || `Failed to ${action} payment`);
+    }
+  };
+
+  // The list leaves out the order's audit trail, so the open order is loaded in full
+  const loadOrderDetails = async (orderId) => {
+    try {
+      const response = await ordersAPI.getById(orderId);
+      setSelectedOrder((current) => (current?._id === orderId ? response.data.data : current));
+    } catch (error) {
+      console.error('Failed to load order history:', error);
+    }
+  };
+
+  const openOrder = (order) => {
+    setSelectedOrder(order);
+    setNote('');
+    loadOrderDetails(order._id);
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!note.trim()) return;
+
+    setIsSavingNote(true);
+    try {
+      const response = await ordersAPI.addNote(selectedOrder._id, note.trim());
+      setSelectedOrder((current) => ({ ...current, internalNotes: response.data.data }));
+      setNote('');
+      toast.success('Note added');
+    } catch (error) {
+      console.error('Failed to add note:', error);
+      toast.error(error.response?.data?.message || 'Failed to add note');
+    } finally {
+      setIsSavingNote(false);
+    }
+  };
+
+  const toggleSelected = (orderId, checked) => {
+    setSelectedIds((ids) => (checked ? [...ids, orderId] : ids.filter((id) => id !== orderId)));
+  };
+
+  // The invoice or packing slip for one order
+  const downloadDocument = async (order, document) => {
+    try {
+      const response = document === 'invoice'
+        ? await ordersAPI.getInvoice(order._id)
+        : await ordersAPI.getPackingSlip(order._id);
+      downloadBlob(response.data, `${document}-${order.orderNumber}.pdf`);
+    } catch (error) {
+      console.error(`Failed to download ${document}:`, error);
+      toast.error(`Failed to download ${document === 'invoice' ? 'invoice' : 'packing slip'}`);
+    }
+  };
+
+  // Invoices or packing slips for the selected orders, as one PDF
+  const downloadDocuments = async (document) => {
+    setIsGeneratingDocuments(true);
+    try {
+      const response = await ordersAPI.getDocuments(selectedIds, document);
+      downloadBlob(response.data, `${document === 'invoice' ? 'invoices' : 'packing-slips'}.pdf`);
+
+      const skipped = response.headers['x-skipped-orders'];
+      if (skipped) {
+        toast.warning(`Left out: ${skipped.split(',').join(', ')}`, {
+          description: document === 'invoice' ? 'Not paid for yet' : 'Nothing left to ship',
+        });
+      }
+    } catch (error) {
+      console.error('Failed to generate documents:', error);
+      toast.error(document === 'invoice'
+        ? 'No invoices to generate. Only paid orders can be invoiced.'
+        : 'No packing slips to generate');
+    } finally {
+      setIsGeneratingDocuments(false);
+    }
+  };
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -162,11 +308,48 @@ export function OrderManagement() {
         </Select>
       </div>
 
+      {/* Bulk documents for the selected orders */}
+      {selectedIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 rounded-lg border bg-muted/50 p-3">
+          <span className="text-sm font-medium">{selectedIds.length} selected</span>
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={isGeneratingDocuments}
+            onClick={() => downloadDocuments('invoice')}
+          >
+            <FileText className="h-4 w-4 mr-2" />
+            Invoices
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={isGeneratingDocuments}
+            onClick={() => downloadDocuments('packing-slip')}
+          >
+            <Package className="h-4 w-4 mr-2" />
+            Packing Slips
+          </Button>
+          <Button size="sm" variant="ghost" onClick={() => setSelectedIds([])}>
+            Clear
+          </Button>
+        </div>
+      )}
+
       {/* Orders Table */}
       <div className="border rounded-lg overflow-hidden">
         <Table>
           <TableHeader>
             <TableRow>
+              <TableHead className="w-10">
+                <Checkbox
+                  aria-label="Select all orders"
+                  checked={orders.length > 0 && selectedIds.length === orders.length}
+                  onCheckedChange={(checked) =>
+                    setSelectedIds(checked === true ? orders.map((order) => order._id) : [])
+                  }
+                />
+              </TableHead>
               <TableHead>Order</TableHead>
               <TableHead>Customer</TableHead>
               <TableHead>Date</TableHead>
@@ -179,23 +362,30 @@ export function OrderManagement() {
           <TableBody>
             {orders.length === 0 ? (
               <TableRow>
-                <TableCell colSpan={7} className="text-center py-8 text-muted-foreground">
+                <TableCell colSpan={8} className="text-center py-8 text-muted-foreground">
                   No orders found
                 </TableCell>
               </TableRow>
             ) : (
               orders.map((order) => (
                 <TableRow key={order._id || order.id}>
+                  <TableCell>
+                    <Checkbox
+                      aria-label={`Select order ${order.orderNumber}`}
+                      checked={selectedIds.includes(order._id)}
+                      onCheckedChange={(checked) => toggleSelected(order._id, checked === true)}
+                    />
+                  </TableCell>
                   <TableCell className="font-medium">
                     {order.orderNumber || order._id || order.id}
                   </TableCell>
                   <TableCell>
                     <div>
                       <p className="font-medium">
-                        {order.user?.name || 'Unknown User'}
+                        {order.user?.name || (order.guestEmail ? 'Guest' : 'Unknown User')}
                       </p>
                       <p className="text-sm text-muted-foreground">
-                        {order.user?.email || 'No email'}
+                        {order.user?.email || order.guestEmail || 'No email'}
                       </p>
                     </div>
                   </TableCell>
@@ -208,8 +398,8 @@ export function OrderManagement() {
                     {formatCurrency(order.total || 0)}
                   </TableCell>
                   <TableCell>
-                    <Badge className={cn('capitalize', paymentStatusColors[order.paymentStatus || 'pending'])}>
-                      {order.paymentStatus || 'pending'}
+                    <Badge className={cn(paymentStatusColors[order.paymentStatus || 'pending'])}>
+                      {getPaymentStatusLabel(order.paymentStatus || 'pending')}
                     </Badge>
                   </TableCell>
                   <TableCell>
@@ -223,20 +413,23 @@ export function OrderManagement() {
                         </Button>
                       </DropdownMenuTrigger>
                       <DropdownMenuContent align="end">
-                        {orderStatuses.map((status) => (
+                        {getNextOrderStatuses(order.status || 'pending', 'admin').map((status) => (
                           <DropdownMenuItem
                             key={status}
-                            onClick={() => updateOrderStatus(order._id || order.id, status)}
+                            onClick={() => updateOrderStatus(order, status)}
                             className="capitalize"
                           >
                             {status}
                           </DropdownMenuItem>
                         ))}
+                        {getNextOrderStatuses(order.status || 'pending', 'admin').length === 0 && (
+                          <DropdownMenuItem disabled>No further statuses</DropdownMenuItem>
+                        )}
                       </DropdownMenuContent>
                     </DropdownMenu>
                   </TableCell>
                   <TableCell className="text-right">
-                    <Button variant="ghost" size="icon" onClick={() => setSelectedOrder(order)}>
+                    <Button variant="ghost" size="icon" onClick={() => openOrder(order)}>
                       <Eye className="h-4 w-4" />
                     </Button>
                   </TableCell>
@@ -261,8 +454,8 @@ export function OrderManagement() {
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <h4 className="font-medium mb-2">Customer</h4>
-                  <p>{selectedOrder.user?.name || 'Unknown User'}</p>
-                  <p className="text-sm text-muted-foreground">{selectedOrder.user?.email || 'No email'}</p>
+                  <p>{selectedOrder.user?.name || (selectedOrder.guestEmail ? 'Guest' : 'Unknown User')}</p>
+                  <p className="text-sm text-muted-foreground">{selectedOrder.user?.email || selectedOrder.guestEmail || 'No email'}</p>
                   {selectedOrder.user?.phone && (
                     <p className="text-sm text-muted-foreground">{selectedOrder.user.phone}</p>
                   )}
@@ -290,25 +483,66 @@ export function OrderManagement() {
                 <div>
                   <h4 className="font-medium mb-2">Items</h4>
                   <div className="border rounded-lg divide-y">
-                    {selectedOrder.items.map((item, index) => (
-                      <div key={index} className="flex items-center gap-4 p-4">
-                        <div className="w-16 h-16 rounded-lg overflow-hidden bg-secondary flex-shrink-0">
-                          <img
-                            src={getImageUrl(item.product?.images?.[0])}
-                            alt={item.product?.name || 'Product'}
-                            className="w-full h-full object-cover"
-                          />
-                        </div>
-                        <div className="flex-1">
-                          <p className="font-medium">{item.product?.name || 'Product'}</p>
-                          <p className="text-sm text-muted-foreground">Qty: {item.quantity}</p>
+                    {selectedOrder.items.map((item, index) => {
+                      const details = getOrderItemDetails(item);
+                      return (
+                        <div key={index} className="flex items-center gap-4 p-4">
+                          <div className="w-16 h-16 rounded-lg overflow-hidden bg-secondary flex-shrink-0">
+                            <img
+                              src={getImageUrl(details.image)}
+                              alt={details.name}
+                              className="w-full h-full object-cover"
+                            />
+                          </div>
+                          <div className="flex-1">
+                            <p className="font-medium">{details.name}</p>
+                            <p className="text-sm text-muted-foreground">
+                              {details.variantName && `${details.variantName} · `}Qty: {details.quantity}
+                              {details.cancelledQuantity > 0 && ` (${details.cancelledQuantity} cancelled)`}
+                            </p>
+                            <div className="flex items-center gap-2 mt-1">
+                              <Badge className={getFulfillmentStatusColor(details.fulfillmentStatus)}>
+                                {getFulfillmentStatusLabel(details.fulfillmentStatus)}
+                              </Badge>
+                              {details.fulfillmentStatus === 'pending' && (
+                                <Button
+                                  variant="link"
+                                  size="sm"
+                                  className="h-auto p-0"
+                                  onClick={() => updateItemFulfillment(selectedOrder, item, 'shipped')}
+                                >
+                                  Mark shipped
+                                </Button>
+                              )}
+                              {details.fulfillmentStatus === 'shipped' && (
+                                <Button
+                                  variant="link"
+                                  size="sm"
+                                  className="h-auto p-0"
+                                  onClick={() => updateItemFulfillment(selectedOrder, item, 'delivered')}
+                                >
+                                  Mark delivered
+                                </Button>
+                              )}
+                            </div>
+                          </div>
+                          <p className="font-medium">
+                            {formatCurrency(details.price * details.quantity)}
+                          </p>
                         </div>
-                        <p className="font-medium">
-                          {formatCurrency((item.price || item.product?.price || 0) * item.quantity)}
-                        </p>
-                      </div>
-                    ))}
+                      );
+                    })}
                   </div>
+                  {['pending', 'confirmed', 'processing'].includes(selectedOrder.status) && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="mt-2"
+                      onClick={() => setIsCancelItemsOpen(true)}
+                    >
+                      Cancel Items
+                    </Button>
+                  )}
                 </div>
               )}
 
@@ -338,6 +572,72 @@ export function OrderManagement() {
                 </div>
               </div>
 
+              {/* Payment */}
+              {selectedOrder.payment && (
+                <div className="flex items-center justify-between gap-4 border rounded-lg p-4">
+                  <div>
+                    <h4 className="font-medium">Payment</h4>
+                    <p className="text-sm text-muted-foreground">
+                      {selectedOrder.paymentMethod} · {getPaymentStatusLabel(selectedOrder.paymentStatus || 'pending')}
+                    </p>
+                  </div>
+                  {selectedOrder.paymentStatus === 'authorized' && (
+                    <Button size="sm" onClick={() => updatePayment(selectedOrder, 'capture')}>
+                      Capture Payment
+                    </Button>
+                  )}
+                  {['paid', 'partially_refunded'].includes(selectedOrder.paymentStatus) && (
+                    <Button size="sm" variant="outline" onClick={() => updatePayment(selectedOrder, 'refund')}>
+                      Refund Payment
+                    </Button>
+                  )}
+                </div>
+              )}
+
+              {/* Documents */}
+              <div className="flex flex-wrap gap-2">
+                {canInvoiceOrder(selectedOrder) && (
+                  <Button size="sm" variant="outline" onClick={() => downloadDocument(selectedOrder, 'invoice')}>
+                    <FileText className="h-4 w-4 mr-2" />
+                    {selectedOrder.invoiceNumber ? `Invoice ${selectedOrder.invoiceNumber}` : 'Invoice'}
+                  </Button>
+                )}
+                {!['cancelled', 'delivered', 'returned'].includes(selectedOrder.status) && (
+                  <Button size="sm" variant="outline" onClick={() => downloadDocument(selectedOrder, 'packing-slip')}>
+                    <Package className="h-4 w-4 mr-2" />
+                    Packing Slip
+                  </Button>
+                )}
+              </div>
+
+              {/* Sub-orders, one per merchant */}
+              {selectedOrder.subOrders?.length > 0 && (
+                <div>
+                  <h4 className="font-medium mb-2">Shipments</h4>
+                  <OrderShipments order={selectedOrder} />
+                </div>
+              )}
+
+              {/* History and internal notes */}
+              <div>
+                <h4 className="font-medium mb-3">History</h4>
+                <OrderTimeline order={selectedOrder} audit />
+                <form onSubmit={handleAddNote} className="mt-4 space-y-2">
+                  <Textarea
+                    placeholder="Add an internal note (only admins can see it)"
+                    value={note}
+                    maxLength={2000}
+                    rows={2}
+                    onChange={(e) => setNote(e.target.value)}
+                  />
+                  <div className="flex justify-end">
+                    <Button type="submit" size="sm" disabled={isSavingNote || !note.trim()}>
+                      {isSavingNote ? 'Saving...' : 'Add Note'}
+                    </Button>
+                  </div>
+                </form>
+              </div>
+
               {/* Tracking Info */}
               {selectedOrder.trackingNumber && (
                 <div className="bg-muted/50 rounded-lg p-4">
@@ -357,6 +657,19 @@ export function OrderManagement() {
           )}
         </DialogContent>
       </Dialog>
+
+      {selectedOrder && (
+        <CancelItemsDialog
+          order={selectedOrder}
+          open={isCancelItemsOpen}
+          onOpenChange={setIsCancelItemsOpen}
+          onCancelled={(order) => {
+            setSelectedOrder(order);
+            loadOrderDetails(order._id);
+            loadOrders();
+          }}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react';
+import { Banknote } from 'lucide-react';
+import { ledgerAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import { formatCurrency, getPayoutStatusColor } from '@/lib/utils';
+
+// Merchant payouts: batch what merchants are owed into payouts, and mark them paid once
+// the money has been sent
+export function PayoutManagement() {
+  const [payouts, setPayouts] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [payingPayout, setPayingPayout] = useState(null);
+  const [reference, setReference] = useState('');
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  const loadPayouts = async () => {
+    try {
+      setIsLoading(true);
+      const params = { limit: 100 };
+      if (statusFilter !== 'all') {
+        params.status = statusFilter;
+      }
+
+      const response = await ledgerAPI.getPayouts(params);
+      setPayouts(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to load payouts:', error);
+      toast.error('Failed to load payouts');
+      setPayouts([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPayouts();
+  }, [statusFilter]);
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    try {
+      const response = await ledgerAPI.generatePayouts({});
+      toast.success(response.data.message || 'Payouts created');
+      await loadPayouts();
+    } catch (error) {
+      console.error('Failed to generate payouts:', error);
+      toast.error(error.response?.data?.message || 'Failed to generate payouts');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const openMarkPaid = (payout) => {
+    setPayingPayout(payout);
+    setReference('');
+  };
+
+  const handleMarkPaid = async (e) => {
+    e.preventDefault();
+    setIsUpdating(true);
+    try {
+      await ledgerAPI.markPayoutPaid(payingPayout._id, reference.trim() || undefined);
+      toast.success('Payout marked as paid');
+      setPayingPayout(null);
+      await loadPayouts();
+    } catch (error) {
+      console.error('Failed to mark payout as paid:', error);
+      toast.error(error.response?.data?.message || 'Failed to mark payout as paid');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <Select value={statusFilter} onValueChange={setStatusFilter}>
+          <SelectTrigger className="w-[180px]">
+            <SelectValue placeholder="Filter by status" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All Statuses</SelectItem>
+            <SelectItem value="pending">Pending</SelectItem>
+            <SelectItem value="paid">Paid</SelectItem>
+          </SelectContent>
+        </Select>
+        <Button onClick={handleGenerate} disabled={isGenerating}>
+          <Banknote className="h-4 w-4 mr-2" />
+          {isGenerating ? 'Generating...' : 'Generate Payouts'}
+        </Button>
+      </div>
+
+      <div className="border rounded-lg overflow-hidden">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Payout</TableHead>
+              <TableHead>Merchant</TableHead>
+              <TableHead>Created</TableHead>
+              <TableHead>Entries</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead className="text-right">Actions</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {isLoading ? (
+              <TableRow>
+                <TableCell colSpan={7} className="text-center py-8 text-muted-foreground">
+                  Loading payouts...
+                </TableCell>
+              </TableRow>
+            ) : payouts.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} className="text-center py-8 text-muted-foreground">
+                  No payouts found
+                </TableCell>
+              </TableRow>
+            ) : (
+              payouts.map((payout) => (
+                <TableRow key={payout._id}>
+                  <TableCell className="font-medium">{payout.payoutNumber}</TableCell>
+                  <TableCell>
+                    <p className="font-medium">{payout.merchant?.name || 'Unknown Merchant'}</p>
+                    <p className="text-sm text-muted-foreground">{payout.merchant?.email}</p>
+                  </TableCell>
+                  <TableCell>{new Date(payout.createdAt).toLocaleDateString()}</TableCell>
+                  <TableCell>{payout.entryCount}</TableCell>
+                  <TableCell className="text-right">{formatCurrency(payout.amount)}</TableCell>
+                  <TableCell>
+                    <Badge className={getPayoutStatusColor(payout.status)}>
+                      {payout.status === 'paid' ? 'Paid' : 'Pending'}
+                    </Badge>
+                    {payout.reference && (
+                      <p className="text-xs text-muted-foreground mt-1">{payout.reference}</p>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {payout.status === 'pending' && (
+                      <Button size="sm" variant="outline" onClick={() => openMarkPaid(payout)}>
+                        Mark Paid
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      <Dialog open={!!payingPayout} onOpenChange={() => setPayingPayout(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Mark {payingPayout?.payoutNumber} as Paid</DialogTitle>
+            <DialogDescription>
+              Confirm that {formatCurrency(payingPayout?.amount || 0)} has been sent to{' '}
+              {payingPayout?.merchant?.name || 'the merchant'}.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleMarkPaid} className="space-y-6">
+            <div className="space-y-2">
+              <Label htmlFor="payoutReference">Transfer reference (optional)</Label>
+              <Input
+                id="payoutReference"
+                value={reference}
+                maxLength={200}
+                onChange={(e) => setReference(e.target.value)}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setPayingPayout(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={isUpdating}>
+                {isUpdating ? 'Saving...' : 'Mark Paid'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,343 @@
+import { useState, useEffect } from 'react';
+import { Eye } from 'lucide-react';
+import { returnsAPI } from '@/services/api';
+import { useAuth } from '@/context/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { toast } from 'sonner';
+import {
+  formatCurrency,
+  getReturnStatusLabel,
+  getReturnStatusColor,
+  RETURN_REASONS,
+} from '@/lib/utils';
+
+const returnStatuses = ['requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'];
+
+// What was paid for the returned units
+const getOwedAmount = (rma) =>
+  Math.round(rma.items.reduce((sum, item) => sum + (item.unitRefund || 0) * item.quantity, 0) * 100) / 100;
+
+// Merchants can only act on returns made up entirely of their own lines; the rest are
+// left to an admin
+const canManageReturn = (rma, user) => {
+  if (user?.role === 'admin') return true;
+  const userId = String(user?._id || user?.id);
+  return rma.items.every((item) => String(item.merchant) === userId);
+};
+
+// Returns for admins (all) and merchants (those with their lines): approve or reject a
+// request, mark the items received and restocked, and refund the payment
+export function ReturnManagement() {
+  const { user } = useAuth();
+  const [returns, setReturns] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [selectedReturn, setSelectedReturn] = useState(null);
+  const [note, setNote] = useState('');
+  const [restock, setRestock] = useState(true);
+  const [refundAmount, setRefundAmount] = useState('');
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  const loadReturns = async () => {
+    try {
+      setIsLoading(true);
+      const params = { limit: 100 };
+      if (statusFilter !== 'all') {
+        params.status = statusFilter;
+      }
+
+      const response = await returnsAPI.getAll(params);
+      setReturns(response.data.data || []);
+    } catch (error) {
+      console.error('Failed to load returns:', error);
+      toast.error('Failed to load returns');
+      setReturns([]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadReturns();
+  }, [statusFilter]);
+
+  const openReturn = (rma) => {
+    setSelectedReturn(rma);
+    setNote('');
+    setRestock(true);
+    setRefundAmount(getOwedAmount(rma).toFixed(2));
+  };
+
+  const runUpdate = async (request, successMessage) => {
+    setIsUpdating(true);
+    try {
+      await request();
+      toast.success(successMessage);
+      setSelectedReturn(null);
+      await loadReturns();
+    } catch (error) {
+      console.error('Failed to update return:', error);
+      toast.error(error.response?.data?.message || 'Failed to update return');
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const updateStatus = (status) =>
+    runUpdate(
+      () => returnsAPI.updateStatus(selectedReturn._id, {
+        status,
+        note: note.trim() || undefined,
+        ...(status === 'received' && { restock }),
+      }),
+      `Return ${getReturnStatusLabel(status).toLowerCase()}`
+    );
+
+  const issueRefund = () =>
+    runUpdate(
+      () => returnsAPI.refund(selectedReturn._id, {
+        amount: Number(refundAmount),
+        note: note.trim() || undefined,
+      }),
+      'Refund issued'
+    );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <Select value={statusFilter} onValueChange={setStatusFilter}>
+          <SelectTrigger className="w-[180px]">
+            <SelectValue placeholder="Filter by status" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All Statuses</SelectItem>
+            {returnStatuses.map((status) => (
+              <SelectItem key={status} value={status}>
+                {getReturnStatusLabel(status)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="border rounded-lg overflow-hidden">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Return</TableHead>
+              <TableHead>Order</TableHead>
+              <TableHead>Customer</TableHead>
+              <TableHead>Reason</TableHead>
+              <TableHead>Requested</TableHead>
+              <TableHead>Status</TableHead>
+              <TableHead className="text-right">Actions</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {isLoading ? (
+              <TableRow>
+                <TableCell colSpan={7} className="text-center py-8 text-muted-foreground">
+                  Loading returns...
+                </TableCell>
+              </TableRow>
+            ) : returns.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} className="text-center py-8 text-muted-foreground">
+                  No returns found
+                </TableCell>
+              </TableRow>
+            ) : (
+              returns.map((rma) => (
+                <TableRow key={rma._id}>
+                  <TableCell className="font-medium">{rma.rmaNumber}</TableCell>
+                  <TableCell>{rma.order?.orderNumber || 'N/A'}</TableCell>
+                  <TableCell>
+                    <p className="font-medium">{rma.user?.name || 'Unknown User'}</p>
+                    <p className="text-sm text-muted-foreground">{rma.user?.email}</p>
+                  </TableCell>
+                  <TableCell>{RETURN_REASONS[rma.reason] || rma.reason}</TableCell>
+                  <TableCell>{new Date(rma.createdAt).toLocaleDateString()}</TableCell>
+                  <TableCell>
+                    <Badge className={getReturnStatusColor(rma.status)}>
+                      {getReturnStatusLabel(rma.status)}
+                    </Badge>
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Button variant="ghost" size="icon" onClick={() => openReturn(rma)}>
+                      <Eye className="h-4 w-4" />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      {/* Return Details Dialog */}
+      <Dialog open={!!selectedReturn} onOpenChange={() => setSelectedReturn(null)}>
+        <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Return {selectedReturn?.rmaNumber}</DialogTitle>
+          </DialogHeader>
+          {selectedReturn && (
+            <div className="space-y-6">
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                <div>
+                  <h4 className="font-medium mb-1">Order</h4>
+                  <p>{selectedReturn.order?.orderNumber || 'N/A'}</p>
+                  <p className="text-muted-foreground">
+                    Payment: {selectedReturn.order?.paymentStatus || 'N/A'}
+                  </p>
+                </div>
+                <div>
+                  <h4 className="font-medium mb-1">Reason</h4>
+                  <p>{RETURN_REASONS[selectedReturn.reason] || selectedReturn.reason}</p>
+                  {selectedReturn.comments && (
+                    <p className="text-muted-foreground">{selectedReturn.comments}</p>
+                  )}
+                </div>
+              </div>
+
+              {/* Items */}
+              <div className="border rounded-lg divide-y">
+                {selectedReturn.items.map((item) => (
+                  <div key={item.orderItem} className="flex justify-between p-3 text-sm">
+                    <span>
+                      {item.quantity} × {item.name || 'Product'}
+                      {item.variantName && ` (${item.variantName})`}
+                    </span>
+                    <span>{formatCurrency((item.unitRefund || 0) * item.quantity)}</span>
+                  </div>
+                ))}
+                <div className="flex justify-between p-3 text-sm font-medium">
+                  <span>Paid for returned items</span>
+                  <span>{formatCurrency(getOwedAmount(selectedReturn))}</span>
+                </div>
+              </div>
+
+              {/* Status history */}
+              <div>
+                <h4 className="font-medium mb-2">History</h4>
+                <ol className="border-l pl-4 space-y-1">
+                  {selectedReturn.statusHistory.map((entry, index) => (
+                    <li key={index} className="text-sm text-muted-foreground">
+                      <span className="font-medium text-foreground">{getReturnStatusLabel(entry.status)}</span>
+                      {' · '}
+                      {new Date(entry.createdAt).toLocaleString()}
+                      {entry.note && ` · ${entry.note}`}
+                    </li>
+                  ))}
+                </ol>
+                {selectedReturn.status === 'refunded' && (
+                  <p className="text-sm mt-2">
+                    Refunded {formatCurrency(selectedReturn.refundAmount || 0)}
+                    {selectedReturn.restocked && ' · items restocked'}
+                  </p>
+                )}
+              </div>
+
+              {/* Actions for the current status */}
+              {['requested', 'approved', 'received'].includes(selectedReturn.status) &&
+                !canManageReturn(selectedReturn, user) && (
+                <p className="text-sm text-muted-foreground border-t pt-4">
+                  This return includes other merchants' items, so an admin will handle it.
+                </p>
+              )}
+              {['requested', 'approved', 'received'].includes(selectedReturn.status) &&
+                canManageReturn(selectedReturn, user) && (
+                <div className="space-y-4 border-t pt-4">
+                  <div className="space-y-2">
+                    <Label htmlFor="returnNote">Note (optional)</Label>
+                    <Textarea
+                      id="returnNote"
+                      value={note}
+                      maxLength={1000}
+                      onChange={(e) => setNote(e.target.value)}
+                    />
+                  </div>
+
+                  {selectedReturn.status === 'requested' && (
+                    <div className="flex gap-2 justify-end">
+                      <Button variant="outline" disabled={isUpdating} onClick={() => updateStatus('rejected')}>
+                        Reject
+                      </Button>
+                      <Button disabled={isUpdating} onClick={() => updateStatus('approved')}>
+                        Approve
+                      </Button>
+                    </div>
+                  )}
+
+                  {selectedReturn.status === 'approved' && (
+                    <div className="flex items-center justify-between gap-4">
+                      <div className="flex items-center gap-2">
+                        <Checkbox
+                          id="returnRestock"
+                          checked={restock}
+                          onCheckedChange={(checked) => setRestock(checked === true)}
+                        />
+                        <Label htmlFor="returnRestock" className="font-normal">
+                          Put the items back in stock
+                        </Label>
+                      </div>
+                      <Button disabled={isUpdating} onClick={() => updateStatus('received')}>
+                        Mark Received
+                      </Button>
+                    </div>
+                  )}
+
+                  {selectedReturn.status === 'received' && (
+                    <div className="flex items-end justify-between gap-4">
+                      <div className="space-y-2">
+                        <Label htmlFor="refundAmount">Refund amount</Label>
+                        <Input
+                          id="refundAmount"
+                          type="number"
+                          min={0}
+                          max={getOwedAmount(selectedReturn)}
+                          step="0.01"
+                          value={refundAmount}
+                          onChange={(e) => setRefundAmount(e.target.value)}
+                          className="w-40"
+                        />
+                      </div>
+                      <Button disabled={isUpdating || refundAmount === ''} onClick={issueRefund}>
+                        Issue Refund
+                      </Button>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
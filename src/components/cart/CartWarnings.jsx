@@ -0,0 +1,137 @@
+// What changed in the cart since items were added (removed products, stock and prices),
+// with a way to fix each line. The cart is checked again whenever its lines change.
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useCart } from '@/context/CartContext';
+import { formatCurrency, cn } from '@/lib/utils';
+import { toast } from 'sonner';
+
+export function CartWarnings({ className }) {
+  const { items, isLoading, validation, validateCart, updateQuantity, removeItem } = useCart();
+  const [isFixing, setIsFixing] = useState(false);
+
+  const cartKey = items.map((item) => `${item.id}:${item.quantity}`).join(',');
+
+  useEffect(() => {
+    if (isLoading) return;
+    validateCart().catch((error) => console.error('Failed to validate cart:', error));
+  }, [cartKey, isLoading]);
+
+  const issues = validation?.issues || [];
+  if (issues.length === 0) return null;
+
+  const stockIssues = issues.filter((issue) => issue.type !== 'price_changed');
+  const priceIssues = issues.filter((issue) => issue.type === 'price_changed');
+
+  const fix = async (action) => {
+    setIsFixing(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Failed to update cart:', error);
+      toast.error(error.response?.data?.message || 'Failed to update cart');
+    } finally {
+      setIsFixing(false);
+    }
+  };
+
+  const fixAll = () => fix(async () => {
+    for (const issue of stockIssues) {
+      if (issue.suggestedQuantity > 0) {
+        await updateQuantity(issue.itemId, issue.suggestedQuantity);
+      } else {
+        await removeItem(issue.itemId);
+      }
+    }
+  });
+
+  return (
+    <div className={cn('rounded-lg border border-destructive/40 bg-destructive/5 p-4 space-y-4', className)}>
+      <div className="flex items-start gap-3">
+        <AlertTriangle className="h-5 w-5 text-destructive flex-shrink-0 mt-0.5" />
+        <div>
+          <p className="font-medium">Some items in your cart have changed</p>
+          <p className="text-sm text-muted-foreground">
+            Review these changes before paying.
+          </p>
+        </div>
+      </div>
+
+      {stockIssues.length > 0 && (
+        <ul className="space-y-3">
+          {stockIssues.map((issue) => (
+            <li key={`${issue.itemId}-${issue.type}`} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+              <div>
+                <p className="font-medium">
+                  {issue.name || 'An item'}
+                  {issue.variantName && <span className="text-muted-foreground"> · {issue.variantName}</span>}
+                </p>
+                <p className="text-muted-foreground">{issue.message}</p>
+              </div>
+              <div className="flex gap-2">
+                {issue.type === 'variant_unavailable' && issue.slug && (
+                  <Button asChild variant="link" size="sm">
+                    <Link to={`/products/${issue.slug}`}>Choose another option</Link>
+                  </Button>
+                )}
+                {issue.suggestedQuantity > 0 ? (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={isFixing}
+                    onClick={() => fix(() => updateQuantity(issue.itemId, issue.suggestedQuantity))}
+                  >
+                    Change to {issue.suggestedQuantity}
+                  </Button>
+                ) : (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={isFixing}
+                    onClick={() => fix(() => removeItem(issue.itemId))}
+                  >
+                    Remove
+                  </Button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {priceIssues.length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {priceIssues.map((issue) => (
+            <li key={`${issue.itemId}-${issue.type}`}>
+              <span className="font-medium">{issue.name}</span>
+              {issue.variantName && <span className="text-muted-foreground"> · {issue.variantName}</span>}
+              {': '}
+              <span className="line-through text-muted-foreground">{formatCurrency(issue.previousPrice)}</span>{' '}
+              {formatCurrency(issue.currentPrice)} each
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {stockIssues.length > 1 && (
+          <Button variant="outline" size="sm" disabled={isFixing} onClick={fixAll}>
+            Apply all quantity changes
+          </Button>
+        )}
+        {priceIssues.length > 0 && (
+          <Button
+            variant="accent"
+            size="sm"
+            disabled={isFixing}
+            onClick={() => fix(() => validateCart({ acceptPrices: true }))}
+          >
+            Accept new prices
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+// Items the shopper saved for later, with what changed since they were saved. They stay
+// out of the cart's totals until moved back.
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { useCart } from '@/context/CartContext';
+import { formatCurrency, formatDate, getImageUrl } from '@/lib/utils';
+import { toast } from 'sonner';
+
+// Price and stock changes since an item was saved, worst first
+function getSavedItemChanges(savedItem) {
+  if (savedItem.unavailable) {
+    return [{ label: 'No longer available', variant: 'destructive' }];
+  }
+
+  const changes = [];
+
+  if (savedItem.currentStock === 0) {
+    changes.push({ label: 'Out of stock', variant: 'destructive' });
+  } else if (savedItem.currentStock < savedItem.quantity) {
+    changes.push({ label: `Only ${savedItem.currentStock} left`, variant: 'destructive' });
+  } else if (savedItem.stock === 0) {
+    changes.push({ label: 'Back in stock', variant: 'secondary' });
+  }
+
+  if (savedItem.price != null && savedItem.currentPrice < savedItem.price) {
+    changes.push({ label: `Price dropped from ${formatCurrency(savedItem.price)}`, variant: 'secondary' });
+  } else if (savedItem.price != null && savedItem.currentPrice > savedItem.price) {
+    changes.push({ label: `Price went up from ${formatCurrency(savedItem.price)}`, variant: 'outline' });
+  }
+
+  return changes;
+}
+
+export function SavedForLater() {
+  const { savedItems, moveToCart, removeSavedItem } = useCart();
+  const [busyId, setBusyId] = useState(null);
+
+  if (savedItems.length === 0) return null;
+
+  const run = async (savedItemId, action) => {
+    setBusyId(savedItemId);
+    try {
+      await action(savedItemId);
+    } catch (error) {
+      console.error('Failed to update saved item:', error);
+      toast.error(error.response?.data?.message || 'Failed to update saved item');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <section className="mt-12">
+      <h2 className="font-display text-2xl font-semibold mb-4">
+        Saved for Later ({savedItems.length})
+      </h2>
+
+      <div className="space-y-4">
+        {savedItems.map((savedItem) => {
+          const product = savedItem.product;
+          const canMove = !savedItem.unavailable && savedItem.currentStock >= savedItem.quantity;
+
+          return (
+            <div key={savedItem._id} className="flex gap-4 p-4 bg-card rounded-lg border border-border">
+              <div className="flex-shrink-0 w-20 h-20 md:w-24 md:h-24 rounded-lg overflow-hidden bg-secondary">
+                {product && (
+                  <img
+                    src={getImageUrl(product.images?.[0])}
+                    alt={product.name}
+                    className="w-full h-full object-cover"
+                  />
+                )}
+              </div>
+
+              <div className="flex-1 min-w-0">
+                <div className="flex justify-between gap-4">
+                  <div>
+                    {product ? (
+                      <Link
+                        to={`/products/${product.slug}`}
+                        className="font-medium hover:text-accent transition-colors line-clamp-1"
+                      >
+                        {product.name}
+                      </Link>
+                    ) : (
+                      <p className="font-medium text-muted-foreground">Product removed</p>
+                    )}
+                    <p className="text-sm text-muted-foreground mt-1">
+                      {savedItem.variant?.value && `${savedItem.variant.type}: ${savedItem.variant.value} · `}
+                      Qty: {savedItem.quantity} · Saved {formatDate(savedItem.savedAt)}
+                    </p>
+                  </div>
+                  {savedItem.currentPrice != null && (
+                    <p className="font-semibold whitespace-nowrap">{formatCurrency(savedItem.currentPrice)}</p>
+                  )}
+                </div>
+
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {getSavedItemChanges(savedItem).map((change) => (
+                    <Badge key={change.label} variant={change.variant}>{change.label}</Badge>
+                  ))}
+                </div>
+
+                <div className="flex flex-wrap gap-2 mt-3">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={!canMove || busyId === savedItem._id}
+                    onClick={() => run(savedItem._id, moveToCart)}
+                  >
+                    Move to Cart
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-muted-foreground"
+                    disabled={busyId === savedItem._id}
+                    onClick={() => run(savedItem._id, removeSavedItem)}
+                  >
+                    Remove
+                  </Button>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
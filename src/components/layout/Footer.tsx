@@ -14,6 +14,7 @@ const footerLinks = {
   ],
   support: [
     { name: 'Contact Us', href: '/contact' },
+    { name: 'Track Your Order', href: '/track' },
     { name: 'FAQs', href: '#' },
     { name: 'Shipping', href: '#' },
     { name: 'Returns', href: '#' },
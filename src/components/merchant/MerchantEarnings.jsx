@@ -0,0 +1,194 @@
+import { useState, useEffect } from 'react';
+import { Wallet, Clock, CheckCircle, Percent, RefreshCw } from 'lucide-react';
+import { ledgerAPI } from '@/services/api';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { toast } from 'sonner';
+import { cn, formatCurrency, getLedgerEntryTypeLabel, getPayoutStatusColor } from '@/lib/utils';
+
+// A merchant's balance with the platform, their statement of sales, refunds and returns
+// (net of commission), and the payouts made to them
+export function MerchantEarnings() {
+  const [balance, setBalance] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [payouts, setPayouts] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadEarnings = async () => {
+    try {
+      setIsLoading(true);
+      const [balanceResponse, entriesResponse, payoutsResponse] = await Promise.all([
+        ledgerAPI.getBalance(),
+        ledgerAPI.getEntries({ page, limit: 20 }),
+        ledgerAPI.getPayouts({ limit: 10 }),
+      ]);
+      setBalance(balanceResponse.data.data);
+      setEntries(entriesResponse.data.data || []);
+      setTotalPages(entriesResponse.data.pagination?.totalPages || 1);
+      setPayouts(payoutsResponse.data.data || []);
+    } catch (error) {
+      console.error('Failed to load earnings:', error);
+      toast.error('Failed to load earnings');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEarnings();
+  }, [page]);
+
+  const stats = [
+    { label: 'Available Balance', value: balance?.available, icon: Wallet, color: 'text-green-500 bg-green-500/10' },
+    { label: 'Pending Payout', value: balance?.pendingPayout, icon: Clock, color: 'text-amber-500 bg-amber-500/10' },
+    { label: 'Paid Out', value: balance?.paidOut, icon: CheckCircle, color: 'text-blue-500 bg-blue-500/10' },
+    { label: 'Commission Paid', value: balance?.lifetime.commission, icon: Percent, color: 'text-muted-foreground bg-muted' },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {stats.map((stat) => (
+          <Card key={stat.label}>
+            <CardContent className="p-6">
+              <div className="flex items-center gap-4">
+                <div className={cn('h-12 w-12 rounded-xl flex items-center justify-center', stat.color)}>
+                  <stat.icon className="h-6 w-6" />
+                </div>
+                <div>
+                  <p className="text-sm text-muted-foreground">{stat.label}</p>
+                  <p className="text-2xl font-bold">{formatCurrency(stat.value || 0)}</p>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between gap-4">
+        <h3 className="font-semibold text-lg">Statement</h3>
+        <Button variant="outline" onClick={loadEarnings} disabled={isLoading}>
+          <RefreshCw className={cn('h-4 w-4 mr-2', isLoading && 'animate-spin')} />
+          Refresh
+        </Button>
+      </div>
+
+      <div className="border rounded-lg overflow-hidden">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Date</TableHead>
+              <TableHead>Order</TableHead>
+              <TableHead>Description</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+              <TableHead className="text-right">Commission</TableHead>
+              <TableHead className="text-right">Net</TableHead>
+              <TableHead>Payout</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {isLoading && entries.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} className="text-center py-8 text-muted-foreground">
+                  Loading statement...
+                </TableCell>
+              </TableRow>
+            ) : entries.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={7} className="text-center py-8 text-muted-foreground">
+                  No earnings yet. Sales appear here once customers have paid for them.
+                </TableCell>
+              </TableRow>
+            ) : (
+              entries.map((entry) => (
+                <TableRow key={entry._id}>
+                  <TableCell>{new Date(entry.createdAt).toLocaleDateString()}</TableCell>
+                  <TableCell className="font-medium">{entry.orderNumber}</TableCell>
+                  <TableCell>
+                    <span className="text-muted-foreground">{getLedgerEntryTypeLabel(entry.type)} · </span>
+                    {entry.description}
+                  </TableCell>
+                  <TableCell className="text-right">{formatCurrency(entry.gross)}</TableCell>
+                  <TableCell className="text-right text-muted-foreground">
+                    {entry.commission ? `${formatCurrency(-entry.commission)} (${entry.commissionRate}%)` : '—'}
+                  </TableCell>
+                  <TableCell className={cn('text-right font-medium', entry.amount < 0 && 'text-destructive')}>
+                    {formatCurrency(entry.amount)}
+                  </TableCell>
+                  <TableCell className="text-sm text-muted-foreground">
+                    {entry.payout?.payoutNumber || 'Not yet paid out'}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </div>
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-end gap-2">
+          <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            Previous
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            Page {page} of {totalPages}
+          </span>
+          <Button variant="outline" size="sm" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+            Next
+          </Button>
+        </div>
+      )}
+
+      <h3 className="font-semibold text-lg">Payouts</h3>
+      <div className="border rounded-lg overflow-hidden">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Payout</TableHead>
+              <TableHead>Created</TableHead>
+              <TableHead>Entries</TableHead>
+              <TableHead className="text-right">Amount</TableHead>
+              <TableHead>Status</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {payouts.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} className="text-center py-8 text-muted-foreground">
+                  No payouts yet
+                </TableCell>
+              </TableRow>
+            ) : (
+              payouts.map((payout) => (
+                <TableRow key={payout._id}>
+                  <TableCell className="font-medium">{payout.payoutNumber}</TableCell>
+                  <TableCell>{new Date(payout.createdAt).toLocaleDateString()}</TableCell>
+                  <TableCell>{payout.entryCount}</TableCell>
+                  <TableCell className="text-right">{formatCurrency(payout.amount)}</TableCell>
+                  <TableCell>
+                    <Badge className={getPayoutStatusColor(payout.status)}>
+                      {payout.status === 'paid'
+                        ? `Paid ${new Date(payout.paidAt).toLocaleDateString()}`
+                        : 'Pending'}
+                    </Badge>
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
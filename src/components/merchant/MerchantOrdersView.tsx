@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react';
-import { Search, Eye, Package, Clock, CheckCircle, XCircle, RefreshCw } from 'lucide-react';
+import { Search, Eye, Package, Clock, CheckCircle, XCircle, RefreshCw, FileText } from 'lucide-react';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
 import { Card, CardContent } from '@/components/ui/card';
 import {
   Select,
@@ -25,18 +26,22 @@ import {
   DialogHeader,
   DialogTitle,
 } from '@/components/ui/dialog';
-import { formatCurrency } from '@/lib/utils';
+import { formatCurrency, getOrderItemDetails, getSubOrderDetails, downloadBlob, getNextOrderStatuses } from '@/lib/utils';
 import { ordersAPI } from '@/services/api';
 import { useAuth } from '@/context/AuthContext';
 import { toast } from 'sonner';
 
+// The merchant's own part of an order: their sub-order and its lines
 interface MerchantOrderItem {
   id: string;
   customerName: string;
   productName: string;
   quantity: number;
   total: number;
-  status: 'pending' | 'confirmed' | 'processing' | 'shipped' | 'delivered' | 'cancelled' | 'returned';
+  shipping: number;
+  status: 'pending' | 'confirmed' | 'processing' | 'shipped' | 'delivered' | 'cancelled';
+  trackingNumber: string;
+  estimatedDelivery: string;
   date: string;
   orderId: string;
   orderNumber: string;
@@ -49,7 +54,6 @@ const statusConfig: Record<string, { label: string; variant: 'default' | 'second
   shipped: { label: 'Shipped', variant: 'outline', icon: <Package className="h-3 w-3" /> },
   delivered: { label: 'Delivered', variant: 'default', icon: <CheckCircle className="h-3 w-3" /> },
   cancelled: { label: 'Cancelled', variant: 'destructive', icon: <XCircle className="h-3 w-3" /> },
-  returned: { label: 'Returned', variant: 'destructive', icon: <XCircle className="h-3 w-3" /> },
 };
 
 const statusOptions = [
@@ -59,7 +63,6 @@ const statusOptions = [
   { value: 'shipped', label: 'Shipped' },
   { value: 'delivered', label: 'Delivered' },
   { value: 'cancelled', label: 'Cancelled' },
-  { value: 'returned', label: 'Returned' },
 ];
 
 export function MerchantOrdersView() {
@@ -69,6 +72,8 @@ export function MerchantOrdersView() {
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedOrder, setSelectedOrder] = useState<MerchantOrderItem | null>(null);
   const [updatingStatus, setUpdatingStatus] = useState<string | null>(null);
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [estimatedDelivery, setEstimatedDelivery] = useState('');
 
   useEffect(() => {
     loadOrders();
@@ -83,44 +88,37 @@ export function MerchantOrdersView() {
       const allOrders = response.data.data || response.data || [];
       const ordersArray = Array.isArray(allOrders) ? allOrders : [];
 
-      // Transform orders into merchant order items
-      // Each order item that belongs to the merchant becomes a separate row
+      // Each order is split into one sub-order per merchant; the API only returns
+      // this merchant's sub-order and lines, and each becomes a row
       const merchantOrderItems: MerchantOrderItem[] = [];
       const merchantId = user._id?.toString() || user.id;
       
       ordersArray.forEach((order: any) => {
-        if (!order.items || !Array.isArray(order.items)) return;
-        
-        order.items.forEach((item: any) => {
-          const product = item.product;
-          if (!product) return;
-          
-          // Check if this product belongs to the merchant
-          // Handle both populated merchant object and merchant ID string
-          let productMerchantId = null;
-          if (product.merchant) {
-            if (typeof product.merchant === 'object' && product.merchant._id) {
-              productMerchantId = product.merchant._id.toString();
-            } else if (typeof product.merchant === 'string') {
-              productMerchantId = product.merchant;
-            } else if (product.merchant.toString) {
-              productMerchantId = product.merchant.toString();
-            }
-          }
-          
-          if (productMerchantId === merchantId) {
-            merchantOrderItems.push({
-              id: `${order._id || order.id}-${item._id || item.id}`,
-              orderId: order._id || order.id,
-              orderNumber: order.orderNumber || order._id || order.id,
-              customerName: order.user?.name || order.user?.email || 'Unknown Customer',
-              productName: product.name || 'Unknown Product',
-              quantity: item.quantity || 1,
-              total: (item.price || product.price || 0) * (item.quantity || 1),
-              status: order.status || 'pending',
-              date: order.createdAt ? new Date(order.createdAt).toLocaleDateString() : new Date().toLocaleDateString(),
-            });
-          }
+        (order.subOrders || []).forEach((subOrder: any) => {
+          if (String(subOrder.merchant) !== merchantId) return;
+
+          const { reference, items } = getSubOrderDetails(order, subOrder);
+          // Lines cancelled in full have nothing left to fulfil
+          const lines = items
+            .map((item: any) => getOrderItemDetails(item))
+            .filter((details: any) => details.quantity > 0);
+
+          merchantOrderItems.push({
+            id: subOrder._id,
+            orderId: order._id || order.id,
+            orderNumber: reference,
+            customerName: order.user?.name || order.user?.email || order.guestEmail || 'Unknown Customer',
+            productName: lines
+              .map((details: any) => (details.variantName ? `${details.name} (${details.variantName})` : details.name))
+              .join(', ') || 'Cancelled items',
+            quantity: lines.reduce((sum: number, details: any) => sum + details.quantity, 0),
+            total: lines.reduce((sum: number, details: any) => sum + details.price * details.quantity, 0),
+            shipping: subOrder.shipping || 0,
+            status: subOrder.status || 'pending',
+            trackingNumber: subOrder.trackingNumber || '',
+            estimatedDelivery: subOrder.estimatedDelivery ? subOrder.estimatedDelivery.slice(0, 10) : '',
+            date: order.createdAt ? new Date(order.createdAt).toLocaleDateString() : new Date().toLocaleDateString(),
+          });
         });
       });
 
@@ -134,22 +132,68 @@ export function MerchantOrdersView() {
     }
   };
 
-  const handleStatusUpdate = async (orderId: string, newStatus: string) => {
+  const updateSubOrder = async (order: MerchantOrderItem, data: Record<string, unknown>, successMessage: string) => {
     try {
-      setUpdatingStatus(orderId);
-      await ordersAPI.updateStatus(orderId, newStatus);
-      toast.success('Order status updated successfully');
+      setUpdatingStatus(order.id);
+      await ordersAPI.updateSubOrder(order.orderId, order.id, data);
+      toast.success(successMessage);
       // Reload orders to get updated status
       await loadOrders();
+      return true;
     } catch (error: any) {
-      console.error('Failed to update order status:', error);
-      const errorMessage = error.response?.data?.message || 'Failed to update order status';
+      console.error('Failed to update order:', error);
+      const errorMessage = error.response?.data?.message || 'Failed to update order';
       toast.error(errorMessage);
+      return false;
     } finally {
       setUpdatingStatus(null);
     }
   };
 
+  const handleStatusUpdate = (order: MerchantOrderItem, newStatus: string) => {
+    if (newStatus === 'cancelled' && !window.confirm('Cancel your items in this order? The customer will be refunded for them.')) {
+      return;
+    }
+
+    // A shipment can't be marked shipped without a tracking number
+    let trackingNumber = order.trackingNumber;
+    if (newStatus === 'shipped' && !trackingNumber) {
+      trackingNumber = window.prompt('Tracking number for this shipment')?.trim() || '';
+      if (!trackingNumber) return;
+    }
+
+    updateSubOrder(
+      order,
+      newStatus === 'shipped' ? { status: newStatus, trackingNumber } : { status: newStatus },
+      'Order status updated successfully'
+    );
+  };
+
+  const openOrder = (order: MerchantOrderItem) => {
+    setSelectedOrder(order);
+    setTrackingNumber(order.trackingNumber);
+    setEstimatedDelivery(order.estimatedDelivery);
+  };
+
+  const handleTrackingSave = async () => {
+    if (!selectedOrder) return;
+    const saved = await updateSubOrder(selectedOrder, {
+      trackingNumber: trackingNumber.trim() || null,
+      estimatedDelivery: estimatedDelivery || null,
+    }, 'Tracking details saved');
+    if (saved) setSelectedOrder(null);
+  };
+
+  const handlePackingSlip = async (order: MerchantOrderItem) => {
+    try {
+      const response = await ordersAPI.getPackingSlip(order.orderId);
+      downloadBlob(response.data, `packing-slip-${order.orderNumber}.pdf`);
+    } catch (error) {
+      console.error('Failed to download packing slip:', error);
+      toast.error('Failed to download packing slip');
+    }
+  };
+
   const filteredOrders = orders.filter(
     (order) =>
       order.orderNumber.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -273,8 +317,8 @@ export function MerchantOrdersView() {
                     <TableCell>
                       <Select
                         value={order.status}
-                        onValueChange={(value) => handleStatusUpdate(order.orderId, value)}
-                        disabled={updatingStatus === order.orderId}
+                        onValueChange={(value) => handleStatusUpdate(order, value)}
+                        disabled={updatingStatus === order.id || getNextOrderStatuses(order.status, 'merchant').length === 0}
                       >
                         <SelectTrigger className="w-[150px] h-8">
                           <SelectValue>
@@ -285,7 +329,10 @@ export function MerchantOrdersView() {
                           </SelectValue>
                         </SelectTrigger>
                         <SelectContent>
-                          {statusOptions.map((option) => {
+                          {statusOptions
+                            .filter((option) => option.value === order.status ||
+                              getNextOrderStatuses(order.status, 'merchant').includes(option.value))
+                            .map((option) => {
                             const optionStatus = statusConfig[option.value] || statusConfig.pending;
                             return (
                               <SelectItem key={option.value} value={option.value}>
@@ -301,7 +348,7 @@ export function MerchantOrdersView() {
                     </TableCell>
                     <TableCell>{order.date}</TableCell>
                     <TableCell className="text-right">
-                      <Button variant="ghost" size="icon" onClick={() => setSelectedOrder(order)}>
+                      <Button variant="ghost" size="icon" onClick={() => openOrder(order)}>
                         <Eye className="h-4 w-4" />
                       </Button>
                     </TableCell>
@@ -349,12 +396,49 @@ export function MerchantOrdersView() {
                   <p className="font-medium">{selectedOrder.quantity}</p>
                 </div>
               </div>
-              <div className="border-t pt-4">
+              <div className="border-t pt-4 space-y-1">
+                <div className="flex justify-between text-sm">
+                  <p className="text-muted-foreground">Shipping charged</p>
+                  <p>{formatCurrency(selectedOrder.shipping)}</p>
+                </div>
                 <div className="flex justify-between">
                   <p className="font-semibold">Total</p>
                   <p className="font-semibold">{formatCurrency(selectedOrder.total)}</p>
                 </div>
               </div>
+              {selectedOrder.status !== 'cancelled' && (
+                <div className="border-t pt-4 space-y-4">
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="trackingNumber">Tracking Number</Label>
+                      <Input
+                        id="trackingNumber"
+                        value={trackingNumber}
+                        maxLength={100}
+                        onChange={(e) => setTrackingNumber(e.target.value)}
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="estimatedDelivery">Estimated Delivery</Label>
+                      <Input
+                        id="estimatedDelivery"
+                        type="date"
+                        value={estimatedDelivery}
+                        onChange={(e) => setEstimatedDelivery(e.target.value)}
+                      />
+                    </div>
+                  </div>
+                  <div className="flex justify-end gap-2">
+                    <Button variant="outline" onClick={() => handlePackingSlip(selectedOrder)}>
+                      <FileText className="h-4 w-4 mr-2" />
+                      Packing Slip
+                    </Button>
+                    <Button onClick={handleTrackingSave} disabled={updatingStatus === selectedOrder.id}>
+                      Save Tracking
+                    </Button>
+                  </div>
+                </div>
+              )}
             </div>
           )}
         </DialogContent>
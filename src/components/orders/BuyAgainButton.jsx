@@ -0,0 +1,53 @@
+// Buy again: puts a past order's lines back in the cart at today's prices, and says which
+// couldn't be added. Only shown to the customer who placed the order.
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { RotateCcw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '@/context/AuthContext';
+import { useCart } from '@/context/CartContext';
+import { toast } from 'sonner';
+
+const isOwnOrder = (order, user) => {
+  const ownerId = order.user?._id || order.user;
+  const userId = user?._id || user?.id;
+  return Boolean(ownerId && userId) && String(ownerId) === String(userId);
+};
+
+export function BuyAgainButton({ order, className, ...props }) {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { reorder } = useCart();
+  const [isAdding, setIsAdding] = useState(false);
+
+  if (!isOwnOrder(order, user)) return null;
+
+  const handleBuyAgain = async () => {
+    setIsAdding(true);
+    try {
+      const { data, message } = await reorder(order._id || order.id);
+      const added = data.changes.some((change) => change.status !== 'unavailable');
+      const notAdded = data.changes
+        .filter((change) => change.status === 'unavailable' || change.status === 'limited')
+        .map((change) => `${change.name || 'An item'}${change.variantName ? ` (${change.variantName})` : ''}: ${change.message}`)
+        .join(', ');
+
+      (added ? toast.success : toast.error)(message, {
+        description: notAdded || undefined,
+        action: added ? { label: 'View Cart', onClick: () => navigate('/cart') } : undefined,
+      });
+    } catch (error) {
+      console.error('Failed to reorder:', error);
+      toast.error(error.response?.data?.message || 'Failed to add items to your cart');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  return (
+    <Button variant="outline" size="sm" className={className} disabled={isAdding} onClick={handleBuyAgain} {...props}>
+      <RotateCcw className="h-4 w-4 mr-2" />
+      {isAdding ? 'Adding...' : 'Buy Again'}
+    </Button>
+  );
+}
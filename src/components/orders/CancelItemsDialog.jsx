@@ -0,0 +1,125 @@
+// Cancel some of an order's lines, or lower their quantity, before they ship
+import { useState, useEffect } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { ordersAPI } from '@/services/api';
+import { formatCurrency, getOrderItemDetails } from '@/lib/utils';
+import { toast } from 'sonner';
+
+export function CancelItemsDialog({ order, open, onOpenChange, onCancelled }) {
+  const orderId = order._id || order.id;
+  // Order line ID -> units to cancel
+  const [quantities, setQuantities] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (open) setQuantities({});
+  }, [open]);
+
+  const pendingItems = order.items.filter((item) => {
+    const details = getOrderItemDetails(item);
+    return details.fulfillmentStatus === 'pending' && details.quantity > 0;
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([itemId, quantity]) => ({ itemId, quantity }));
+
+    if (items.length === 0) {
+      toast.error('Choose how many units to cancel');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await ordersAPI.cancelItems(orderId, items);
+      const { refunded } = response.data;
+      toast.success(response.data.message || 'Items cancelled', refunded > 0 ? {
+        description: `${formatCurrency(refunded)} will be refunded to your card.`,
+      } : undefined);
+      onOpenChange(false);
+      onCancelled?.(response.data.data);
+    } catch (error) {
+      console.error('Failed to cancel items:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel items');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Cancel Items</DialogTitle>
+          <DialogDescription>
+            Choose how many units of each item to cancel. The order total is recalculated and
+            the difference refunded.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {pendingItems.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              All items have shipped or been cancelled already.
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {pendingItems.map((item) => {
+                const details = getOrderItemDetails(item);
+                return (
+                  <div key={item._id} className="flex items-center gap-3">
+                    <Label htmlFor={`cancel-${item._id}`} className="flex-1 font-normal">
+                      {details.name}
+                      {details.variantName && (
+                        <span className="text-muted-foreground"> ({details.variantName})</span>
+                      )}
+                    </Label>
+                    <Input
+                      id={`cancel-${item._id}`}
+                      type="number"
+                      min={0}
+                      max={details.quantity}
+                      value={quantities[item._id] ?? 0}
+                      onChange={(e) =>
+                        setQuantities({
+                          ...quantities,
+                          [item._id]: Math.min(details.quantity, Math.max(0, Number(e.target.value) || 0)),
+                        })
+                      }
+                      className="w-20"
+                    />
+                    <span className="text-sm text-muted-foreground w-12">of {details.quantity}</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Keep Items
+            </Button>
+            <Button
+              type="submit"
+              variant="destructive"
+              disabled={isSubmitting || pendingItems.length === 0}
+            >
+              {isSubmitting ? 'Cancelling...' : 'Cancel Selected'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
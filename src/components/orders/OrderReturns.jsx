@@ -0,0 +1,300 @@
+// Returns for a delivered order: the customer's existing returns, and a form to
+// request a new one for some of the order's lines
+import { useState, useEffect } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { returnsAPI } from '@/services/api';
+import {
+  cn,
+  formatCurrency,
+  getOrderItemDetails,
+  getReturnStatusLabel,
+  getReturnStatusColor,
+  RETURN_REASONS,
+} from '@/lib/utils';
+import { toast } from 'sonner';
+
+export function OrderReturns({ order }) {
+  const orderId = order._id || order.id;
+  const [returnInfo, setReturnInfo] = useState(null);
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // Order line ID -> quantity to return, for the selected lines
+  const [selected, setSelected] = useState({});
+  const [reason, setReason] = useState('');
+  const [comments, setComments] = useState('');
+
+  const loadReturns = async () => {
+    try {
+      const response = await returnsAPI.getForOrder(orderId);
+      setReturnInfo(response.data.data);
+    } catch (error) {
+      console.error('Failed to load returns:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadReturns();
+  }, [orderId]);
+
+  if (!returnInfo) return null;
+
+  const returnableById = Object.fromEntries(
+    returnInfo.items.map((item) => [item.itemId, item.returnable])
+  );
+  const returnableItems = order.items.filter((item) => returnableById[item._id] > 0);
+  const canRequest = returnInfo.eligible && returnableItems.length > 0;
+
+  if (returnInfo.returns.length === 0 && !canRequest) return null;
+
+  const openDialog = () => {
+    setSelected({});
+    setReason('');
+    setComments('');
+    setIsDialogOpen(true);
+  };
+
+  const toggleItem = (itemId, checked) => {
+    setSelected((current) => {
+      const next = { ...current };
+      if (checked) {
+        next[itemId] = 1;
+      } else {
+        delete next[itemId];
+      }
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const items = Object.entries(selected).map(([itemId, quantity]) => ({ itemId, quantity }));
+
+    if (items.length === 0) {
+      toast.error('Select at least one item to return');
+      return;
+    }
+    if (!reason) {
+      toast.error('Choose a reason for the return');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await returnsAPI.create({ orderId, items, reason, comments: comments.trim() || undefined });
+      toast.success('Return requested', {
+        description: 'We will let you know once it has been reviewed.',
+      });
+      setIsDialogOpen(false);
+      await loadReturns();
+    } catch (error) {
+      console.error('Failed to request return:', error);
+      toast.error(error.response?.data?.message || 'Failed to request return');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancelReturn = async (rma) => {
+    if (!window.confirm('Are you sure you want to cancel this return?')) {
+      return;
+    }
+
+    try {
+      await returnsAPI.updateStatus(rma._id, { status: 'cancelled' });
+      toast.success('Return cancelled');
+      await loadReturns();
+    } catch (error) {
+      console.error('Failed to cancel return:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel return');
+    }
+  };
+
+  return (
+    <div className="bg-card rounded-lg border border-border p-6">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div className="flex items-center gap-2">
+          <RotateCcw className="h-5 w-5 text-muted-foreground" />
+          <h2 className="font-semibold text-lg">Returns</h2>
+        </div>
+        {canRequest && (
+          <Button variant="outline" size="sm" onClick={openDialog}>
+            Request a Return
+          </Button>
+        )}
+      </div>
+
+      {returnInfo.returnableUntil && (
+        <p className="text-sm text-muted-foreground mb-4">
+          {returnInfo.eligible ? 'Items can be returned until ' : 'The return window closed on '}
+          {new Date(returnInfo.returnableUntil).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+          })}
+          .
+        </p>
+      )}
+
+      {returnInfo.returns.length > 0 && (
+        <div className="space-y-4">
+          {returnInfo.returns.map((rma) => (
+            <div key={rma._id} className="border border-border rounded-lg p-4">
+              <div className="flex items-center justify-between gap-4 mb-2">
+                <span className="font-medium">{rma.rmaNumber}</span>
+                <Badge className={getReturnStatusColor(rma.status)}>
+                  {getReturnStatusLabel(rma.status)}
+                </Badge>
+              </div>
+              <ul className="text-sm text-muted-foreground space-y-1 mb-2">
+                {rma.items.map((item) => (
+                  <li key={item.orderItem}>
+                    {item.quantity} × {item.name || 'Product'}
+                    {item.variantName && ` (${item.variantName})`}
+                  </li>
+                ))}
+              </ul>
+              <p className="text-sm text-muted-foreground">
+                Reason: {RETURN_REASONS[rma.reason] || rma.reason}
+              </p>
+              {rma.status === 'refunded' && (
+                <p className="text-sm text-muted-foreground">
+                  Refunded: {formatCurrency(rma.refundAmount || 0)}
+                </p>
+              )}
+
+              {/* Status history */}
+              <ol className="mt-3 border-l border-border pl-4 space-y-1">
+                {rma.statusHistory.map((entry, index) => (
+                  <li key={index} className="text-xs text-muted-foreground">
+                    <span className="font-medium text-foreground">{getReturnStatusLabel(entry.status)}</span>
+                    {' · '}
+                    {new Date(entry.createdAt).toLocaleDateString()}
+                    {entry.note && ` · ${entry.note}`}
+                  </li>
+                ))}
+              </ol>
+
+              {rma.status === 'requested' && (
+                <Button
+                  variant="link"
+                  size="sm"
+                  className="h-auto p-0 mt-2"
+                  onClick={() => handleCancelReturn(rma)}
+                >
+                  Cancel return
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Request a Return</DialogTitle>
+            <DialogDescription>
+              Choose the items you want to send back. You will be refunded once we have received them.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div className="space-y-3">
+              {returnableItems.map((item) => {
+                const details = getOrderItemDetails(item);
+                const isSelected = selected[item._id] !== undefined;
+                const maxQuantity = returnableById[item._id];
+                return (
+                  <div key={item._id} className="flex items-center gap-3">
+                    <Checkbox
+                      id={`return-${item._id}`}
+                      checked={isSelected}
+                      onCheckedChange={(checked) => toggleItem(item._id, checked)}
+                    />
+                    <Label htmlFor={`return-${item._id}`} className="flex-1 font-normal">
+                      {details.name}
+                      {details.variantName && (
+                        <span className="text-muted-foreground"> ({details.variantName})</span>
+                      )}
+                    </Label>
+                    <Input
+                      type="number"
+                      min={1}
+                      max={maxQuantity}
+                      value={selected[item._id] ?? ''}
+                      disabled={!isSelected}
+                      onChange={(e) =>
+                        setSelected({
+                          ...selected,
+                          [item._id]: Math.min(maxQuantity, Math.max(1, Number(e.target.value) || 1)),
+                        })
+                      }
+                      className={cn('w-20', !isSelected && 'opacity-50')}
+                      aria-label={`Quantity of ${details.name} to return`}
+                    />
+                    <span className="text-sm text-muted-foreground w-12">of {maxQuantity}</span>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="returnReason">Reason</Label>
+              <Select value={reason} onValueChange={setReason}>
+                <SelectTrigger id="returnReason">
+                  <SelectValue placeholder="Select a reason" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(RETURN_REASONS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="returnComments">Comments (optional)</Label>
+              <Textarea
+                id="returnComments"
+                value={comments}
+                maxLength={1000}
+                onChange={(e) => setComments(e.target.value)}
+              />
+            </div>
+
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setIsDialogOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" variant="accent" disabled={isSubmitting}>
+                {isSubmitting ? 'Submitting...' : 'Request Return'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
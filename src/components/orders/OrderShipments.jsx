@@ -0,0 +1,71 @@
+// An order's sub-orders: each merchant's lines ship on their own, with their own status,
+// tracking number and share of the shipping charge
+import { Truck } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import {
+  formatCurrency,
+  getOrderItemDetails,
+  getOrderStatusColor,
+  getOrderStatusLabel,
+  getSubOrderDetails,
+} from '@/lib/utils';
+
+export function OrderShipments({ order }) {
+  if (!order.subOrders?.length) return null;
+
+  return (
+    <div className="space-y-3">
+      {order.subOrders.map((subOrder) => {
+        const { reference, items } = getSubOrderDetails(order, subOrder);
+        return (
+          <div key={subOrder._id} className="border border-border rounded-lg p-4 text-sm">
+            <div className="flex items-center justify-between gap-4 mb-2">
+              <div className="flex items-center gap-2">
+                <Truck className="h-4 w-4 text-muted-foreground" />
+                <span className="font-medium">
+                  Shipment {subOrder.number} of {order.subOrders.length}
+                </span>
+                <span className="text-muted-foreground font-mono text-xs">{reference}</span>
+              </div>
+              <Badge className={getOrderStatusColor(subOrder.status)}>
+                {getOrderStatusLabel(subOrder.status)}
+              </Badge>
+            </div>
+            <ul className="text-muted-foreground space-y-1">
+              {items.map((item) => {
+                const details = getOrderItemDetails(item);
+                return (
+                  <li key={item._id}>
+                    {details.quantity} × {details.name}
+                    {details.variantName && ` (${details.variantName})`}
+                  </li>
+                );
+              })}
+            </ul>
+            <div className="mt-2 space-y-1">
+              {/* Left out of the public tracking view */}
+              {subOrder.shipping != null && (
+                <p>
+                  <span className="text-muted-foreground">Shipping: </span>
+                  {subOrder.shipping === 0 ? 'Free' : formatCurrency(subOrder.shipping)}
+                </p>
+              )}
+              {subOrder.trackingNumber && (
+                <p>
+                  <span className="text-muted-foreground">Tracking Number: </span>
+                  <span className="font-mono">{subOrder.trackingNumber}</span>
+                </p>
+              )}
+              {subOrder.estimatedDelivery && (
+                <p>
+                  <span className="text-muted-foreground">Estimated Delivery: </span>
+                  {new Date(subOrder.estimatedDelivery).toLocaleDateString()}
+                </p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
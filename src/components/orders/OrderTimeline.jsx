@@ -0,0 +1,85 @@
+// An order's history as a timeline: the order being placed and every status change to it
+// or its shipments. The audit version (for admins) also shows who made each change, what
+// it changed from, and the staff's internal notes.
+import { Lock } from 'lucide-react';
+import { cn, getOrderStatusLabel, getSubOrderDetails } from '@/lib/utils';
+
+const describeChange = (order, entry) => {
+  if (!entry.from) return 'Order placed';
+
+  const subOrder = entry.subOrder && order.subOrders?.find((candidate) => candidate._id === entry.subOrder);
+  const status = getOrderStatusLabel(entry.to);
+
+  return subOrder
+    ? `Shipment ${getSubOrderDetails(order, subOrder).reference}: ${status}`
+    : `Order ${status.toLowerCase()}`;
+};
+
+const getEvents = (order, audit) => {
+  const history = order.statusHistory?.length > 0
+    ? order.statusHistory
+    // Orders placed before the history was kept
+    : [{ to: 'pending', createdAt: order.createdAt }];
+
+  const events = history.map((entry) => ({
+    title: describeChange(order, entry),
+    detail: audit && entry.from
+      ? `${getOrderStatusLabel(entry.from)} → ${getOrderStatusLabel(entry.to)}`
+      : null,
+    comment: entry.comment,
+    actor: audit ? entry.changedBy?.name || (entry.changedBy ? 'Unknown user' : 'System') : null,
+    createdAt: entry.createdAt,
+  }));
+
+  if (audit) {
+    (order.internalNotes || []).forEach((note) => {
+      events.push({
+        title: 'Internal note',
+        comment: note.body,
+        actor: note.author?.name || 'Unknown user',
+        createdAt: note.createdAt,
+        internal: true,
+      });
+    });
+  }
+
+  return events.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+export function OrderTimeline({ order, audit = false }) {
+  const events = getEvents(order, audit);
+
+  return (
+    <ol className="relative border-l border-border ml-2 space-y-4">
+      {events.map((event, index) => {
+        const isLatest = index === events.length - 1;
+        return (
+          <li key={index} className="pl-5 relative">
+            <span
+              className={cn(
+                'absolute -left-[5px] top-1.5 h-2.5 w-2.5 rounded-full',
+                event.internal ? 'bg-muted-foreground' : isLatest ? 'bg-accent' : 'bg-primary'
+              )}
+            />
+            <div className="flex flex-wrap items-center gap-x-2 text-sm">
+              {event.internal && <Lock className="h-3 w-3 text-muted-foreground" />}
+              <span className={cn('font-medium', event.internal && 'text-muted-foreground')}>
+                {event.title}
+              </span>
+              {event.detail && <span className="text-muted-foreground">{event.detail}</span>}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {new Date(event.createdAt).toLocaleString()}
+              {event.actor && ` · ${event.actor}`}
+            </p>
+            {event.comment && (
+              <p className={cn('text-sm mt-1', event.internal && 'bg-muted rounded-md px-3 py-2')}>
+                {event.comment}
+              </p>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -3,7 +3,40 @@
 
 import React, { createContext, useContext, useReducer, useEffect, useState } from 'react';
 import { storage } from '@/lib/utils';
-import { authAPI } from '@/services/api';
+import { authAPI, cartAPI } from '@/services/api';
+import { toast } from 'sonner';
+
+// Move the cart kept in localStorage while signed out into the user's server cart. Called
+// after signing in, before the cart is loaded from the server. The local cart is kept if
+// the merge fails so it can be tried again next time.
+async function mergeGuestCart() {
+  const guestItems = storage.get('cart', []);
+  if (guestItems.length === 0) return;
+
+  try {
+    const response = await cartAPI.merge(
+      guestItems.map((item) => ({
+        productId: item.product.id || item.product._id,
+        variant: item.variant?.id || item.variant?._id,
+        quantity: item.quantity,
+      }))
+    );
+    storage.remove('cart');
+
+    const changed = (response.data.data?.changes || []).filter((change) =>
+      ['limited', 'unavailable', 'invalid'].includes(change.status)
+    );
+    if (changed.length > 0) {
+      toast.warning('Some items in your cart were changed', {
+        description: changed
+          .map((change) => `${change.name || 'Item'}${change.variantName ? ` (${change.variantName})` : ''}: ${change.message}`)
+          .join(', '),
+      });
+    }
+  } catch (error) {
+    console.error('Failed to merge guest cart:', error);
+  }
+}
 
 // Initial state
 const initialState = {
@@ -115,6 +148,7 @@ export function AuthProvider({ children }) {
       // Store token as plain string (not JSON stringified)
       localStorage.setItem('auth_token', token);
       storage.set('user', user);
+      await mergeGuestCart();
       
       dispatch({ type: 'AUTH_SUCCESS', payload: { user, token } });
       // Mark as initialized after successful login
@@ -141,13 +175,17 @@ export function AuthProvider({ children }) {
   const register = async (name, email, password) => {
     dispatch({ type: 'AUTH_START' });
     try {
-      const response = await authAPI.register({ name, email, password });
+      // Guest orders opened on this device are added to the new account
+      const guestOrderTokens = storage.get('guestOrderTokens', []);
+      const response = await authAPI.register({ name, email, password, guestOrderTokens });
       const responseData = response.data.data || response.data;
       const { user, token } = responseData;
       
       // Store token as plain string (not JSON stringified)
       localStorage.setItem('auth_token', token);
       storage.set('user', user);
+      storage.remove('guestOrderTokens');
+      await mergeGuestCart();
       
       dispatch({ type: 'AUTH_SUCCESS', payload: { user, token } });
       // Mark as initialized after successful registration
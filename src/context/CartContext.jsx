@@ -3,12 +3,18 @@
 
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { storage } from '@/lib/utils';
-import { cartAPI } from '@/services/api';
+import { cartAPI, ordersAPI } from '@/services/api';
+import { toast } from 'sonner';
 import { useAuth } from './AuthContext';
 
 // Initial state
 const initialState = {
   items: [],
+  quote: null,
+  // Items saved for later (signed-in users only); not part of the totals
+  savedItems: [],
+  // The last check of the cart against current products, stock and prices
+  validation: null,
   isLoading: true,
 };
 
@@ -17,15 +23,86 @@ function generateCartItemId(productId, variantId) {
   return variantId ? `${productId}-${variantId}` : productId;
 }
 
+// Transform backend cart items to frontend format
+// IMPORTANT: Use item._id (MongoDB subdocument ID) as the ID for removal
+function transformCartItems(items) {
+  return items.map((item) => ({
+    id: item._id?.toString() || item.id?.toString(),
+    product: item.product || item,
+    quantity: item.quantity || 1,
+    variant: item.variant,
+  }));
+}
+
+// Extract the server-side price quote from a backend cart response
+function extractQuote(cartData) {
+  const { items, savedItems, ...quote } = cartData;
+  return quote;
+}
+
+// The cart state held for a backend cart response
+function toCartState(cartData) {
+  return {
+    items: Array.isArray(cartData.items) ? transformCartItems(cartData.items) : [],
+    savedItems: cartData.savedItems || [],
+    quote: extractQuote(cartData),
+  };
+}
+
+// Cart lines in the format the quote endpoint expects from guests
+function toQuoteItems(items) {
+  return items.map((item) => ({
+    productId: item.product.id || item.product._id,
+    variant: item.variant?.id || item.variant?._id,
+    quantity: item.quantity,
+  }));
+}
+
+// Cart lines for the validate endpoint, with the unit price the cart is showing
+function toValidationItems(items) {
+  return toQuoteItems(items).map((line, index) => ({
+    ...line,
+    itemId: items[index].id,
+    price: items[index].product.price + (items[index].variant?.priceModifier || 0),
+  }));
+}
+
 // Reducer
 function cartReducer(state, action) {
   switch (action.type) {
     case 'SET_ITEMS':
       return { ...state, items: action.payload, isLoading: false };
     
+    case 'SET_CART':
+      return {
+        ...state,
+        items: action.payload.items,
+        savedItems: action.payload.savedItems || [],
+        quote: action.payload.quote,
+        isLoading: false,
+      };
+    
+    case 'SET_QUOTE':
+      return { ...state, quote: action.payload };
+    
+    case 'SET_VALIDATION':
+      return { ...state, validation: action.payload };
+    
+    // Swap in the products as they are now, e.g. once the shopper accepts new prices
+    case 'REFRESH_PRODUCTS': {
+      const current = new Map(action.payload.map((line) => [line.itemId, line]));
+      return {
+        ...state,
+        items: state.items.map((item) => {
+          const line = current.get(item.id);
+          return line ? { ...item, product: line.product, variant: line.variant } : item;
+        }),
+      };
+    }
+    
     case 'ADD_ITEM': {
       const { product, quantity, variant } = action.payload;
-      const itemId = generateCartItemId(product.id, variant?.id);
+      const itemId = generateCartItemId(product.id || product._id, variant?.id || variant?._id);
       const existingIndex = state.items.findIndex((item) => item.id === itemId);
       
       if (existingIndex >= 0) {
@@ -65,7 +142,7 @@ function cartReducer(state, action) {
       return { ...state, items: state.items.filter((item) => item.id !== action.payload) };
     
     case 'CLEAR_CART':
-      return { ...state, items: [] };
+      return { ...state, items: [], quote: null, validation: null };
     
     case 'SET_LOADING':
       return { ...state, isLoading: action.payload };
@@ -78,41 +155,24 @@ function cartReducer(state, action) {
 // Create context
 const CartContext = createContext(undefined);
 
-// Constants
-const SHIPPING_THRESHOLD = 100; // Free shipping over $100
-const SHIPPING_COST = 9.99;
-const TAX_RATE = 0.08; // 8% tax
-
 // Provider component
 export function CartProvider({ children }) {
   const [state, dispatch] = useReducer(cartReducer, initialState);
   const { isAuthenticated } = useAuth();
 
+  // Reload the cart from the backend
+  const refreshCart = async () => {
+    const response = await cartAPI.get();
+    const cartData = response.data.data || response.data;
+    dispatch({ type: 'SET_CART', payload: toCartState(cartData) });
+  };
+
   // Load cart from backend or localStorage on mount
   useEffect(() => {
     const loadCart = async () => {
       if (isAuthenticated) {
         try {
-          const response = await cartAPI.get();
-          const cartData = response.data.data || response.data;
-          // Backend returns items as array of cart items with populated products
-          if (cartData.items && Array.isArray(cartData.items)) {
-            // Transform backend format to frontend format
-            // IMPORTANT: Use item._id (MongoDB subdocument ID) as the ID for removal
-            const transformedItems = cartData.items.map((item) => {
-              // item._id is the MongoDB _id of the cart item subdocument
-              const cartItemId = item._id?.toString() || item.id?.toString();
-              return {
-                id: cartItemId, // This is the ID we'll use for removal
-                product: item.product || item,
-                quantity: item.quantity || 1,
-                variant: item.variant,
-              };
-            });
-            dispatch({ type: 'SET_ITEMS', payload: transformedItems });
-          } else {
-            dispatch({ type: 'SET_ITEMS', payload: [] });
-          }
+          await refreshCart();
         } catch (error) {
           console.error('Failed to load cart from backend:', error);
           // Fallback to localStorage
@@ -122,7 +182,7 @@ export function CartProvider({ children }) {
       } else {
         // Load from localStorage for guest users
         const savedCart = storage.get('cart', []);
-        dispatch({ type: 'SET_ITEMS', payload: savedCart });
+        dispatch({ type: 'SET_CART', payload: { items: savedCart, quote: null } });
       }
     };
 
@@ -149,26 +209,36 @@ export function CartProvider({ children }) {
     }
   }, [state.items, state.isLoading, isAuthenticated]);
 
+  // Guests have no server cart, so price their local items with the quote endpoint
+  useEffect(() => {
+    if (state.isLoading || isAuthenticated) return;
+
+    if (state.items.length === 0) {
+      dispatch({ type: 'SET_QUOTE', payload: null });
+      return;
+    }
+
+    let cancelled = false;
+    cartAPI.quote({ items: toQuoteItems(state.items) })
+      .then((response) => {
+        if (!cancelled) {
+          dispatch({ type: 'SET_QUOTE', payload: response.data.data || response.data });
+        }
+      })
+      .catch((error) => console.error('Failed to price cart:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [state.items, state.isLoading, isAuthenticated]);
+
   // Item actions
   const addItem = async (product, quantity = 1, variant) => {
     if (isAuthenticated) {
       try {
         await cartAPI.addItem(product.id || product._id, quantity, variant?.id || variant?._id);
         // Reload cart from backend
-        const response = await cartAPI.get();
-        const cartData = response.data.data || response.data;
-        if (cartData.items && Array.isArray(cartData.items)) {
-          const transformedItems = cartData.items.map((item) => {
-            const cartItemId = item._id?.toString() || item.id?.toString();
-            return {
-              id: cartItemId,
-              product: item.product || item,
-              quantity: item.quantity || 1,
-              variant: item.variant,
-            };
-          });
-          dispatch({ type: 'SET_ITEMS', payload: transformedItems });
-        }
+        await refreshCart();
       } catch (error) {
         console.error('Failed to add item to cart:', error);
         // Fallback to local state
@@ -185,20 +255,7 @@ export function CartProvider({ children }) {
       try {
         await cartAPI.updateItem(itemId, quantity);
         // Reload cart from backend
-        const response = await cartAPI.get();
-        const cartData = response.data.data || response.data;
-        if (cartData.items && Array.isArray(cartData.items)) {
-          const transformedItems = cartData.items.map((item) => {
-            const cartItemId = item._id?.toString() || item.id?.toString();
-            return {
-              id: cartItemId,
-              product: item.product || item,
-              quantity: item.quantity || 1,
-              variant: item.variant,
-            };
-          });
-          dispatch({ type: 'SET_ITEMS', payload: transformedItems });
-        }
+        await refreshCart();
       } catch (error) {
         console.error('Failed to update cart item:', error);
         dispatch({ type: 'UPDATE_QUANTITY', payload: { itemId, quantity } });
@@ -212,38 +269,12 @@ export function CartProvider({ children }) {
     if (isAuthenticated) {
       try {
         // Ensure we're using the MongoDB _id, not a generated ID
-        const cartItemId = String(itemId);
-        console.log('Removing cart item with ID:', cartItemId);
-        console.log('Current cart items:', state.items.map(i => ({ id: i.id, productName: i.product?.name })));
-        
-        const removeResponse = await cartAPI.removeItem(cartItemId);
-        console.log('Remove response:', removeResponse.data);
-        
+        await cartAPI.removeItem(String(itemId));
         // Reload cart from backend
-        const response = await cartAPI.get();
-        const cartData = response.data.data || response.data;
-        console.log('Cart data after removal:', cartData);
-        
-        if (cartData.items && Array.isArray(cartData.items)) {
-          const transformedItems = cartData.items.map((item) => {
-            const cartItemId = item._id?.toString() || item.id?.toString();
-            return {
-              id: cartItemId,
-              product: item.product || item,
-              quantity: item.quantity || 1,
-              variant: item.variant,
-            };
-          });
-          console.log('Transformed items after removal:', transformedItems);
-          dispatch({ type: 'SET_ITEMS', payload: transformedItems });
-          toast.success('Item removed from cart');
-        } else {
-          dispatch({ type: 'SET_ITEMS', payload: [] });
-          toast.success('Item removed from cart');
-        }
+        await refreshCart();
+        toast.success('Item removed from cart');
       } catch (error) {
         console.error('Failed to remove cart item:', error);
-        console.error('Error response:', error.response?.data);
         const errorMessage = error.response?.data?.message || 'Failed to remove item from cart';
         toast.error(errorMessage);
         // Fallback to local state update
@@ -255,6 +286,90 @@ export function CartProvider({ children }) {
     }
   };
 
+  // Saved for later - kept in the server cart, so it needs an account
+  const saveForLater = async (itemId) => {
+    const response = await cartAPI.saveForLater(String(itemId));
+    dispatch({ type: 'SET_CART', payload: toCartState(response.data.data) });
+    toast.success('Item saved for later');
+  };
+
+  const moveToCart = async (savedItemId) => {
+    const response = await cartAPI.moveToCart(savedItemId);
+    dispatch({ type: 'SET_CART', payload: toCartState(response.data.data) });
+    toast.success('Item moved to cart');
+  };
+
+  const removeSavedItem = async (savedItemId) => {
+    const response = await cartAPI.removeSavedItem(savedItemId);
+    dispatch({ type: 'SET_CART', payload: toCartState(response.data.data) });
+    toast.success('Saved item removed');
+  };
+
+  // Buy again: add a past order's lines to the cart. Resolves to the report of what
+  // happened to each line ({ data: { changes }, message }).
+  const reorder = async (orderId) => {
+    const response = await ordersAPI.reorder(orderId);
+    await refreshCart();
+    return response.data;
+  };
+
+  // Coupon actions - coupons are validated by the backend, so they need an account
+  const applyCoupon = async (code) => {
+    if (!isAuthenticated) {
+      throw new Error('Please sign in to use a promo code');
+    }
+    const response = await cartAPI.applyCoupon(code);
+    const cartData = response.data.data || response.data;
+    dispatch({ type: 'SET_CART', payload: toCartState(cartData) });
+  };
+
+  const removeCoupon = async () => {
+    if (!isAuthenticated) return;
+    const response = await cartAPI.removeCoupon();
+    const cartData = response.data.data || response.data;
+    dispatch({ type: 'SET_CART', payload: toCartState(cartData) });
+  };
+
+  // Price the cart for checkout with the given options (e.g. shipping method)
+  const fetchQuote = async (options = {}) => {
+    const response = await cartAPI.quote({
+      ...options,
+      items: isAuthenticated ? undefined : toQuoteItems(state.items),
+    });
+    return response.data.data || response.data;
+  };
+
+  // Check the cart against current products, stock and prices before checkout. The
+  // result is kept in validation; acceptPrices takes the current prices as seen.
+  const validateCart = async ({ acceptPrices = false } = {}) => {
+    if (state.items.length === 0) {
+      dispatch({ type: 'SET_VALIDATION', payload: null });
+      return { valid: true, issues: [] };
+    }
+
+    let result;
+    if (isAuthenticated) {
+      const response = await cartAPI.validate({ acceptPrices });
+      const { valid, issues, ...cartData } = response.data.data;
+      dispatch({ type: 'SET_CART', payload: toCartState(cartData) });
+      result = { valid, issues };
+    } else {
+      // Guests keep prices in their copy of each product, so accepting swaps in the new ones
+      const response = await cartAPI.validate({ items: toValidationItems(state.items) });
+      const { valid, issues, items: current } = response.data.data;
+      if (acceptPrices) {
+        dispatch({ type: 'REFRESH_PRODUCTS', payload: current });
+        const remaining = issues.filter((issue) => issue.type !== 'price_changed');
+        result = { valid: remaining.length === 0, issues: remaining };
+      } else {
+        result = { valid, issues };
+      }
+    }
+
+    dispatch({ type: 'SET_VALIDATION', payload: result });
+    return result;
+  };
+
   const clearCart = async () => {
     if (isAuthenticated) {
       try {
@@ -269,18 +384,13 @@ export function CartProvider({ children }) {
   // Computed values
   const itemCount = state.items.reduce((sum, item) => sum + item.quantity, 0);
 
-  const subtotal = state.items.reduce((sum, item) => {
-    const price = item.product.price + (item.variant?.priceModifier || 0);
-    return sum + price * item.quantity;
-  }, 0);
-
-  const discount = 0;
-
-  const shipping = subtotal >= SHIPPING_THRESHOLD ? 0 : SHIPPING_COST;
-
-  const tax = (subtotal - discount) * TAX_RATE;
-
-  const total = subtotal - discount + shipping + tax;
+  // Totals always come from the server quote so the UI matches the stored order
+  const subtotal = state.quote?.subtotal || 0;
+  const discount = state.quote?.discount || 0;
+  const shipping = state.quote?.shipping || 0;
+  const tax = state.quote?.tax || 0;
+  const total = state.quote?.total || 0;
+  const coupon = state.quote?.coupon || null;
 
   // Helper functions
   const getItemQuantity = (productId, variantId) => {
@@ -301,13 +411,22 @@ export function CartProvider({ children }) {
         addItem,
         updateQuantity,
         removeItem,
+        saveForLater,
+        moveToCart,
+        removeSavedItem,
+        reorder,
         clearCart,
+        applyCoupon,
+        removeCoupon,
+        fetchQuote,
+        validateCart,
         itemCount,
         subtotal,
         discount,
         shipping,
         tax,
         total,
+        coupon,
         getItemQuantity,
         isInCart,
       }}
@@ -91,6 +91,13 @@ export function generateId(length = 8) {
     .substring(2, 2 + length);
 }
 
+// A random key for the Idempotency-Key header, from the browser's secure random source
+export function createIdempotencyKey() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+}
+
 // Debounce function
 export function debounce(func, wait) {
   let timeout = null;
@@ -130,6 +137,25 @@ export function getInitials(name) {
     .slice(0, 2);
 }
 
+// An address on one line, e.g. for a saved address in a list
+export function formatAddress(address) {
+  if (!address) return '';
+  return [
+    [address.street, address.apartment].filter(Boolean).join(', '),
+    address.city,
+    [address.state, address.zipCode].filter(Boolean).join(' '),
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+// Just the fields of a saved address that make up an order's address
+export function toOrderAddress(address) {
+  const { firstName, lastName, street, apartment, city, state, zipCode, country, phone } = address;
+  return { firstName, lastName, street, apartment, city, state, zipCode, country, phone };
+}
+
 // Parse query string
 export function parseQueryString(queryString) {
   const params = new URLSearchParams(queryString);
@@ -206,6 +232,154 @@ export function getOrderStatusLabel(status) {
   return labels[status] || status;
 }
 
+// Statuses an order (or sub-order) can move on to from each status, and the roles that
+// may move it there. Mirrors ORDER_TRANSITIONS in the backend's utils/orderStatus.js.
+const ORDER_TRANSITIONS = {
+  pending: { confirmed: ['admin', 'merchant'], cancelled: ['admin', 'merchant', 'user'] },
+  confirmed: { processing: ['admin', 'merchant'], shipped: ['admin', 'merchant'], cancelled: ['admin', 'merchant', 'user'] },
+  processing: { shipped: ['admin', 'merchant'], cancelled: ['admin', 'merchant', 'user'] },
+  shipped: { delivered: ['admin', 'merchant'] },
+  delivered: { returned: ['system'] },
+};
+
+export function getNextOrderStatuses(status, role) {
+  return Object.entries(ORDER_TRANSITIONS[status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([next]) => next);
+}
+
+export function getPaymentStatusLabel(status) {
+  const labels = {
+    pending: 'Pending',
+    authorized: 'Authorized',
+    paid: 'Paid',
+    failed: 'Failed',
+    refunded: 'Refunded',
+    partially_refunded: 'Partially Refunded',
+    voided: 'Voided',
+  };
+  return labels[status] || status;
+}
+
+// Orders get an invoice once they have been paid for
+export function canInvoiceOrder(order) {
+  return ['paid', 'partially_refunded', 'refunded'].includes(order?.paymentStatus);
+}
+
+// Save a file fetched as a blob (e.g. a PDF) under the given name
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function getFulfillmentStatusLabel(status) {
+  const labels = {
+    pending: 'Not yet shipped',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+  };
+  return labels[status] || status;
+}
+
+export function getFulfillmentStatusColor(status) {
+  const colors = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    shipped: 'bg-purple-100 text-purple-800',
+    delivered: 'bg-green-100 text-green-800',
+    cancelled: 'bg-red-100 text-red-800',
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+}
+
+export const RETURN_REASONS = {
+  damaged: 'Arrived damaged',
+  defective: 'Defective or not working',
+  wrong_item: 'Wrong item sent',
+  not_as_described: 'Not as described',
+  no_longer_needed: 'No longer needed',
+  other: 'Other',
+};
+
+export function getReturnStatusLabel(status) {
+  const labels = {
+    requested: 'Requested',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    received: 'Received',
+    refunded: 'Refunded',
+    cancelled: 'Cancelled',
+  };
+  return labels[status] || status;
+}
+
+export function getReturnStatusColor(status) {
+  const colors = {
+    requested: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-blue-100 text-blue-800',
+    rejected: 'bg-red-100 text-red-800',
+    received: 'bg-purple-100 text-purple-800',
+    refunded: 'bg-green-100 text-green-800',
+    cancelled: 'bg-gray-100 text-gray-800',
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+}
+
+// Merchant ledger helpers
+export function getLedgerEntryTypeLabel(type) {
+  const labels = {
+    sale: 'Sale',
+    refund: 'Cancellation',
+    return: 'Return',
+  };
+  return labels[type] || type;
+}
+
+export function getPayoutStatusColor(status) {
+  const colors = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    paid: 'bg-green-100 text-green-800',
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+}
+
+// Details of an order line, taken from the snapshot stored on the order.
+// Falls back to the live product for orders placed before lines were snapshotted.
+export function getOrderItemDetails(item) {
+  const product = item.product && typeof item.product === 'object' ? item.product : null;
+  const merchant = item.merchant || product?.merchant;
+  return {
+    name: item.name || product?.name || 'Product',
+    slug: item.slug || product?.slug,
+    image: item.image || product?.images?.[0],
+    brand: item.brand || product?.brand,
+    merchantId: merchant ? String(merchant._id || merchant) : null,
+    variantName: item.variantName ||
+      (item.variantDetails?.value ? `${item.variantDetails.name}: ${item.variantDetails.value}` : ''),
+    price: item.price ?? product?.price ?? 0,
+    // Units still on the order, after any that were cancelled
+    quantity: item.quantity - (item.cancelledQuantity || 0),
+    cancelledQuantity: item.cancelledQuantity || 0,
+    fulfillmentStatus: item.fulfillmentStatus || 'pending',
+  };
+}
+
+// A sub-order's reference (the merchant's own number, or the order number and its
+// position) and its lines
+export function getSubOrderDetails(order, subOrder) {
+  const itemIds = (subOrder.items || []).map(String);
+  return {
+    reference: subOrder.merchantOrderNumber || `${order.orderNumber || order._id}-${subOrder.number}`,
+    items: (order.items || []).filter((item) => itemIds.includes(String(item._id))),
+  };
+}
+
 // Rating display helper
 export function getRatingStars(rating) {
   const full = Math.floor(rating);
@@ -2,11 +2,14 @@
 // Displays cart items with quantity controls and order summary
 
 import { Link } from 'react-router-dom';
-import { Trash2, Minus, Plus, ShoppingBag, ArrowRight } from 'lucide-react';
+import { Trash2, Minus, Plus, ShoppingBag, ArrowRight, Bookmark } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Separator } from '@/components/ui/separator';
 import { Layout } from '@/components/layout/Layout';
+import { CartWarnings } from '@/components/cart/CartWarnings';
+import { SavedForLater } from '@/components/cart/SavedForLater';
 import { useCart } from '@/context/CartContext';
+import { useAuth } from '@/context/AuthContext';
 import { formatCurrency, getImageUrl } from '@/lib/utils';
 import { toast } from 'sonner';
 
@@ -15,6 +18,7 @@ export default function Cart() {
     items,
     updateQuantity,
     removeItem,
+    saveForLater,
     clearCart,
     subtotal,
     discount,
@@ -22,6 +26,17 @@ export default function Cart() {
     tax,
     total,
   } = useCart();
+  // Saved for later lives in the server cart
+  const { isAuthenticated } = useAuth();
+
+  const handleSaveForLater = async (itemId: string) => {
+    try {
+      await saveForLater(itemId);
+    } catch (error) {
+      console.error('Error saving item for later:', error);
+      toast.error(error.response?.data?.message || 'Failed to save item for later');
+    }
+  };
 
   if (items.length === 0) {
     return (
@@ -39,6 +54,9 @@ export default function Cart() {
             </Link>
           </Button>
         </div>
+        <div className="container-luxe pb-12">
+          <SavedForLater />
+        </div>
       </Layout>
     );
   }
@@ -58,6 +76,8 @@ export default function Cart() {
         <div className="grid lg:grid-cols-3 gap-8">
           {/* Cart Items */}
           <div className="lg:col-span-2 space-y-4">
+            <CartWarnings />
+
             {items.map((item) => (
               <div
                 key={item.id}
@@ -139,14 +159,26 @@ export default function Cart() {
                       </Button>
                     </div>
 
+                    {isAuthenticated && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="text-muted-foreground"
+                        onClick={() => handleSaveForLater(item.id)}
+                      >
+                        <Bookmark className="mr-1 h-3 w-3" />
+                        Save for later
+                      </Button>
+                    )}
+
                     {/* Price */}
                     <div className="text-right">
                       <p className="font-semibold">
-                        {formatCurrency(item.product.price * item.quantity)}
+                        {formatCurrency((item.product.price + (item.variant?.priceModifier || 0)) * item.quantity)}
                       </p>
                       {item.quantity > 1 && (
                         <p className="text-sm text-muted-foreground">
-                          {formatCurrency(item.product.price)} each
+                          {formatCurrency(item.product.price + (item.variant?.priceModifier || 0))} each
                         </p>
                       )}
                     </div>
@@ -154,6 +186,8 @@ export default function Cart() {
                 </div>
               </div>
             ))}
+
+            <SavedForLater />
           </div>
 
           {/* Order Summary */}
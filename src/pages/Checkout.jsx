@@ -1,19 +1,29 @@
 // Checkout Page
 // Multi-step checkout with shipping, payment, and order review
 
-import { useState } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { ChevronRight, CreditCard, Truck, Check, Lock } from 'lucide-react';
+import { ChevronRight, CreditCard, Truck, Check, Lock, Clock } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Checkbox } from '@/components/ui/checkbox';
 import { Separator } from '@/components/ui/separator';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
 import { Layout } from '@/components/layout/Layout';
+import { CartWarnings } from '@/components/cart/CartWarnings';
 import { useCart } from '@/context/CartContext';
 import { useAuth } from '@/context/AuthContext';
-import { ordersAPI } from '@/services/api';
-import { formatCurrency, cn, getImageUrl } from '@/lib/utils';
+import { ordersAPI, reservationsAPI, paymentsAPI, authAPI } from '@/services/api';
+import { formatCurrency, cn, getImageUrl, formatAddress, toOrderAddress, createIdempotencyKey } from '@/lib/utils';
 import { toast } from 'sonner';
 
 const steps = [
@@ -24,7 +34,21 @@ const steps = [
 
 export default function Checkout() {
   const navigate = useNavigate();
-  const { items, subtotal, discount, shipping, tax, total, clearCart } = useCart();
+  const {
+    items,
+    subtotal,
+    discount,
+    shipping,
+    tax,
+    total,
+    coupon,
+    applyCoupon,
+    removeCoupon,
+    fetchQuote,
+    validateCart,
+    clearCart,
+    isLoading: isCartLoading,
+  } = useCart();
   const { isAuthenticated } = useAuth();
 
   const [currentStep, setCurrentStep] = useState('shipping');
@@ -43,6 +67,38 @@ export default function Checkout() {
     country: 'United States',
   });
 
+  // The customer's address book. Picking a saved address fills in the shipping form; a new
+  // address can be saved to it when the shipping step is submitted.
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState('new');
+  const [saveAddress, setSaveAddress] = useState(false);
+  // 'same' bills the shipping address; otherwise the ID of a saved address
+  const [billingAddressId, setBillingAddressId] = useState('same');
+
+  const applySavedAddress = (address) => {
+    setSelectedAddressId(address._id);
+    setShippingInfo((info) => ({ ...info, ...toOrderAddress(address), apartment: address.apartment || '' }));
+  };
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    authAPI
+      .getAddresses()
+      .then((response) => {
+        const addresses = response.data.data || [];
+        setSavedAddresses(addresses);
+
+        const defaultShipping = addresses.find((address) => address.isDefaultShipping);
+        const defaultBilling = addresses.find((address) => address.isDefaultBilling);
+        if (defaultShipping) applySavedAddress(defaultShipping);
+        if (defaultBilling && defaultBilling._id !== defaultShipping?._id) {
+          setBillingAddressId(defaultBilling._id);
+        }
+      })
+      .catch((error) => console.error('Failed to load saved addresses:', error));
+  }, [isAuthenticated]);
+
   const [paymentInfo, setPaymentInfo] = useState({
     cardNumber: '',
     expiryDate: '',
@@ -50,8 +106,100 @@ export default function Checkout() {
     cardName: '',
   });
 
+  // Test cards are listed when the server runs the mock payment provider
+  const [testCards, setTestCards] = useState([]);
+  // Payment waiting on a 3-D Secure challenge before the order can be placed
+  const [challengePayment, setChallengePayment] = useState(null);
+
+  useEffect(() => {
+    paymentsAPI
+      .getConfig()
+      .then((response) => setTestCards(response.data.data?.testCards || []))
+      .catch((error) => console.error('Failed to load payment settings:', error));
+  }, []);
+
   const [shippingMethod, setShippingMethod] = useState('standard');
 
+  const [promoCode, setPromoCode] = useState('');
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
+
+  // Server-side quote for the selected shipping method. Tax and the methods offered
+  // depend on the destination; the full address is only sent once the shipping step
+  // is submitted so typing doesn't refetch on every keystroke.
+  const [quote, setQuote] = useState(null);
+  const [quoteAddress, setQuoteAddress] = useState(null);
+
+  useEffect(() => {
+    if (items.length === 0) return;
+
+    let cancelled = false;
+    fetchQuote({
+      shippingMethod,
+      shippingAddress: quoteAddress || { country: shippingInfo.country },
+    })
+      .then((data) => {
+        if (cancelled) return;
+        setQuote(data);
+        // The server falls back to another method when the chosen one isn't offered
+        if (data.shippingMethod && data.shippingMethod !== shippingMethod) {
+          setShippingMethod(data.shippingMethod);
+        }
+      })
+      .catch((error) => console.error('Failed to load checkout quote:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [items, shippingMethod, coupon?.code, quoteAddress, shippingInfo.country]);
+
+  // Stock is held for the customer while they check out, and let go if they leave
+  const [reservationExpiresAt, setReservationExpiresAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const orderPlacedRef = useRef(false);
+
+  // The order being placed with an authorized payment. It is kept when placing it may
+  // have gone through unseen (a timeout, say), and trying again sends the same payment and
+  // Idempotency-Key, so the server returns that order rather than placing a second one.
+  const orderAttemptRef = useRef(null);
+
+  const reserveItems = useCallback(async () => {
+    try {
+      const response = await reservationsAPI.create();
+      const { data, failedItems = [] } = response.data;
+      setReservationExpiresAt(data?.expiresAt ? new Date(data.expiresAt).getTime() : null);
+      if (failedItems.length > 0) {
+        toast.error('Some items could not be reserved', {
+          description: failedItems.map((item) => item.name).join(', '),
+        });
+      }
+    } catch (error) {
+      console.error('Failed to reserve items:', error);
+    }
+  }, []);
+
+  // Reserves once the signed-in customer's cart has loaded with items in it (it may still
+  // be loading when the page is opened directly), and releases when that stops being true
+  const canReserve = isAuthenticated && !isCartLoading && items.length > 0;
+
+  useEffect(() => {
+    if (!canReserve) return;
+
+    reserveItems();
+
+    return () => {
+      if (!orderPlacedRef.current) {
+        reservationsAPI.release().catch((error) => console.error('Failed to release reservation:', error));
+      }
+    };
+  }, [canReserve, reserveItems]);
+
+  useEffect(() => {
+    if (!reservationExpiresAt) return;
+
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [reservationExpiresAt]);
+
   // Redirect to cart if empty
   if (items.length === 0) {
     return (
@@ -67,8 +215,50 @@ export default function Checkout() {
     );
   }
 
-  const handleShippingSubmit = (e) => {
+  const handleSelectAddress = (addressId) => {
+    const address = savedAddresses.find((candidate) => candidate._id === addressId);
+    if (address) {
+      applySavedAddress(address);
+      return;
+    }
+
+    setSelectedAddressId('new');
+    setShippingInfo((info) => ({
+      ...info,
+      firstName: '',
+      lastName: '',
+      phone: '',
+      street: '',
+      apartment: '',
+      city: '',
+      state: '',
+      zipCode: '',
+      country: 'United States',
+    }));
+  };
+
+  const handleShippingSubmit = async (e) => {
     e.preventDefault();
+
+    if (selectedAddressId === 'new' && saveAddress) {
+      try {
+        const response = await authAPI.addAddress(getShippingAddress());
+        const addresses = response.data.data;
+        setSavedAddresses(addresses);
+        setSelectedAddressId(addresses[addresses.length - 1]._id);
+        setSaveAddress(false);
+        toast.success('Address saved to your address book');
+      } catch (error) {
+        // Not worth holding up the order for
+        toast.error(error.response?.data?.message || 'Failed to save address');
+      }
+    }
+
+    setQuoteAddress({
+      country: shippingInfo.country,
+      state: shippingInfo.state,
+      zipCode: shippingInfo.zipCode,
+    });
     setCurrentStep('payment');
   };
 
@@ -77,58 +267,188 @@ export default function Checkout() {
     setCurrentStep('review');
   };
 
+  const handleApplyCoupon = async (e) => {
+    e.preventDefault();
+    if (!promoCode.trim()) return;
+
+    setIsApplyingCoupon(true);
+    try {
+      await applyCoupon(promoCode.trim());
+      setPromoCode('');
+      toast.success('Promo code applied');
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message || 'Invalid promo code');
+    } finally {
+      setIsApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = async () => {
+    try {
+      await removeCoupon();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove promo code');
+    }
+  };
+
+  const getShippingAddress = () => ({
+    firstName: shippingInfo.firstName,
+    lastName: shippingInfo.lastName,
+    street: shippingInfo.street,
+    apartment: shippingInfo.apartment,
+    city: shippingInfo.city,
+    state: shippingInfo.state,
+    zipCode: shippingInfo.zipCode,
+    country: shippingInfo.country,
+    phone: shippingInfo.phone,
+  });
+
+  // Left out when billing the shipping address; the server uses that by default
+  const billingAddress = savedAddresses.find((address) => address._id === billingAddressId);
+
+  const getOrderLines = () => items.map(item => ({
+    productId: item.product.id || item.product._id,
+    quantity: item.quantity,
+    variant: item.variant?.id || item.variant?._id,
+  }));
+
+  // Place the order with a payment that has been authorized. Signed-in customers order
+  // their server cart; guests send their lines and email.
+  const submitOrder = async (paymentId) => {
+    if (orderAttemptRef.current?.paymentId !== paymentId) {
+      orderAttemptRef.current = { paymentId, idempotencyKey: createIdempotencyKey() };
+    }
+
+    const orderData = {
+      shippingAddress: getShippingAddress(),
+      billingAddress: billingAddress ? toOrderAddress(billingAddress) : undefined,
+      paymentMethod: 'Credit Card',
+      paymentId,
+      email: shippingInfo.email,
+      items: getOrderLines(),
+      shippingMethod,
+    };
+
+    let response;
+    try {
+      response = await ordersAPI.create(orderData, orderAttemptRef.current.idempotencyKey);
+    } catch (error) {
+      if (error.response && !error.response.data?.inProgress) {
+        orderAttemptRef.current = null;
+      }
+      throw error;
+    }
+    
+    orderAttemptRef.current = null;
+    orderPlacedRef.current = true;
+    clearCart();
+    toast.success('Order placed successfully!', {
+      description: 'You will receive a confirmation email shortly.',
+    });
+
+    // Guests look their order up with the token it comes back with. A retry of an order
+    // that was already placed doesn't get the token again, so they track it instead.
+    if (response.data.lookupToken) {
+      navigate(`/order-confirmation/${response.data.lookupToken}`);
+      return;
+    }
+    if (!isAuthenticated) {
+      toast.info(`Your order number is ${response.data.data?.orderNumber}`, {
+        description: 'Track it with this number and your email.',
+      });
+      navigate('/track');
+      return;
+    }
+    
+    // Navigate to order details or orders page
+    const orderId = response.data.data?._id || response.data.data?.id || response.data._id || response.data.id;
+    if (orderId) {
+      navigate(`/orders/${orderId}`);
+    } else {
+      navigate('/orders');
+    }
+  };
+
+  const showOrderError = (error) => {
+    console.error('Failed to place order:', error);
+    const errorMessage = error.response?.data?.message || (orderAttemptRef.current
+      ? "We couldn't confirm your order. Place it again to check; you won't be charged twice."
+      : 'Failed to place order. Please try again.');
+    const failedItems = error.response?.data?.failedItems || [];
+    toast.error(errorMessage, failedItems.length > 0 ? {
+      description: failedItems
+        .map((item) => `${item.name || 'Item'}${item.variantName ? ` (${item.variantName})` : ''}: ${item.available > 0 ? `${item.available} available` : item.message}`)
+        .join(', '),
+    } : undefined);
+  };
+
+  // Authorize the total on the card first; the order is only placed once that succeeds
   const handlePlaceOrder = async () => {
     setIsProcessing(true);
     
     try {
-      // Prepare order data
-      const orderData = {
-        shippingAddress: {
-          firstName: shippingInfo.firstName,
-          lastName: shippingInfo.lastName,
-          street: shippingInfo.street,
-          apartment: shippingInfo.apartment,
-          city: shippingInfo.city,
-          state: shippingInfo.state,
-          zipCode: shippingInfo.zipCode,
-          country: shippingInfo.country,
-          phone: shippingInfo.phone,
+      if (orderAttemptRef.current) {
+        await submitOrder(orderAttemptRef.current.paymentId);
+        return;
+      }
+
+      // Nothing is charged until the shopper has seen what changed in their cart
+      const validation = await validateCart();
+      if (!validation.valid) {
+        toast.error('Some items in your cart have changed', {
+          description: 'Review the changes at the top of the page before paying.',
+        });
+        return;
+      }
+
+      const response = await paymentsAPI.authorize({
+        paymentDetails: {
+          name: paymentInfo.cardName,
+          number: paymentInfo.cardNumber,
+          expiry: paymentInfo.expiryDate,
+          cvc: paymentInfo.cvv,
         },
-        paymentMethod: paymentInfo.cardName ? 'Credit Card' : 'Other',
-        items: items.map(item => ({
-          productId: item.product.id || item.product._id,
-          quantity: item.quantity,
-          variant: item.variant?.id || item.variant?._id,
-        })),
-        notes: `Shipping method: ${shippingMethod}`,
-      };
-
-      const response = await ordersAPI.create(orderData);
-      
-      clearCart();
-      toast.success('Order placed successfully!', {
-        description: 'You will receive a confirmation email shortly.',
+        shippingAddress: getShippingAddress(),
+        shippingMethod,
+        email: shippingInfo.email,
+        items: isAuthenticated ? undefined : getOrderLines(),
       });
-      
-      // Navigate to order details or orders page
-      const orderId = response.data.data?._id || response.data.data?.id || response.data._id || response.data.id;
-      if (orderId) {
-        navigate(`/orders/${orderId}`);
-      } else {
-        navigate('/orders');
+      const payment = response.data.data;
+
+      if (payment.status === 'requires_action') {
+        setChallengePayment(payment);
+        return;
       }
+
+      await submitOrder(payment._id);
+    } catch (error) {
+      showOrderError(error);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleChallengeResult = async (challengeResult) => {
+    const payment = challengePayment;
+    setChallengePayment(null);
+    setIsProcessing(true);
+
+    try {
+      await paymentsAPI.confirm(payment._id, { challengeResult, email: shippingInfo.email });
+      await submitOrder(payment._id);
     } catch (error) {
-      console.error('Failed to place order:', error);
-      const errorMessage = error.response?.data?.message || 'Failed to place order. Please try again.';
-      toast.error(errorMessage);
+      showOrderError(error);
     } finally {
       setIsProcessing(false);
     }
   };
 
   const currentStepIndex = steps.findIndex((s) => s.id === currentStep);
-  const finalShipping = shippingMethod === 'express' ? 14.99 : shipping;
-  const finalTotal = total + (shippingMethod === 'express' ? 14.99 - shipping : 0);
+  const reservationSecondsLeft = reservationExpiresAt
+    ? Math.max(0, Math.floor((reservationExpiresAt - now) / 1000))
+    : null;
+  const summary = quote || { subtotal, discount, shipping, tax, total };
+  const selectedShippingOption = quote?.shippingOptions?.find((o) => o.code === shippingMethod);
 
   return (
     <Layout hideFooter>
@@ -148,6 +468,31 @@ export default function Checkout() {
           </div>
         </div>
 
+        {/* Reservation countdown */}
+        {reservationSecondsLeft !== null && (
+          <div className="bg-accent-light border-b border-border">
+            <div className="container-luxe py-3 flex items-center justify-center gap-2 text-sm">
+              <Clock className="h-4 w-4" />
+              {reservationSecondsLeft > 0 ? (
+                <span>
+                  Your items are reserved for{' '}
+                  <span className="font-medium tabular-nums">
+                    {Math.floor(reservationSecondsLeft / 60)}:
+                    {String(reservationSecondsLeft % 60).padStart(2, '0')}
+                  </span>
+                </span>
+              ) : (
+                <>
+                  <span>Your reservation has expired and items are no longer held.</span>
+                  <Button variant="link" size="sm" className="h-auto p-0" onClick={reserveItems}>
+                    Reserve again
+                  </Button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Progress Steps */}
         <div className="bg-background border-b border-border">
           <div className="container-luxe py-4">
@@ -200,6 +545,8 @@ export default function Checkout() {
           <div className="grid lg:grid-cols-3 gap-8">
             {/* Main Content */}
             <div className="lg:col-span-2">
+              <CartWarnings className="mb-6" />
+
               <div className="bg-card rounded-lg border border-border p-6 md:p-8">
                 {/* Shipping Step */}
                 {currentStep === 'shipping' && (
@@ -208,6 +555,51 @@ export default function Checkout() {
                       Shipping Information
                     </h2>
 
+                    {!isAuthenticated && (
+                      <p className="text-sm text-muted-foreground p-4 bg-secondary rounded-lg">
+                        You're checking out as a guest. We'll send your order updates to the email below.{' '}
+                        <Link to="/login" className="text-accent hover:underline">
+                          Sign in
+                        </Link>{' '}
+                        to use your saved addresses and promo codes.
+                      </p>
+                    )}
+
+                    {savedAddresses.length > 0 && (
+                      <div className="space-y-3">
+                        <h3 className="font-medium">Saved Addresses</h3>
+                        <RadioGroup
+                          value={selectedAddressId}
+                          onValueChange={handleSelectAddress}
+                          className="space-y-2"
+                        >
+                          {[...savedAddresses, { _id: 'new' }].map((address) => (
+                            <label
+                              key={address._id}
+                              className={cn(
+                                'flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition-colors',
+                                selectedAddressId === address._id
+                                  ? 'border-accent bg-accent-light'
+                                  : 'border-border hover:border-muted-foreground'
+                              )}
+                            >
+                              <RadioGroupItem value={address._id} id={`ship-${address._id}`} className="mt-1" />
+                              {address._id === 'new' ? (
+                                <span className="font-medium">Use a new address</span>
+                              ) : (
+                                <div className="text-sm">
+                                  <p className="font-medium">
+                                    {address.label || `${address.firstName} ${address.lastName}`}
+                                  </p>
+                                  <p className="text-muted-foreground">{formatAddress(address)}</p>
+                                </div>
+                              )}
+                            </label>
+                          ))}
+                        </RadioGroup>
+                      </div>
+                    )}
+
                     <div className="grid grid-cols-2 gap-4">
                       <div className="space-y-2">
                         <Label htmlFor="firstName">First Name</Label>
@@ -319,49 +711,81 @@ export default function Checkout() {
                       </div>
                     </div>
 
+                    {isAuthenticated && selectedAddressId === 'new' && (
+                      <label className="flex items-center gap-2 text-sm">
+                        <Checkbox
+                          checked={saveAddress}
+                          onCheckedChange={(checked) => setSaveAddress(checked === true)}
+                        />
+                        Save this address to my address book
+                      </label>
+                    )}
+
+                    {savedAddresses.length > 0 && (
+                      <div className="space-y-3">
+                        <h3 className="font-medium">Billing Address</h3>
+                        <RadioGroup
+                          value={billingAddressId}
+                          onValueChange={setBillingAddressId}
+                          className="space-y-2"
+                        >
+                          {[{ _id: 'same' }, ...savedAddresses].map((address) => (
+                            <label key={address._id} className="flex items-start gap-3 text-sm cursor-pointer">
+                              <RadioGroupItem value={address._id} id={`bill-${address._id}`} className="mt-0.5" />
+                              {address._id === 'same' ? (
+                                <span>Same as shipping address</span>
+                              ) : (
+                                <span>
+                                  <span className="font-medium">
+                                    {address.label || `${address.firstName} ${address.lastName}`}
+                                  </span>
+                                  <span className="text-muted-foreground"> · {formatAddress(address)}</span>
+                                </span>
+                              )}
+                            </label>
+                          ))}
+                        </RadioGroup>
+                      </div>
+                    )}
+
                     <Separator />
 
                     <div className="space-y-4">
                       <h3 className="font-medium">Shipping Method</h3>
+                      {quote && quote.shippingOptions.length === 0 && (
+                        <p className="text-sm text-destructive">
+                          We don't ship to this address yet.
+                        </p>
+                      )}
                       <RadioGroup
                         value={shippingMethod}
                         onValueChange={setShippingMethod}
                         className="space-y-3"
                       >
-                        <label
-                          className={cn(
-                            'flex items-center justify-between p-4 rounded-lg border cursor-pointer transition-colors',
-                            shippingMethod === 'standard'
-                              ? 'border-accent bg-accent-light'
-                              : 'border-border hover:border-muted-foreground'
-                          )}
-                        >
-                          <div className="flex items-center gap-3">
-                            <RadioGroupItem value="standard" id="standard" />
-                            <div>
-                              <p className="font-medium">Standard Shipping</p>
-                              <p className="text-sm text-muted-foreground">5-7 business days</p>
+                        {(quote?.shippingOptions || []).map((option) => (
+                          <label
+                            key={option.code}
+                            className={cn(
+                              'flex items-center justify-between p-4 rounded-lg border cursor-pointer transition-colors',
+                              shippingMethod === option.code
+                                ? 'border-accent bg-accent-light'
+                                : 'border-border hover:border-muted-foreground'
+                            )}
+                          >
+                            <div className="flex items-center gap-3">
+                              <RadioGroupItem value={option.code} id={option.code} />
+                              <div>
+                                <p className="font-medium">{option.name}</p>
+                                {option.description && (
+                                  <p className="text-sm text-muted-foreground">{option.description}</p>
+                                )}
+                              </div>
                             </div>
-                          </div>
-                          <span className="font-medium">Free</span>
-                        </label>
-                        <label
-                          className={cn(
-                            'flex items-center justify-between p-4 rounded-lg border cursor-pointer transition-colors',
-                            shippingMethod === 'express'
-                              ? 'border-accent bg-accent-light'
-                              : 'border-border hover:border-muted-foreground'
-                          )}
-                        >
-                          <div className="flex items-center gap-3">
-                            <RadioGroupItem value="express" id="express" />
-                            <div>
-                              <p className="font-medium">Express Shipping</p>
-                              <p className="text-sm text-muted-foreground">2-3 business days</p>
-                            </div>
-                          </div>
-                          <span className="font-medium">$14.99</span>
-                        </label>
+                            <span className="font-medium">
+                              {option.price === 0 ? 'Free' : formatCurrency(option.price)}
+                            </span>
+                          </label>
+                        ))}
                       </RadioGroup>
                     </div>
 
@@ -430,6 +854,29 @@ export default function Checkout() {
                       </div>
                     </div>
 
+                    {testCards.length > 0 && (
+                      <div className="p-4 bg-secondary rounded-lg text-sm">
+                        <p className="font-medium mb-2">Test mode</p>
+                        <p className="text-muted-foreground mb-2">
+                          No real charges are made. Use any future expiry date and any 3-digit CVV.
+                        </p>
+                        <ul className="space-y-1">
+                          {testCards.map((card) => (
+                            <li key={card.number} className="flex justify-between gap-4">
+                              <button
+                                type="button"
+                                className="font-mono hover:underline"
+                                onClick={() => setPaymentInfo({ ...paymentInfo, cardNumber: card.number })}
+                              >
+                                {card.number.replace(/(\d{4})(?=\d)/g, '$1 ')}
+                              </button>
+                              <span className="text-muted-foreground">{card.description}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+
                     <div className="flex gap-4">
                       <Button
                         type="button"
@@ -476,8 +923,35 @@ export default function Checkout() {
                         <br />
                         {shippingInfo.country}
                       </p>
+                      {selectedShippingOption && (
+                        <p className="text-sm text-muted-foreground mt-2">
+                          {selectedShippingOption.name}
+                          {selectedShippingOption.description && ` · ${selectedShippingOption.description}`}
+                        </p>
+                      )}
                     </div>
 
+                    {/* Billing summary */}
+                    {billingAddress && (
+                      <div className="p-4 bg-secondary rounded-lg">
+                        <div className="flex items-center justify-between mb-2">
+                          <h3 className="font-medium">Billing Address</h3>
+                          <Button
+                            variant="link"
+                            size="sm"
+                            onClick={() => setCurrentStep('shipping')}
+                          >
+                            Edit
+                          </Button>
+                        </div>
+                        <p className="text-sm text-muted-foreground">
+                          {billingAddress.firstName} {billingAddress.lastName}
+                          <br />
+                          {formatAddress(billingAddress)}
+                        </p>
+                      </div>
+                    )}
+
                     {/* Payment summary */}
                     <div className="p-4 bg-secondary rounded-lg">
                       <div className="flex items-center justify-between mb-2">
@@ -491,7 +965,7 @@ export default function Checkout() {
                         </Button>
                       </div>
                       <p className="text-sm text-muted-foreground">
-                        Card ending in {paymentInfo.cardNumber.slice(-4) || '****'}
+                        Card ending in {paymentInfo.cardNumber.replace(/\D/g, '').slice(-4) || '****'}
                       </p>
                     </div>
 
@@ -510,7 +984,9 @@ export default function Checkout() {
                             </div>
                             <div className="flex-1 min-w-0">
                               <p className="font-medium line-clamp-1">{item.product.name}</p>
-                              <p className="text-sm text-muted-foreground">Qty: {item.quantity}</p>
+                              <p className="text-sm text-muted-foreground">
+                                {item.variant?.value && `${item.variant.value} · `}Qty: {item.quantity}
+                              </p>
                             </div>
                             <p className="font-medium">
                               {formatCurrency((item.product.price + (item.variant?.priceModifier || 0)) * item.quantity)}
@@ -535,9 +1011,9 @@ export default function Checkout() {
                         size="lg"
                         className="flex-1"
                         onClick={handlePlaceOrder}
-                        disabled={isProcessing}
+                        disabled={isProcessing || !selectedShippingOption}
                       >
-                        {isProcessing ? 'Processing...' : `Pay ${formatCurrency(finalTotal)}`}
+                        {isProcessing ? 'Processing...' : `Pay ${formatCurrency(summary.total)}`}
                       </Button>
                     </div>
                   </div>
@@ -576,41 +1052,111 @@ export default function Checkout() {
 
                 <Separator className="my-4" />
 
+                {/* Promo Code */}
+                <div className="space-y-2">
+                  {coupon?.valid ? (
+                    <div className="flex items-center justify-between text-sm">
+                      <span>
+                        Code <span className="font-medium">{coupon.code}</span> applied
+                      </span>
+                      <Button variant="link" size="sm" onClick={handleRemoveCoupon}>
+                        Remove
+                      </Button>
+                    </div>
+                  ) : (
+                    <form onSubmit={handleApplyCoupon} className="flex gap-2">
+                      <Input
+                        placeholder="Promo code"
+                        value={promoCode}
+                        onChange={(e) => setPromoCode(e.target.value)}
+                      />
+                      <Button
+                        type="submit"
+                        variant="outline"
+                        disabled={isApplyingCoupon || !promoCode.trim()}
+                      >
+                        {isApplyingCoupon ? 'Applying...' : 'Apply'}
+                      </Button>
+                    </form>
+                  )}
+                  {coupon && !coupon.valid && (
+                    <p className="text-xs text-destructive">
+                      {coupon.code}: {coupon.message}
+                    </p>
+                  )}
+                </div>
+
+                <Separator className="my-4" />
+
                 {/* Totals */}
                 <div className="space-y-3">
                   <div className="flex justify-between text-sm">
                     <span className="text-muted-foreground">Subtotal</span>
-                    <span>{formatCurrency(subtotal)}</span>
+                    <span>{formatCurrency(summary.subtotal)}</span>
                   </div>
-                  {discount > 0 && (
+                  {summary.discount > 0 && (
                     <div className="flex justify-between text-sm text-accent">
                       <span>Discount</span>
-                      <span>-{formatCurrency(discount)}</span>
+                      <span>-{formatCurrency(summary.discount)}</span>
                     </div>
                   )}
                   <div className="flex justify-between text-sm">
                     <span className="text-muted-foreground">Shipping</span>
                     <span>
-                      {shippingMethod === 'express' ? '$14.99' : shipping === 0 ? 'Free' : formatCurrency(shipping)}
+                      {summary.shipping === 0 ? 'Free' : formatCurrency(summary.shipping)}
                     </span>
                   </div>
                   <div className="flex justify-between text-sm">
-                    <span className="text-muted-foreground">Tax</span>
-                    <span>{formatCurrency(tax)}</span>
+                    <span className="text-muted-foreground">
+                      Tax{!quoteAddress && ' (estimated)'}
+                    </span>
+                    <span>{formatCurrency(summary.tax)}</span>
                   </div>
+                  {quoteAddress && summary.taxBreakdown?.length > 1 &&
+                    summary.taxBreakdown.map((entry) => (
+                      <div
+                        key={`${entry.ruleName}-${entry.taxClass}-${entry.rate}`}
+                        className="flex justify-between text-xs text-muted-foreground pl-3"
+                      >
+                        <span>{entry.ruleName} ({entry.rate}%)</span>
+                        <span>{formatCurrency(entry.amount)}</span>
+                      </div>
+                    ))}
                 </div>
 
                 <Separator className="my-4" />
 
                 <div className="flex justify-between text-lg font-semibold">
                   <span>Total</span>
-                  <span>{formatCurrency(finalTotal)}</span>
+                  <span>{formatCurrency(summary.total)}</span>
                 </div>
               </div>
             </div>
           </div>
         </div>
       </div>
+
+      {/* 3-D Secure challenge from the card issuer */}
+      <Dialog open={!!challengePayment} onOpenChange={(open) => !open && setChallengePayment(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Verify your payment</DialogTitle>
+            <DialogDescription>
+              Your bank needs to confirm the payment of{' '}
+              {formatCurrency(challengePayment?.amount || 0)} on your card ending in{' '}
+              {challengePayment?.card?.last4}. This is a simulated 3-D Secure check.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => handleChallengeResult('failure')}>
+              Fail Verification
+            </Button>
+            <Button variant="accent" onClick={() => handleChallengeResult('success')}>
+              Complete Verification
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </Layout>
   );
 }
@@ -0,0 +1,180 @@
+// Order Confirmation Page
+// Shows a guest their order, looked up by the token it was placed with
+
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { CheckCircle, MapPin, UserPlus } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Layout } from '@/components/layout/Layout';
+import { OrderShipments } from '@/components/orders/OrderShipments';
+import { OrderTimeline } from '@/components/orders/OrderTimeline';
+import { ordersAPI } from '@/services/api';
+import { formatCurrency, formatAddress, getImageUrl, getOrderStatusLabel, getOrderStatusColor, getOrderItemDetails, storage } from '@/lib/utils';
+import { useAuth } from '@/context/AuthContext';
+
+export default function OrderConfirmation() {
+  const { token } = useParams();
+  const { isAuthenticated } = useAuth();
+  const [order, setOrder] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    ordersAPI
+      .lookup(token)
+      .then((response) => {
+        const guestOrder = response.data.data;
+        setOrder(guestOrder);
+
+        // Kept so the order can be added to an account registered on this device
+        const tokens = storage.get('guestOrderTokens', []);
+        if (!guestOrder.user && !tokens.includes(token)) {
+          storage.set('guestOrderTokens', [...tokens, token]);
+        }
+      })
+      .catch((error) => console.error('Failed to load order:', error))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  if (isLoading) {
+    return (
+      <Layout>
+        <div className="container-luxe py-24 text-center">
+          <p className="text-muted-foreground">Loading your order...</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (!order) {
+    return (
+      <Layout>
+        <div className="container-luxe py-24 text-center">
+          <h1 className="font-display text-3xl font-semibold mb-4">Order Not Found</h1>
+          <p className="text-muted-foreground mb-8">
+            This link doesn't match an order. Check that you copied all of it.
+          </p>
+          <Button asChild variant="accent">
+            <Link to="/products">Continue Shopping</Link>
+          </Button>
+        </div>
+      </Layout>
+    );
+  }
+
+  return (
+    <Layout>
+      <div className="container-luxe py-8 md:py-12 max-w-4xl">
+        {/* Header */}
+        <div className="text-center mb-10">
+          <CheckCircle className="h-12 w-12 text-success mx-auto mb-4" />
+          <h1 className="font-display text-3xl md:text-4xl font-semibold mb-2">
+            Thank you for your order
+          </h1>
+          <p className="text-muted-foreground">
+            Order #{order.orderNumber}
+            {order.guestEmail && <> · Updates go to {order.guestEmail}</>}
+          </p>
+          <span className={`inline-block mt-4 px-3 py-1 rounded-full text-sm font-medium ${getOrderStatusColor(order.status)}`}>
+            {getOrderStatusLabel(order.status)}
+          </span>
+        </div>
+
+        {/* Account prompt */}
+        {!order.user && !isAuthenticated && (
+          <div className="bg-accent-light rounded-lg border border-border p-6 mb-6 flex flex-col sm:flex-row sm:items-center gap-4">
+            <UserPlus className="h-6 w-6 text-accent flex-shrink-0" />
+            <div className="flex-1">
+              <p className="font-medium">Keep track of this order</p>
+              <p className="text-sm text-muted-foreground">
+                Create an account with {order.guestEmail} on this device and this order will be added to it.
+                Until then, bookmark this page or use{' '}
+                <Link to="/track" className="text-accent hover:underline">Track Your Order</Link>{' '}
+                with your order number and email.
+              </p>
+            </div>
+            <Button asChild variant="accent">
+              <Link to="/register">Create Account</Link>
+            </Button>
+          </div>
+        )}
+
+        <div className="space-y-6">
+          {/* Items */}
+          <div className="bg-card rounded-lg border border-border p-6">
+            <h2 className="font-semibold text-lg mb-4">Order Items</h2>
+            <div className="space-y-4">
+              {order.items.map((item, index) => {
+                const details = getOrderItemDetails(item);
+                return (
+                  <div key={index} className="flex items-center gap-4">
+                    <div className="w-16 h-16 rounded-lg overflow-hidden bg-secondary flex-shrink-0">
+                      <img src={getImageUrl(details.image)} alt={details.name} className="w-full h-full object-cover" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium">{details.name}</p>
+                      <p className="text-sm text-muted-foreground">
+                        {details.variantName && `${details.variantName} · `}Qty: {details.quantity}
+                      </p>
+                    </div>
+                    <p className="font-medium">{formatCurrency(details.price * details.quantity)}</p>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="border-t border-border mt-6 pt-4 space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Subtotal</span>
+                <span>{formatCurrency(order.subtotal || 0)}</span>
+              </div>
+              {order.discount > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-muted-foreground">Discount</span>
+                  <span className="text-success">-{formatCurrency(order.discount)}</span>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">
+                  Shipping{order.shippingMethod?.name && ` (${order.shippingMethod.name})`}
+                </span>
+                <span>{order.shipping === 0 ? 'Free' : formatCurrency(order.shipping || 0)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-muted-foreground">Tax</span>
+                <span>{formatCurrency(order.tax || 0)}</span>
+              </div>
+              <div className="flex justify-between font-semibold text-base pt-2">
+                <span>Total</span>
+                <span>{formatCurrency(order.total || 0)}</span>
+              </div>
+            </div>
+          </div>
+
+          {/* Shipping Address */}
+          <div className="bg-card rounded-lg border border-border p-6">
+            <div className="flex items-center gap-2 mb-4">
+              <MapPin className="h-5 w-5 text-muted-foreground" />
+              <h2 className="font-semibold text-lg">Shipping Address</h2>
+            </div>
+            <p className="font-medium">
+              {order.shippingAddress.firstName} {order.shippingAddress.lastName}
+            </p>
+            <p className="text-muted-foreground">{formatAddress(order.shippingAddress)}</p>
+          </div>
+
+          {order.subOrders?.length > 0 && (
+            <div className="bg-card rounded-lg border border-border p-6">
+              <h2 className="font-semibold text-lg mb-4">Shipments</h2>
+              <OrderShipments order={order} />
+            </div>
+          )}
+
+          <div className="bg-card rounded-lg border border-border p-6">
+            <h2 className="font-semibold text-lg mb-4">Order Timeline</h2>
+            <OrderTimeline order={order} />
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -3,11 +3,17 @@
 
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { ChevronRight, Package, MapPin, CreditCard, X } from 'lucide-react';
+import { ChevronRight, Package, MapPin, CreditCard, X, FileText, Share2 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
 import { Layout } from '@/components/layout/Layout';
+import { OrderReturns } from '@/components/orders/OrderReturns';
+import { CancelItemsDialog } from '@/components/orders/CancelItemsDialog';
+import { OrderShipments } from '@/components/orders/OrderShipments';
+import { OrderTimeline } from '@/components/orders/OrderTimeline';
+import { BuyAgainButton } from '@/components/orders/BuyAgainButton';
 import { ordersAPI } from '@/services/api';
-import { formatCurrency, getImageUrl, getOrderStatusLabel, getOrderStatusColor } from '@/lib/utils';
+import { formatCurrency, getImageUrl, getOrderStatusLabel, getOrderStatusColor, getOrderItemDetails, getPaymentStatusLabel, getFulfillmentStatusLabel, getFulfillmentStatusColor, canInvoiceOrder, downloadBlob } from '@/lib/utils';
 import { toast } from 'sonner';
 import { useAuth } from '@/context/AuthContext';
 
@@ -17,6 +23,8 @@ export default function OrderDetail() {
   const { isAuthenticated } = useAuth();
   const [order, setOrder] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [isCancelItemsOpen, setIsCancelItemsOpen] = useState(false);
+  const [isDownloadingInvoice, setIsDownloadingInvoice] = useState(false);
 
   useEffect(() => {
     const loadOrder = async () => {
@@ -62,6 +70,34 @@ export default function OrderDetail() {
     }
   };
 
+  const handleDownloadInvoice = async () => {
+    setIsDownloadingInvoice(true);
+    try {
+      const response = await ordersAPI.getInvoice(id);
+      downloadBlob(response.data, `invoice-${order.orderNumber}.pdf`);
+    } catch (error) {
+      console.error('Failed to download invoice:', error);
+      toast.error('Failed to download invoice');
+    } finally {
+      setIsDownloadingInvoice(false);
+    }
+  };
+
+  // Copy a link anyone can track the order with, e.g. to send to a gift recipient
+  const handleShareTracking = async () => {
+    try {
+      const response = await ordersAPI.getTrackingLink(id);
+      const { token } = response.data.data;
+      await navigator.clipboard.writeText(`${window.location.origin}/track?token=${encodeURIComponent(token)}`);
+      toast.success('Tracking link copied', {
+        description: 'Anyone with the link can see where the order is, but not your details.',
+      });
+    } catch (error) {
+      console.error('Failed to copy tracking link:', error);
+      toast.error('Failed to copy tracking link');
+    }
+  };
+
   if (isLoading) {
     return (
       <Layout>
@@ -142,39 +178,63 @@ export default function OrderDetail() {
             <div className="bg-card rounded-lg border border-border p-6">
               <h2 className="font-semibold text-lg mb-4">Order Items</h2>
               <div className="space-y-4">
-                {order.items && order.items.map((item, index) => (
-                  <div key={index} className="flex items-center gap-4 pb-4 border-b border-border last:border-0">
-                    <div className="w-20 h-20 rounded-lg overflow-hidden bg-secondary flex-shrink-0">
-                      <img
-                        src={getImageUrl(item.product?.images?.[0])}
-                        alt={item.product?.name || 'Product'}
-                        className="w-full h-full object-cover"
-                      />
-                    </div>
-                    <div className="flex-1 min-w-0">
-                      <h3 className="font-medium">{item.product?.name || 'Product'}</h3>
-                      {item.product?.brand && (
-                        <p className="text-sm text-muted-foreground">{item.product.brand}</p>
-                      )}
-                      <p className="text-sm text-muted-foreground mt-1">
-                        Quantity: {item.quantity}
-                      </p>
-                    </div>
-                    <div className="text-right">
-                      <p className="font-semibold">
-                        {formatCurrency((item.price || item.product?.price || 0) * item.quantity)}
-                      </p>
-                      {item.quantity > 1 && (
-                        <p className="text-sm text-muted-foreground">
-                          {formatCurrency(item.price || item.product?.price || 0)} each
+                {order.items && order.items.map((item, index) => {
+                  const details = getOrderItemDetails(item);
+                  return (
+                    <div key={index} className="flex items-center gap-4 pb-4 border-b border-border last:border-0">
+                      <div className="w-20 h-20 rounded-lg overflow-hidden bg-secondary flex-shrink-0">
+                        <img
+                          src={getImageUrl(details.image)}
+                          alt={details.name}
+                          className="w-full h-full object-cover"
+                        />
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <h3 className="font-medium">{details.name}</h3>
+                        {details.brand && (
+                          <p className="text-sm text-muted-foreground">{details.brand}</p>
+                        )}
+                        {details.variantName && (
+                          <p className="text-sm text-muted-foreground">{details.variantName}</p>
+                        )}
+                        <p className="text-sm text-muted-foreground mt-1">
+                          Quantity: {details.quantity}
+                          {details.cancelledQuantity > 0 && ` (${details.cancelledQuantity} cancelled)`}
+                        </p>
+                        <Badge className={`mt-2 ${getFulfillmentStatusColor(details.fulfillmentStatus)}`}>
+                          {getFulfillmentStatusLabel(details.fulfillmentStatus)}
+                        </Badge>
+                      </div>
+                      <div className="text-right">
+                        <p className="font-semibold">
+                          {formatCurrency(details.price * details.quantity)}
                         </p>
-                      )}
+                        {details.quantity > 1 && (
+                          <p className="text-sm text-muted-foreground">
+                            {formatCurrency(details.price)} each
+                          </p>
+                        )}
+                      </div>
                     </div>
-                  </div>
-                ))}
+                  );
+                })}
               </div>
             </div>
 
+            {/* Shipments, one per merchant */}
+            {order.subOrders?.length > 0 && (
+              <div className="bg-card rounded-lg border border-border p-6">
+                <h2 className="font-semibold text-lg mb-4">Shipments</h2>
+                <OrderShipments order={order} />
+              </div>
+            )}
+
+            {/* Timeline */}
+            <div className="bg-card rounded-lg border border-border p-6">
+              <h2 className="font-semibold text-lg mb-4">Order Timeline</h2>
+              <OrderTimeline order={order} />
+            </div>
+
             {/* Shipping Address */}
             {order.shippingAddress && (
               <div className="bg-card rounded-lg border border-border p-6">
@@ -212,24 +272,56 @@ export default function OrderDetail() {
               </p>
               {order.paymentStatus && (
                 <p className="text-sm text-muted-foreground mt-2">
-                  Status: <span className="capitalize">{order.paymentStatus}</span>
+                  Status: {getPaymentStatusLabel(order.paymentStatus)}
                 </p>
               )}
+              {canInvoiceOrder(order) && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="mt-4"
+                  onClick={handleDownloadInvoice}
+                  disabled={isDownloadingInvoice}
+                >
+                  <FileText className="h-4 w-4 mr-2" />
+                  {isDownloadingInvoice ? 'Preparing...' : 'Download Invoice'}
+                </Button>
+              )}
             </div>
 
-            {/* Cancel Order Button */}
-            {order.status === 'pending' && (
-              <div className="bg-card rounded-lg border border-border p-6">
+            {/* Returns */}
+            {['delivered', 'returned'].includes(order.status) && (
+              <OrderReturns order={order} />
+            )}
+
+            {/* Cancel Order / Items Buttons */}
+            {['pending', 'confirmed', 'processing'].includes(order.status) && (
+              <div className="bg-card rounded-lg border border-border p-6 flex flex-col sm:flex-row gap-4">
                 <Button
                   variant="outline"
-                  onClick={handleCancelOrder}
-                  className="w-full"
+                  onClick={() => setIsCancelItemsOpen(true)}
+                  className="flex-1"
                 >
-                  <X className="h-4 w-4 mr-2" />
-                  Cancel Order
+                  Cancel Items
                 </Button>
+                {order.status === 'pending' && (
+                  <Button
+                    variant="outline"
+                    onClick={handleCancelOrder}
+                    className="flex-1"
+                  >
+                    <X className="h-4 w-4 mr-2" />
+                    Cancel Order
+                  </Button>
+                )}
               </div>
             )}
+            <CancelItemsDialog
+              order={order}
+              open={isCancelItemsOpen}
+              onOpenChange={setIsCancelItemsOpen}
+              onCancelled={setOrder}
+            />
           </div>
 
           {/* Order Summary */}
@@ -248,13 +340,27 @@ export default function OrderDetail() {
                   </div>
                 )}
                 <div className="flex justify-between text-sm">
-                  <span className="text-muted-foreground">Shipping</span>
+                  <span className="text-muted-foreground">
+                    Shipping{order.shippingMethod?.name && ` (${order.shippingMethod.name})`}
+                  </span>
                   <span>{order.shipping === 0 ? 'Free' : formatCurrency(order.shipping || 0)}</span>
                 </div>
                 <div className="flex justify-between text-sm">
                   <span className="text-muted-foreground">Tax</span>
                   <span>{formatCurrency(order.tax || 0)}</span>
                 </div>
+                {order.taxBreakdown?.map((entry) => (
+                  <div
+                    key={`${entry.ruleName}-${entry.taxClass}-${entry.rate}`}
+                    className="flex justify-between text-xs text-muted-foreground pl-3"
+                  >
+                    <span>
+                      {entry.ruleName} ({entry.rate}%)
+                      {entry.jurisdiction && ` · ${entry.jurisdiction}`}
+                    </span>
+                    <span>{formatCurrency(entry.amount)}</span>
+                  </div>
+                ))}
                 <div className="border-t border-border pt-3 mt-3">
                   <div className="flex justify-between font-semibold">
                     <span>Total</span>
@@ -284,6 +390,15 @@ export default function OrderDetail() {
                   </p>
                 </div>
               )}
+
+              {!['cancelled', 'returned'].includes(order.status) && (
+                <Button variant="outline" size="sm" className="w-full mt-6" onClick={handleShareTracking}>
+                  <Share2 className="h-4 w-4 mr-2" />
+                  Share Tracking Link
+                </Button>
+              )}
+
+              <BuyAgainButton order={order} className="w-full mt-3" />
             </div>
           </div>
         </div>
@@ -42,6 +42,7 @@ export default function ProductDetail() {
   const [reviewForm, setReviewForm] = useState({ rating: 5, comment: '' });
   const [isSubmittingReview, setIsSubmittingReview] = useState(false);
   const [userReview, setUserReview] = useState(null);
+  const [selectedVariantId, setSelectedVariantId] = useState(null);
 
   const { addItem, isInCart } = useCart();
   const { toggleItem, isInWishlist } = useWishlist();
@@ -51,6 +52,8 @@ export default function ProductDetail() {
   useEffect(() => {
     const loadProduct = async () => {
       setIsLoading(true);
+      setSelectedVariantId(null);
+      setQuantity(1);
       try {
         // Try to fetch product by slug or ID using the API
         const response = await productsAPI.getById(slug);
@@ -223,10 +226,27 @@ export default function ProductDetail() {
   const inWishlist = isInWishlist(productId);
   const productImages = getImageUrls(product.images || (product.image ? [product.image] : []));
 
+  // Variants are priced and stocked individually
+  const variants = product.variants || [];
+  const selectedVariant = variants.find((v) => (v._id || v.id) === selectedVariantId) || null;
+  const needsVariant = variants.length > 0 && !selectedVariant;
+  const unitPrice = product.price + (selectedVariant?.priceModifier || 0);
+  const availableStock = selectedVariant ? selectedVariant.stock || 0 : product.stock || 0;
+  const variantTypes = [...new Set(variants.map((v) => v.type))];
+
+  const handleSelectVariant = (variant) => {
+    setSelectedVariantId(variant._id || variant.id);
+    setQuantity((q) => Math.max(1, Math.min(q, variant.stock || 0)));
+  };
+
   const handleAddToCart = () => {
-    addItem(product, quantity);
+    if (needsVariant) {
+      toast.error('Please select an option');
+      return;
+    }
+    addItem(product, quantity, selectedVariant || undefined);
     toast.success('Added to cart', {
-      description: `${quantity}x ${product.name}`,
+      description: `${quantity}x ${product.name}${selectedVariant ? ` (${selectedVariant.value})` : ''}`,
     });
   };
 
@@ -242,7 +262,7 @@ export default function ProductDetail() {
   };
 
   const incrementQuantity = () => {
-    setQuantity((q) => Math.min(product.stock || 10, q + 1));
+    setQuantity((q) => Math.min(availableStock || 10, q + 1));
   };
 
   return (
@@ -358,7 +378,7 @@ export default function ProductDetail() {
             {/* Price */}
             <div className="flex items-baseline gap-3">
               <span className="text-3xl font-semibold">
-                {formatCurrency(product.price)}
+                {formatCurrency(unitPrice)}
               </span>
               {product.originalPrice && (
                 <>
@@ -379,22 +399,62 @@ export default function ProductDetail() {
               </p>
             )}
 
+            {/* Variant picker */}
+            {variantTypes.map((type) => (
+              <div key={type} className="space-y-3">
+                <span className="text-sm font-medium capitalize">{type}</span>
+                <div className="flex flex-wrap gap-2">
+                  {variants
+                    .filter((variant) => variant.type === type)
+                    .map((variant) => {
+                      const variantId = variant._id || variant.id;
+                      const isSoldOut = (variant.stock || 0) === 0;
+                      return (
+                        <button
+                          key={variantId}
+                          type="button"
+                          onClick={() => handleSelectVariant(variant)}
+                          disabled={isSoldOut}
+                          className={cn(
+                            'px-4 py-2 rounded-lg border text-sm transition-colors',
+                            selectedVariantId === variantId
+                              ? 'border-accent bg-accent-light'
+                              : 'border-border hover:border-muted-foreground',
+                            isSoldOut && 'opacity-50 line-through cursor-not-allowed'
+                          )}
+                        >
+                          {variant.value}
+                          {variant.priceModifier ? (
+                            <span className="ml-1 text-muted-foreground">
+                              ({variant.priceModifier > 0 ? '+' : '-'}
+                              {formatCurrency(Math.abs(variant.priceModifier))})
+                            </span>
+                          ) : null}
+                        </button>
+                      );
+                    })}
+                </div>
+              </div>
+            ))}
+
             {/* Stock status */}
-            <div className="flex items-center gap-2">
-              <span
-                className={cn(
-                  'w-2 h-2 rounded-full',
-                  (product.stock || 0) > 0 ? 'bg-success' : 'bg-destructive'
-                )}
-              />
-              <span className="text-sm">
-                {(product.stock || 0) > 0
-                  ? (product.stock || 0) > 10
-                    ? 'In Stock'
-                    : `Only ${product.stock} left`
-                  : 'Out of Stock'}
-              </span>
-            </div>
+            {!needsVariant && (
+              <div className="flex items-center gap-2">
+                <span
+                  className={cn(
+                    'w-2 h-2 rounded-full',
+                    availableStock > 0 ? 'bg-success' : 'bg-destructive'
+                  )}
+                />
+                <span className="text-sm">
+                  {availableStock > 0
+                    ? availableStock > 10
+                      ? 'In Stock'
+                      : `Only ${availableStock} left`
+                    : 'Out of Stock'}
+                </span>
+              </div>
+            )}
 
             {/* Quantity selector */}
             <div className="flex items-center gap-4">
@@ -413,7 +473,7 @@ export default function ProductDetail() {
                   variant="ghost"
                   size="icon"
                   onClick={incrementQuantity}
-                  disabled={quantity >= (product.stock || 0)}
+                  disabled={quantity >= availableStock}
                 >
                   <Plus className="h-4 w-4" />
                 </Button>
@@ -427,10 +487,10 @@ export default function ProductDetail() {
                 variant={inCart ? 'secondary' : 'accent'}
                 className="flex-1"
                 onClick={handleAddToCart}
-                disabled={(product.stock || 0) === 0}
+                disabled={!needsVariant && availableStock === 0}
               >
                 <ShoppingBag className="mr-2 h-5 w-5" />
-                {inCart ? 'Add More' : 'Add to Cart'}
+                {needsVariant ? 'Select an Option' : inCart ? 'Add More' : 'Add to Cart'}
               </Button>
               <Button
                 size="xl"
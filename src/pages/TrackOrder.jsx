@@ -0,0 +1,197 @@
+// Track Order Page
+// Anyone with an order number and its email, or a tracking link, can follow an order
+
+import { useState, useEffect } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { Package, Search } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Layout } from '@/components/layout/Layout';
+import { OrderShipments } from '@/components/orders/OrderShipments';
+import { OrderTimeline } from '@/components/orders/OrderTimeline';
+import { ordersAPI } from '@/services/api';
+import {
+  getImageUrl,
+  getOrderStatusLabel,
+  getOrderStatusColor,
+  getOrderItemDetails,
+  getFulfillmentStatusLabel,
+  getFulfillmentStatusColor,
+} from '@/lib/utils';
+
+const formatLongDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+export default function TrackOrder() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({ orderNumber: '', email: '' });
+  const [order, setOrder] = useState(null);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(Boolean(token));
+
+  useEffect(() => {
+    if (!token) return;
+
+    setIsLoading(true);
+    ordersAPI
+      .trackByToken(token)
+      .then((response) => setOrder(response.data.data))
+      .catch((error) => setError(error.response?.data?.message || 'Failed to load the order'))
+      .finally(() => setIsLoading(false));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await ordersAPI.track(formData.orderNumber.trim(), formData.email.trim());
+      setOrder(response.data.data);
+    } catch (error) {
+      setOrder(null);
+      setError(error.response?.data?.message || 'Failed to find the order');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="container-luxe py-8 md:py-12 max-w-4xl">
+        <div className="mb-8">
+          <h1 className="font-display text-3xl md:text-4xl font-semibold mb-2">Track Your Order</h1>
+          <p className="text-muted-foreground">
+            Enter your order number and the email you ordered with.
+          </p>
+        </div>
+
+        {!token && (
+          <form
+            onSubmit={handleSubmit}
+            className="bg-card rounded-lg border border-border p-6 mb-8 grid md:grid-cols-[1fr_1fr_auto] gap-4 items-end"
+          >
+            <div className="space-y-2">
+              <Label htmlFor="orderNumber">Order Number</Label>
+              <Input
+                id="orderNumber"
+                required
+                value={formData.orderNumber}
+                onChange={(e) => setFormData({ ...formData, orderNumber: e.target.value })}
+                placeholder="ORD-..."
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="email">Email</Label>
+              <Input
+                id="email"
+                type="email"
+                required
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+              />
+            </div>
+            <Button type="submit" variant="accent" disabled={isLoading}>
+              <Search className="mr-2 h-4 w-4" />
+              {isLoading ? 'Searching...' : 'Track'}
+            </Button>
+          </form>
+        )}
+
+        {isLoading && token && <p className="text-muted-foreground">Loading order...</p>}
+
+        {error && (
+          <div className="bg-card rounded-lg border border-border p-6 text-center">
+            <p className="text-muted-foreground">{error}</p>
+            {token && (
+              <Button asChild variant="link">
+                <Link to="/track">Look up an order by its number instead</Link>
+              </Button>
+            )}
+          </div>
+        )}
+
+        {order && (
+          <div className="space-y-6">
+            <div className="bg-card rounded-lg border border-border p-6">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <div>
+                  <h2 className="font-semibold text-lg">Order #{order.orderNumber}</h2>
+                  <p className="text-sm text-muted-foreground">Placed on {formatLongDate(order.createdAt)}</p>
+                </div>
+                <span className={`inline-block px-3 py-1 rounded-full text-sm font-medium ${getOrderStatusColor(order.status)}`}>
+                  {getOrderStatusLabel(order.status)}
+                </span>
+              </div>
+
+              {(order.trackingNumber || order.estimatedDelivery || order.deliveredAt) && (
+                <div className="grid sm:grid-cols-2 gap-4 mt-6 pt-6 border-t border-border text-sm">
+                  {order.trackingNumber && (
+                    <div>
+                      <p className="text-muted-foreground">Tracking Number</p>
+                      <p className="font-mono">{order.trackingNumber}</p>
+                    </div>
+                  )}
+                  {order.deliveredAt ? (
+                    <div>
+                      <p className="text-muted-foreground">Delivered</p>
+                      <p>{formatLongDate(order.deliveredAt)}</p>
+                    </div>
+                  ) : order.estimatedDelivery && (
+                    <div>
+                      <p className="text-muted-foreground">Estimated Delivery</p>
+                      <p>{formatLongDate(order.estimatedDelivery)}</p>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="bg-card rounded-lg border border-border p-6">
+              <h2 className="font-semibold text-lg mb-4">Items</h2>
+              <div className="space-y-4">
+                {order.items.map((item) => {
+                  const details = getOrderItemDetails(item);
+                  return (
+                    <div key={item._id} className="flex items-center gap-4">
+                      <div className="w-16 h-16 rounded-lg overflow-hidden bg-secondary flex-shrink-0">
+                        {details.image ? (
+                          <img src={getImageUrl(details.image)} alt={details.name} className="w-full h-full object-cover" />
+                        ) : (
+                          <Package className="h-6 w-6 m-5 text-muted-foreground" />
+                        )}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium">{details.name}</p>
+                        <p className="text-sm text-muted-foreground">
+                          {details.variantName && `${details.variantName} · `}Qty: {details.quantity}
+                        </p>
+                      </div>
+                      <Badge className={getFulfillmentStatusColor(details.fulfillmentStatus)}>
+                        {getFulfillmentStatusLabel(details.fulfillmentStatus)}
+                      </Badge>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {order.subOrders?.length > 0 && (
+              <div className="bg-card rounded-lg border border-border p-6">
+                <h2 className="font-semibold text-lg mb-4">Shipments</h2>
+                <OrderShipments order={order} />
+              </div>
+            )}
+
+            <div className="bg-card rounded-lg border border-border p-6">
+              <h2 className="font-semibold text-lg mb-4">Order Timeline</h2>
+              <OrderTimeline order={order} />
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -2,7 +2,7 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { Layout } from '@/components/layout/Layout';
-import { User, Package, LayoutDashboard, ShoppingBag, Users as UsersIcon, Store, ClipboardList, Save, Lock, Eye, EyeOff, Upload, X, Camera } from 'lucide-react';
+import { User, Package, LayoutDashboard, ShoppingBag, Users as UsersIcon, Store, ClipboardList, Save, Lock, Eye, EyeOff, Upload, X, Camera, RotateCcw, Wallet } from 'lucide-react';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -12,12 +12,17 @@ import { AdminStats } from '@/components/admin/AdminStats';
 import { ProductManagement } from '@/components/admin/ProductManagement';
 import { OrderManagement } from '@/components/admin/OrderManagement';
 import { UserManagement } from '@/components/admin/UserManagement';
+import { ReturnManagement } from '@/components/admin/ReturnManagement';
+import { PayoutManagement } from '@/components/admin/PayoutManagement';
 import { MerchantProductManagement } from '@/components/merchant/MerchantProductManagement';
 import { MerchantOrdersView } from '@/components/merchant/MerchantOrdersView';
+import { MerchantEarnings } from '@/components/merchant/MerchantEarnings';
+import { AddressBook } from '@/components/account/AddressBook';
+import { BuyAgainButton } from '@/components/orders/BuyAgainButton';
 import { useAuth } from '@/context/AuthContext';
 import { authAPI, ordersAPI } from '@/services/api';
 import { toast } from 'sonner';
-import { getInitials, formatCurrency, getImageUrl, getOrderStatusLabel, getOrderStatusColor } from '@/lib/utils';
+import { getInitials, formatCurrency, getImageUrl, getOrderStatusLabel, getOrderStatusColor, getOrderItemDetails } from '@/lib/utils';
 
 export function Profile() {
   const { user, isAuthenticated, updateUser } = useAuth();
@@ -288,6 +293,16 @@ export function Profile() {
                 >
                   Profile Information
                 </button>
+                <button
+                  onClick={() => setActiveTab('addresses')}
+                  className={`w-full text-left px-4 py-2 rounded-lg transition-colors ${
+                    activeTab === 'addresses'
+                      ? 'bg-accent text-accent-foreground'
+                      : 'hover:bg-secondary'
+                  }`}
+                >
+                  Addresses
+                </button>
                 <button
                   onClick={() => setActiveTab('password')}
                   className={`w-full text-left px-4 py-2 rounded-lg transition-colors ${
@@ -394,6 +409,9 @@ export function Profile() {
               </div>
             )}
 
+            {/* Address Book Tab */}
+            {activeTab === 'addresses' && <AddressBook />}
+
             {/* Change Password Tab */}
             {activeTab === 'password' && (
               <div className="bg-card rounded-lg border border-border p-6 md:p-8">
@@ -617,8 +635,8 @@ export function Orders() {
                     <div className="flex gap-2 flex-wrap">
                       {order.items.slice(0, 3).map((item, idx) => (
                         <div key={idx} className="flex items-center gap-2 text-sm text-muted-foreground">
-                          <span>{item.product?.name || 'Product'}</span>
-                          <span className="text-xs">x{item.quantity}</span>
+                          <span>{getOrderItemDetails(item).name}</span>
+                          <span className="text-xs">x{getOrderItemDetails(item).quantity}</span>
                         </div>
                       ))}
                       {order.items.length > 3 && (
@@ -633,6 +651,7 @@ export function Orders() {
                   <Button variant="outline" size="sm" asChild>
                     <Link to={`/orders/${order._id || order.id}`}>View Details</Link>
                   </Button>
+                  <BuyAgainButton order={order} />
                   {order.status === 'pending' && (
                     <Button 
                       variant="outline" 
@@ -700,6 +719,14 @@ export function AdminDashboard() {
                 <Package className="h-4 w-4" />
                 Orders
               </TabsTrigger>
+              <TabsTrigger value="returns" className="gap-2 data-[state=active]:bg-primary data-[state=active]:text-primary-foreground">
+                <RotateCcw className="h-4 w-4" />
+                Returns
+              </TabsTrigger>
+              <TabsTrigger value="payouts" className="gap-2 data-[state=active]:bg-primary data-[state=active]:text-primary-foreground">
+                <Wallet className="h-4 w-4" />
+                Payouts
+              </TabsTrigger>
               <TabsTrigger value="users" className="gap-2 data-[state=active]:bg-primary data-[state=active]:text-primary-foreground">
                 <UsersIcon className="h-4 w-4" />
                 Users
@@ -725,6 +752,20 @@ export function AdminDashboard() {
               </div>
             </TabsContent>
 
+            {/* Returns Tab */}
+            <TabsContent value="returns">
+              <div className="bg-card border rounded-lg p-6">
+                <ReturnManagement />
+              </div>
+            </TabsContent>
+
+            {/* Payouts Tab */}
+            <TabsContent value="payouts">
+              <div className="bg-card border rounded-lg p-6">
+                <PayoutManagement />
+              </div>
+            </TabsContent>
+
             {/* Users Tab */}
             <TabsContent value="users">
               <div className="bg-card border rounded-lg p-6">
@@ -767,6 +808,14 @@ export function MerchantDashboard() {
                 <ClipboardList className="h-4 w-4" />
                 Orders
               </TabsTrigger>
+              <TabsTrigger value="returns" className="gap-2 data-[state=active]:bg-amber-500 data-[state=active]:text-white">
+                <RotateCcw className="h-4 w-4" />
+                Returns
+              </TabsTrigger>
+              <TabsTrigger value="earnings" className="gap-2 data-[state=active]:bg-amber-500 data-[state=active]:text-white">
+                <Wallet className="h-4 w-4" />
+                Earnings
+              </TabsTrigger>
             </TabsList>
 
             {/* Products Tab */}
@@ -782,6 +831,20 @@ export function MerchantDashboard() {
                 <MerchantOrdersView />
               </div>
             </TabsContent>
+
+            {/* Returns Tab */}
+            <TabsContent value="returns">
+              <div className="bg-card border rounded-lg p-6">
+                <ReturnManagement />
+              </div>
+            </TabsContent>
+
+            {/* Earnings Tab */}
+            <TabsContent value="earnings">
+              <div className="bg-card border rounded-lg p-6">
+                <MerchantEarnings />
+              </div>
+            </TabsContent>
           </Tabs>
         </div>
       </div>
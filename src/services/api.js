@@ -111,6 +111,17 @@ export const authAPI = {
   
   changePassword: (data) =>
     api.put('/auth/password', data),
+
+  // Address book
+  getAddresses: () => api.get('/auth/addresses'),
+
+  addAddress: (data) =>
+    api.post('/auth/addresses', data),
+
+  updateAddress: (id, data) =>
+    api.put(`/auth/addresses/${id}`, data),
+
+  deleteAddress: (id) => api.delete(`/auth/addresses/${id}`),
 };
 
 // Products API endpoints
@@ -150,22 +161,77 @@ export const cartAPI = {
   removeItem: (itemId) => api.delete(`/cart/items/${itemId}`),
   
   clear: () => api.delete('/cart'),
+  
+  // Server-side price quote; guests send their items
+  quote: (data) => api.post('/cart/quote', data),
+  
+  applyCoupon: (code) => api.post('/cart/coupon', { code }),
+  
+  removeCoupon: () => api.delete('/cart/coupon'),
+  
+  // Move a guest cart into the signed-in user's cart
+  merge: (items) => api.post('/cart/merge', { items }),
+
+  // Check the cart for removed products, stock and price changes before checkout
+  validate: (data) => api.post('/cart/validate', data),
+
+  // Saved for later: set aside from the cart, and moved back when wanted
+  saveForLater: (itemId) => api.post(`/cart/items/${itemId}/save`),
+  moveToCart: (savedItemId) => api.post(`/cart/saved/${savedItemId}/move`),
+  removeSavedItem: (savedItemId) => api.delete(`/cart/saved/${savedItemId}`),
 };
 
 // Orders API endpoints
 export const ordersAPI = {
-  create: (data) => api.post('/orders', data),
+  // Retries of one checkout attempt send the same key, so the order is only placed once
+  create: (data, idempotencyKey) =>
+    api.post('/orders', data, { headers: { 'Idempotency-Key': idempotencyKey } }),
   
   getAll: (params) =>
     api.get('/orders', { params }),
   
   getById: (id) => api.get(`/orders/${id}`),
   
+  // A guest order, by the lookup token it was placed with
+  lookup: (token) => api.get(`/orders/lookup/${token}`),
+  
+  // Public order tracking, by order number and email or by a signed tracking link
+  track: (orderNumber, email) => api.post('/orders/track', { orderNumber, email }),
+  
+  trackByToken: (token) => api.get(`/orders/track/${encodeURIComponent(token)}`),
+  
+  getTrackingLink: (id) => api.get(`/orders/${id}/tracking-link`),
+  
+  // Buy again: add a past order's lines to the cart at today's prices
+  reorder: (id) => api.post(`/orders/${id}/reorder`),
+  
   cancel: (id) => api.put(`/orders/${id}/cancel`),
   
+  cancelItems: (id, items) =>
+    api.put(`/orders/${id}/items/cancel`, { items }),
+  
+  getInvoice: (id) =>
+    api.get(`/orders/${id}/invoice.pdf`, { responseType: 'blob' }),
+  
+  // Admin/Merchant endpoints
+  getPackingSlip: (id) =>
+    api.get(`/orders/${id}/packing-slip.pdf`, { responseType: 'blob' }),
+  
+  updateItemFulfillment: (id, itemId, status, trackingNumber) =>
+    api.put(`/orders/${id}/items/${itemId}/fulfillment`, { status, trackingNumber }),
+  
+  updateSubOrder: (id, subOrderId, data) =>
+    api.put(`/orders/${id}/sub-orders/${subOrderId}`, data),
+  
   // Admin endpoints
-  updateStatus: (id, status) =>
-    api.put(`/orders/${id}/status`, { status }),
+  updateStatus: (id, status, comment, trackingNumber) =>
+    api.put(`/orders/${id}/status`, { status, comment, trackingNumber }),
+  
+  addNote: (id, note) =>
+    api.post(`/orders/${id}/notes`, { note }),
+  
+  getDocuments: (orderIds, document) =>
+    api.post('/orders/documents', { orderIds, document }, { responseType: 'blob' }),
 };
 
 // Wishlist API endpoints
@@ -197,6 +263,134 @@ export const adminAPI = {
   getStats: () => api.get('/admin/stats'),
 };
 
+// Coupons API (Admin)
+export const couponsAPI = {
+  getAll: (params) =>
+    api.get('/coupons', { params }),
+  
+  getById: (id) => api.get(`/coupons/${id}`),
+  
+  create: (data) => api.post('/coupons', data),
+  
+  update: (id, data) =>
+    api.put(`/coupons/${id}`, data),
+  
+  delete: (id) => api.delete(`/coupons/${id}`),
+};
+
+// Tax rules API endpoints (Admin)
+export const taxRulesAPI = {
+  getAll: (params) =>
+    api.get('/tax-rules', { params }),
+  
+  getById: (id) => api.get(`/tax-rules/${id}`),
+  
+  create: (data) => api.post('/tax-rules', data),
+  
+  update: (id, data) =>
+    api.put(`/tax-rules/${id}`, data),
+  
+  delete: (id) => api.delete(`/tax-rules/${id}`),
+};
+
+// Stock reservation API endpoints
+export const reservationsAPI = {
+  create: () => api.post('/reservations'),
+  
+  getCurrent: () => api.get('/reservations/current'),
+  
+  release: () => api.delete('/reservations'),
+};
+
+// Payments API endpoints
+export const paymentsAPI = {
+  getConfig: () => api.get('/payments/config'),
+  
+  authorize: (data) => api.post('/payments/authorize', data),
+  
+  confirm: (id, data) => api.post(`/payments/${id}/confirm`, data),
+  
+  // Admin endpoints
+  capture: (id, amount) => api.post(`/payments/${id}/capture`, { amount }),
+  
+  void: (id) => api.post(`/payments/${id}/void`),
+  
+  refund: (id, amount) => api.post(`/payments/${id}/refund`, { amount }),
+};
+
+// Returns API endpoints
+export const returnsAPI = {
+  create: (data) => api.post('/returns', data),
+  
+  getAll: (params) =>
+    api.get('/returns', { params }),
+  
+  getById: (id) => api.get(`/returns/${id}`),
+  
+  getForOrder: (orderId) => api.get(`/returns/order/${orderId}`),
+  
+  updateStatus: (id, data) =>
+    api.put(`/returns/${id}/status`, data),
+  
+  refund: (id, data) => api.post(`/returns/${id}/refund`, data),
+};
+
+// Merchant ledger and payouts API endpoints (Admin/Merchant)
+export const ledgerAPI = {
+  getBalance: (params) =>
+    api.get('/ledger/balance', { params }),
+  
+  getEntries: (params) =>
+    api.get('/ledger/entries', { params }),
+  
+  getPayouts: (params) =>
+    api.get('/ledger/payouts', { params }),
+  
+  getPayout: (id) => api.get(`/ledger/payouts/${id}`),
+  
+  // Admin endpoints
+  generatePayouts: (data) => api.post('/ledger/payouts', data),
+  
+  markPayoutPaid: (id, reference) =>
+    api.put(`/ledger/payouts/${id}/paid`, { reference }),
+};
+
+// Commission rates API endpoints (Admin)
+export const commissionRatesAPI = {
+  getAll: (params) =>
+    api.get('/commission-rates', { params }),
+  
+  create: (data) => api.post('/commission-rates', data),
+  
+  update: (id, data) =>
+    api.put(`/commission-rates/${id}`, data),
+  
+  delete: (id) => api.delete(`/commission-rates/${id}`),
+};
+
+// Shipping API endpoints
+export const shippingAPI = {
+  getRates: (data) => api.post('/shipping/rates', data),
+  
+  getZones: () => api.get('/shipping/zones'),
+  
+  createZone: (data) => api.post('/shipping/zones', data),
+  
+  updateZone: (id, data) =>
+    api.put(`/shipping/zones/${id}`, data),
+  
+  deleteZone: (id) => api.delete(`/shipping/zones/${id}`),
+  
+  getMethods: () => api.get('/shipping/methods'),
+  
+  createMethod: (data) => api.post('/shipping/methods', data),
+  
+  updateMethod: (id, data) =>
+    api.put(`/shipping/methods/${id}`, data),
+  
+  deleteMethod: (id) => api.delete(`/shipping/methods/${id}`),
+};
+
 // Reviews API endpoints
 export const reviewsAPI = {
   getByProduct: (productId) => api.get(`/reviews/product/${productId}`),